@@ -5,9 +5,13 @@ const routes = require('./routes');
 const {errorConverter, errorHandler} = require('./middlewares/error');
 const ApiError = require('./utils/ApiError');
 const morgan = require('morgan');
+const config = require('./configs/config');
 
 const app = express();
 
+// Sau nginx/load balancer, req.ip chỉ là địa chỉ thật của client khi tin cậy proxy
+app.set('trust proxy', config.trustProxy);
+
 app.use(morgan('dev'));
 app.use(express.json());
 
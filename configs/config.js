@@ -8,7 +8,7 @@ const envVarsSchema = Joi.object()
     .keys({
         NODE_ENV: Joi.string().valid('production', 'development', 'test').required(),
         PORT: Joi.number().default(3000),
-        MONGODB_URL: Joi.string().required().description('Mongo DB url'),
+        MONGODB_URL: Joi.string().required().description('Mongo DB url, must point to a replica set for transactions'),
         JWT_SECRET: Joi.string().required().description('JWT secret key'),
         JWT_ACCESS_EXPIRATION_MINUTES: Joi.number().default(30).description('minutes after which access tokens expire'),
         JWT_REFRESH_EXPIRATION_DAYS: Joi.number().default(30).description('days after which refresh tokens expire'),
@@ -18,12 +18,46 @@ const envVarsSchema = Joi.object()
         JWT_VERIFY_EMAIL_EXPIRATION_MINUTES: Joi.number()
             .default(10)
             .description('minutes after which verify email token expires'),
+        JWT_TWO_FACTOR_CHALLENGE_EXPIRATION_MINUTES: Joi.number()
+            .default(5)
+            .description('minutes after which a two-factor login challenge expires'),
+        TOTP_ISSUER: Joi.string().default('PetApp').description('issuer name shown in authenticator apps'),
         STRIPE_SECRET_KEY: Joi.string().description('Stripe secret key'),
-        // SMTP_HOST: Joi.string().description('server that will send the emails'),
-        // SMTP_PORT: Joi.number().description('port to connect to the email server'),
-        // SMTP_USERNAME: Joi.string().description('username for email server'),
-        // SMTP_PASSWORD: Joi.string().description('password for email server'),
-        // EMAIL_FROM: Joi.string().description('the from field in the emails sent by the app'),
+        LOGIN_MAX_FAILED_ATTEMPTS: Joi.number()
+            .default(5)
+            .description('failed logins after which an account is locked'),
+        LOGIN_LOCK_BASE_MINUTES: Joi.number()
+            .default(5)
+            .description('minutes of the first lock, doubled on every following lock'),
+        LOGIN_LOCK_MAX_MINUTES: Joi.number()
+            .default(24 * 60)
+            .description('upper bound of the account lock duration'),
+        LOGIN_IP_MAX_FAILED_ATTEMPTS: Joi.number()
+            .default(20)
+            .description('failed logins from one IP after which it is blocked'),
+        TRUST_PROXY: Joi.alternatives()
+            .try(Joi.boolean(), Joi.number().integer().min(0), Joi.string())
+            .default(false)
+            .description('express trust proxy setting: true, number of proxy hops or trusted addresses, needed behind nginx or a load balancer'),
+        LOGIN_IP_WINDOW_MINUTES: Joi.number()
+            .default(15)
+            .description('minutes during which failed logins from one IP are counted'),
+        EMAIL_TRANSPORT: Joi.string()
+            .when('NODE_ENV', {
+                is: 'production',
+                then: Joi.valid('smtp').required(),
+                otherwise: Joi.valid('smtp', 'file', 'console').default('console'),
+            })
+            .description('how outgoing emails are delivered (file/console are for local development, smtp is required in production)'),
+        EMAIL_FILE_DIR: Joi.string().default('logs/emails').description('directory the file transport writes emails to'),
+        SMTP_HOST: Joi.string()
+            .when('EMAIL_TRANSPORT', {is: 'smtp', then: Joi.required()})
+            .description('server that will send the emails'),
+        SMTP_PORT: Joi.number().description('port to connect to the email server'),
+        SMTP_USERNAME: Joi.string().description('username for email server'),
+        SMTP_PASSWORD: Joi.string().description('password for email server'),
+        EMAIL_FROM: Joi.string().default('noreply@petapp.local').description('the from field in the emails sent by the app'),
+        CLIENT_URL: Joi.string().default('http://localhost:3000').description('base url used to build links sent to users'),
     })
     .unknown();
 
@@ -36,6 +70,7 @@ if (error) {
 module.exports = {
     env: envVars.NODE_ENV,
     port: envVars.PORT,
+    trustProxy: envVars.TRUST_PROXY,
     mongoose: {
         url: envVars.MONGODB_URL + (envVars.NODE_ENV === 'test' ? '-test' : ''),
         options: {
@@ -47,19 +82,33 @@ module.exports = {
         refreshExpirationDays: envVars.JWT_REFRESH_EXPIRATION_DAYS,
         resetPasswordExpirationMinutes: envVars.JWT_RESET_PASSWORD_EXPIRATION_MINUTES,
         verifyEmailExpirationMinutes: envVars.JWT_VERIFY_EMAIL_EXPIRATION_MINUTES,
+        twoFactorChallengeExpirationMinutes: envVars.JWT_TWO_FACTOR_CHALLENGE_EXPIRATION_MINUTES,
+    },
+    totp: {
+        issuer: envVars.TOTP_ISSUER,
     },
     stripe: {
         secretKey: envVars.STRIPE_SECRET_KEY,
     },
-    // email: {
-    //     smtp: {
-    //         host: envVars.SMTP_HOST,
-    //         port: envVars.SMTP_PORT,
-    //         auth: {
-    //             user: envVars.SMTP_USERNAME,
-    //             pass: envVars.SMTP_PASSWORD,
-    //         },
-    //     },
-    //     from: envVars.EMAIL_FROM,
-    // },
+    loginProtection: {
+        maxFailedAttempts: envVars.LOGIN_MAX_FAILED_ATTEMPTS,
+        lockBaseMinutes: envVars.LOGIN_LOCK_BASE_MINUTES,
+        lockMaxMinutes: envVars.LOGIN_LOCK_MAX_MINUTES,
+        ipMaxFailedAttempts: envVars.LOGIN_IP_MAX_FAILED_ATTEMPTS,
+        ipWindowMinutes: envVars.LOGIN_IP_WINDOW_MINUTES,
+    },
+    email: {
+        transport: envVars.EMAIL_TRANSPORT,
+        fileDir: path.resolve(__dirname, '..', envVars.EMAIL_FILE_DIR),
+        smtp: {
+            host: envVars.SMTP_HOST,
+            port: envVars.SMTP_PORT,
+            auth: {
+                user: envVars.SMTP_USERNAME,
+                pass: envVars.SMTP_PASSWORD,
+            },
+        },
+        from: envVars.EMAIL_FROM,
+    },
+    clientUrl: envVars.CLIENT_URL,
 };
\ No newline at end of file
@@ -51,6 +51,15 @@ const imageFileFilter = (req, file, cb) => {
     }
 };
 
+// File filter - only allow spreadsheets for bulk imports
+const spreadsheetFileFilter = (req, file, cb) => {
+    if (['.csv', '.xlsx'].includes(path.extname(file.originalname).toLowerCase())) {
+        cb(null, true);
+    } else {
+        cb(new ApiError(httpStatus.status.BAD_REQUEST, 'Only CSV or XLSX files are allowed'), false);
+    }
+};
+
 // Create storage configuration for different types of uploads
 const createStorage = (directory) => {
     return multer.diskStorage({
@@ -107,6 +116,13 @@ const reviewImageUpload = multer({
     limits: {fileSize: 100 * 1024 * 1024}
 });
 
+// File nhập chỉ cần đọc một lần nên được giữ trong bộ nhớ
+const productImportUpload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: spreadsheetFileFilter,
+    limits: {fileSize: 10 * 1024 * 1024}
+});
+
 module.exports = {
     categoryImageUpload,
     productImageUpload,
@@ -115,6 +131,7 @@ module.exports = {
     serviceImageUpload,
     ragDocumentUpload,
     reviewImageUpload,
+    productImportUpload,
     getFilePath: (file) => {
         if (!file) return null;
         // Return path starting with /uploads
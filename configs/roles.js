@@ -0,0 +1,46 @@
+// Danh sách quyền dùng với requirePermission(...), đặt theo dạng <tài nguyên>:<hành động>
+const permissions = [
+    'reports:read',
+    'reports:growth',
+    'bookings:read',
+    'orders:read',
+    'orders:update',
+    'categories:read',
+    'categories:write',
+    'products:write',
+    'products:delete',
+    'services:write',
+    'users:read',
+    'users:write',
+    'users:ban',
+    'users:roles',
+    'rag:manage',
+    'settings:manage',
+    'roles:manage',
+    'audit:read',
+    'referrals:read',
+    'pricing:manage',
+];
+
+const roles = ['user', 'staff', 'admin'];
+
+// Quyền mặc định của từng vai trò, tương ứng với phân quyền theo vai trò trên các route trước đây
+const defaultRolePermissions = {
+    user: [],
+    staff: [
+        'reports:read',
+        'bookings:read',
+        'orders:read',
+        'orders:update',
+        'categories:read',
+        'users:read',
+    ],
+    // Admin luôn có toàn bộ quyền, kể cả các quyền được bổ sung sau này (đồng bộ khi khởi động)
+    admin: [...permissions],
+};
+
+module.exports = {
+    permissions,
+    roles,
+    defaultRolePermissions,
+};
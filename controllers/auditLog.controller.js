@@ -0,0 +1,34 @@
+const catchAsync = require('../utils/catchAsync');
+const {auditLogService} = require('../services');
+
+const getAuditLogs = catchAsync(async (req, res) => {
+    const {
+        actorId, action, targetType, targetId, from, to, page, limit
+    } = req.query;
+
+    const filter = {
+        ...(actorId && {actorId}),
+        ...(action && {action}),
+        ...(targetType && {targetType}),
+        ...(targetId && {targetId}),
+    };
+
+    if (from || to) {
+        filter.createdAt = {
+            ...(from && {$gte: new Date(from)}),
+            ...(to && {$lte: new Date(to)}),
+        };
+    }
+
+    const options = {
+        page: parseInt(page, 10) || 1,
+        limit: parseInt(limit, 10) || 20,
+    };
+
+    const result = await auditLogService.queryAuditLogs(filter, options);
+    res.send(result);
+});
+
+module.exports = {
+    getAuditLogs,
+};
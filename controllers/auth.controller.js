@@ -1,30 +1,55 @@
 const {status} = require('http-status');
 const catchAsync = require('../utils/catchAsync');
-const {authService, userService} = require('../services');
+const {authService, userService, twoFactorService} = require('../services');
 const ApiError = require('../utils/ApiError');
+const getDeviceInfo = require('../utils/getDeviceInfo');
+const getClientIp = require('../utils/getClientIp');
 
 const register = catchAsync(async (req, res) => {
     const user = await authService.registerUser(req.body);
-    const tokens = await authService.generateAuthTokens(user);
+    const tokens = await authService.generateAuthTokens(user, getDeviceInfo(req));
     res.status(status.CREATED).send({user, tokens});
 });
 
 const login = catchAsync(async (req, res) => {
     const {email, password} = req.body;
-    const user = await authService.loginUserWithEmailAndPassword(email, password);
-    const tokens = await authService.generateAuthTokens(user);
+    const user = await authService.loginUserWithEmailAndPassword(email, password, getClientIp(req));
+
+    // Tài khoản bật 2FA phải xác thực thêm bước hai qua /auth/login/2fa
+    if (user.twoFactor.enabled) {
+        const {token, expires} = authService.generateTwoFactorChallenge(user);
+        return res.send({twoFactorRequired: true, challengeToken: token, expires});
+    }
+
+    const tokens = await authService.generateAuthTokens(user, getDeviceInfo(req));
+    const twoFactorSetupRequired = await twoFactorService.isTwoFactorRequired(user.role);
+    res.send({user, tokens, ...(twoFactorSetupRequired && {twoFactorSetupRequired})});
+});
+
+const loginWithTwoFactor = catchAsync(async (req, res) => {
+    const {challengeToken, code, recoveryCode} = req.body;
+    const user = await authService.loginWithTwoFactor(challengeToken, {code, recoveryCode}, getClientIp(req));
+    const tokens = await authService.generateAuthTokens(user, getDeviceInfo(req));
     res.send({user, tokens});
 });
 
 const refreshTokens = catchAsync(async (req, res) => {
-    const tokens = await authService.refreshAuth(req.body.refreshToken);
+    const tokens = await authService.refreshAuth(req.body.refreshToken, getDeviceInfo(req));
     res.send({...tokens});
 });
 
+const logout = catchAsync(async (req, res) => {
+    await authService.logout(req.user._id, req.sessionId);
+    res.status(status.NO_CONTENT).send();
+});
+
+const logoutAll = catchAsync(async (req, res) => {
+    await authService.logoutAll(req.user._id);
+    res.status(status.NO_CONTENT).send();
+});
+
 const forgotPassword = catchAsync(async (req, res) => {
-    const resetPasswordToken = await authService.generateResetPasswordToken(req.body.email);
-    // In a real app, you would send an email with the token
-    // For development, we'll just return the token
+    await authService.forgotPassword(req.body.email);
     res.status(status.NO_CONTENT).send();
 });
 
@@ -33,12 +58,35 @@ const resetPassword = catchAsync(async (req, res) => {
     res.status(status.NO_CONTENT).send();
 });
 
+const sendVerificationEmail = catchAsync(async (req, res) => {
+    await authService.sendVerificationEmail(req.user);
+    res.status(status.NO_CONTENT).send();
+});
+
 const verifyEmail = catchAsync(async (req, res) => {
     await authService.verifyEmail(req.query.token);
     res.status(status.NO_CONTENT).send();
 });
 
+const setupTwoFactor = catchAsync(async (req, res) => {
+    const result = await twoFactorService.setupTwoFactor(req.user._id);
+    res.send(result);
+});
+
+const enableTwoFactor = catchAsync(async (req, res) => {
+    const result = await twoFactorService.enableTwoFactor(req.user._id, req.body.code);
+    res.send(result);
+});
 
+const disableTwoFactor = catchAsync(async (req, res) => {
+    await twoFactorService.disableTwoFactor(req.user, req.body);
+    res.status(status.NO_CONTENT).send();
+});
+
+const regenerateRecoveryCodes = catchAsync(async (req, res) => {
+    const result = await twoFactorService.regenerateRecoveryCodes(req.user._id, req.body.code);
+    res.send(result);
+});
 
 const changePassword = catchAsync(async (req, res) => {
     const {currentPassword, newPassword} = req.body;
@@ -74,10 +122,18 @@ const changeAvatar = catchAsync(async (req, res) => {
 module.exports = {
     register,
     login,
+    loginWithTwoFactor,
     refreshTokens,
+    logout,
+    logoutAll,
     forgotPassword,
     resetPassword,
+    sendVerificationEmail,
     verifyEmail,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
     changePassword,
     changeAvatar,
 };
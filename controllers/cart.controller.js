@@ -9,20 +9,20 @@ const getCart = catchAsync(async (req, res) => {
 });
 
 const addItemToCart = catchAsync(async (req, res) => {
-    const {productId, quantity} = req.body;
-    const cart = await cartService.addItemToCart(req.user._id, productId, quantity);
+    const {productId, quantity, variantId} = req.body;
+    const cart = await cartService.addItemToCart(req.user._id, productId, quantity, variantId);
     res.send(cart);
 });
 
 const updateCartItem = catchAsync(async (req, res) => {
-    const {quantity} = req.body;
+    const {quantity, variantId} = req.body;
     const {productId} = req.params;
-    const cart = await cartService.updateCartItemQuantity(req.user._id, productId, quantity);
+    const cart = await cartService.updateCartItemQuantity(req.user._id, productId, quantity, variantId);
     res.send(cart);
 });
 
 const removeCartItem = catchAsync(async (req, res) => {
-    const cart = await cartService.removeCartItem(req.user._id, req.params.productId);
+    const cart = await cartService.removeCartItem(req.user._id, req.params.productId, req.query.variantId);
     res.send(cart);
 });
 
@@ -3,14 +3,21 @@ const catchAsync = require('../utils/catchAsync');
 const {categoryService} = require('../services');
 const {getFilePath} = require('../configs/multer');
 const ApiError = require('../utils/ApiError');
+const auditAction = require('../utils/auditAction');
 
-const createCategory = catchAsync(async (req, res) => {
+const loadCategory = (req) => categoryService.getCategoryById(req.params.categoryId);
+
+const createCategory = auditAction({
+    action: 'category.create',
+    targetType: 'Category',
+}, async (req, res) => {
     const image = req.file ? getFilePath(req.file) : null;
     if (!image) {
         throw new ApiError(status.BAD_REQUEST, 'Image is required');
     }
     const category = await categoryService.createCategory({...req.body, image});
     res.status(status.CREATED).send(category);
+    return category;
 });
 
 const getCategories = catchAsync(async (req, res) => {
@@ -35,14 +42,24 @@ const getCategory = catchAsync(async (req, res) => {
     res.send(category);
 });
 
-const updateCategory = catchAsync(async (req, res) => {
+const updateCategory = auditAction({
+    action: 'category.update',
+    targetType: 'Category',
+    loadBefore: loadCategory,
+}, async (req, res) => {
     const category = await categoryService.updateCategoryById(req.params.categoryId, req.body);
     res.send(category);
+    return category;
 });
 
-const deleteCategory = catchAsync(async (req, res) => {
+const deleteCategory = auditAction({
+    action: 'category.delete',
+    targetType: 'Category',
+    loadBefore: loadCategory,
+}, async (req, res) => {
     await categoryService.deleteCategoryById(req.params.categoryId);
     res.status(status.NO_CONTENT).send();
+    return null;
 });
 
 module.exports = {
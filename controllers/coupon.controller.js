@@ -0,0 +1,13 @@
+const catchAsync = require('../utils/catchAsync');
+const {couponService} = require('../services');
+
+const getMyCoupons = catchAsync(async (req, res) => {
+    const coupons = await couponService.getUserCoupons(req.user._id, {
+        available: req.query.available === 'true',
+    });
+    res.send(coupons);
+});
+
+module.exports = {
+    getMyCoupons,
+};
@@ -9,3 +9,14 @@ module.exports.productController = require('./product.controller');
 module.exports.reviewController = require('./review.controller');
 module.exports.serviceController = require('./service.controller');
 module.exports.userController = require('./user.controller');
+module.exports.settingController = require('./setting.controller');
+module.exports.roleController = require('./role.controller');
+module.exports.auditLogController = require('./auditLog.controller');
+module.exports.locationController = require('./location.controller');
+module.exports.loyaltyController = require('./loyalty.controller');
+module.exports.referralController = require('./referral.controller');
+module.exports.couponController = require('./coupon.controller');
+module.exports.wishlistController = require('./wishlist.controller');
+module.exports.searchController = require('./search.controller');
+module.exports.priceScheduleController = require('./priceSchedule.controller');
+module.exports.stockSubscriptionController = require('./stockSubscription.controller');
@@ -0,0 +1,20 @@
+const catchAsync = require('../utils/catchAsync');
+const {locationService} = require('../services');
+
+const getProvinces = catchAsync(async (req, res) => {
+    res.send(locationService.getProvinces());
+});
+
+const getDistricts = catchAsync(async (req, res) => {
+    res.send(locationService.getDistricts(req.params.provinceCode));
+});
+
+const getWards = catchAsync(async (req, res) => {
+    res.send(locationService.getWards(req.params.districtCode));
+});
+
+module.exports = {
+    getProvinces,
+    getDistricts,
+    getWards,
+};
@@ -0,0 +1,22 @@
+const catchAsync = require('../utils/catchAsync');
+const {loyaltyService} = require('../services');
+
+const getLoyaltySummary = catchAsync(async (req, res) => {
+    const summary = await loyaltyService.getLoyaltySummary(req.user._id);
+    res.send(summary);
+});
+
+const getLoyaltyTransactions = catchAsync(async (req, res) => {
+    const options = {
+        page: parseInt(req.query.page, 10) || 1,
+        limit: parseInt(req.query.limit, 10) || 20,
+    };
+
+    const result = await loyaltyService.getTransactions(req.user._id, options);
+    res.send(result);
+});
+
+module.exports = {
+    getLoyaltySummary,
+    getLoyaltyTransactions,
+};
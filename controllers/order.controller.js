@@ -2,6 +2,9 @@ const {status} = require('http-status');
 const catchAsync = require('../utils/catchAsync');
 const {orderService, paymentService} = require('../services');
 const ApiError = require('../utils/ApiError');
+const auditAction = require('../utils/auditAction');
+
+const loadOrder = (req) => orderService.getOrderById(req.params.orderId);
 
 const createOrder = catchAsync(async (req, res) => {
 
@@ -107,9 +110,14 @@ const getOrder = catchAsync(async (req, res) => {
     res.send(order);
 });
 
-const updateOrder = catchAsync(async (req, res) => {
-    const order = await orderService.updateOrderById(req.params.orderId, req.body);
+const updateOrder = auditAction({
+    action: 'order.update',
+    targetType: 'Order',
+    loadBefore: loadOrder,
+}, async (req, res) => {
+    const order = await orderService.updateOrderById(req.params.orderId, req.body, req.user);
     res.send(order);
+    return order;
 });
 
 const cancelOrder = catchAsync(async (req, res) => {
@@ -134,7 +142,7 @@ const cancelOrder = catchAsync(async (req, res) => {
     const cancelledBy = req.user.role === 'user' ? 'customer' : 'admin';
 
     const cancelReason = req.body?.cancelReason ? req.body?.cancelReason : 'Khác';
-    await orderService.cancelOrder(req.params.orderId, cancelReason, cancelledBy);
+    await orderService.cancelOrder(req.params.orderId, cancelReason, cancelledBy, req.user);
     res.status(status.NO_CONTENT).send();
 });
 
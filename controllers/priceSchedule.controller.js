@@ -0,0 +1,78 @@
+const {status} = require('http-status');
+const catchAsync = require('../utils/catchAsync');
+const ApiError = require('../utils/ApiError');
+const {priceScheduleService} = require('../services');
+const auditAction = require('../utils/auditAction');
+
+const loadPriceSchedule = (req) => priceScheduleService.getPriceScheduleById(req.params.scheduleId);
+
+const createPriceSchedule = auditAction({
+    action: 'priceSchedule.create',
+    targetType: 'PriceSchedule',
+}, async (req, res) => {
+    const schedule = await priceScheduleService.createPriceSchedule(req.body, req.user);
+    res.status(status.CREATED).send(schedule);
+    return schedule;
+});
+
+const getPriceSchedules = catchAsync(async (req, res) => {
+    const {
+        status: statusSchedule, targetType, page, limit
+    } = req.query;
+
+    const filter = {
+        ...(statusSchedule && {status: statusSchedule}),
+        ...(targetType && {targetType}),
+    };
+
+    const options = {
+        page: parseInt(page, 10) || 1,
+        limit: parseInt(limit, 10) || 20,
+    };
+
+    const result = await priceScheduleService.getPriceSchedules(filter, options);
+    res.send(result);
+});
+
+const getPriceSchedule = catchAsync(async (req, res) => {
+    const schedule = await priceScheduleService.getPriceScheduleById(req.params.scheduleId);
+    if (!schedule) {
+        throw new ApiError(status.NOT_FOUND, 'Price schedule not found');
+    }
+    res.send(schedule);
+});
+
+const updatePriceSchedule = auditAction({
+    action: 'priceSchedule.update',
+    targetType: 'PriceSchedule',
+    loadBefore: loadPriceSchedule,
+}, async (req, res) => {
+    const schedule = await priceScheduleService.updatePriceSchedule(req.params.scheduleId, req.body, req.user);
+    res.send(schedule);
+    return schedule;
+});
+
+const cancelPriceSchedule = auditAction({
+    action: 'priceSchedule.cancel',
+    targetType: 'PriceSchedule',
+    loadBefore: loadPriceSchedule,
+}, async (req, res) => {
+    const schedule = await priceScheduleService.cancelPriceSchedule(req.params.scheduleId, req.user);
+    res.send(schedule);
+    return schedule;
+});
+
+const previewPrice = catchAsync(async (req, res) => {
+    const {itemType, itemId, at} = req.query;
+    const preview = await priceScheduleService.getEffectivePrice(itemType, itemId, at ? new Date(at) : new Date());
+    res.send(preview);
+});
+
+module.exports = {
+    createPriceSchedule,
+    getPriceSchedules,
+    getPriceSchedule,
+    updatePriceSchedule,
+    cancelPriceSchedule,
+    previewPrice,
+};
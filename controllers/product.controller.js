@@ -1,17 +1,28 @@
 const {status} = require('http-status');
 const catchAsync = require('../utils/catchAsync');
-const {productService, categoryService} = require('../services');
+const {
+    productService, categoryService, auditLogService, inventoryService, catalogService, recommendationService,
+    priceHistoryService
+} = require('../services');
 const ApiError = require('../utils/ApiError');
+const auditAction = require('../utils/auditAction');
+const getDeviceInfo = require('../utils/getDeviceInfo');
 const {getFilePath} = require('../configs/multer');
 
-const createProduct = catchAsync(async (req, res) => {
+const loadProduct = (req) => productService.getProductById(req.params.productId);
+
+const createProduct = auditAction({
+    action: 'product.create',
+    targetType: 'Product',
+}, async (req, res) => {
     const images = req.files.map(file => {
         const filePath = getFilePath(file);
         return filePath
     })
 
-    const product = await productService.createProduct({...req.body, images});
+    const product = await productService.createProduct({...req.body, images}, req.user);
     res.status(status.CREATED).send(product);
+    return product;
 });
 
 const getProducts = catchAsync(async (req, res) => {
@@ -37,15 +48,17 @@ const getProducts = catchAsync(async (req, res) => {
     } = req.query;
 
     // Build filter object
-    const filter = {};
+    // Các bộ lọc tương ứng với một nhóm facet được tách riêng để số đếm của nhóm đó bỏ qua chính nó
+    const baseFilter = {};
+    const facetFilters = {};
 
     // Text search handling
     if (search) {
-        filter.$text = {$search: search};
+        baseFilter.$text = {$search: search};
     }
 
     // Category filter
-    if (categoryId) filter.categoryId = categoryId;
+    if (categoryId) facetFilters.category = {categoryId};
 
     // Price range filter
     if (minPrice !== undefined || maxPrice !== undefined) {
@@ -74,55 +87,56 @@ const getProducts = catchAsync(async (req, res) => {
         }
 
         priceConditions.push(regularPriceCondition, salePriceCondition);
-        filter.$or = priceConditions;
+        facetFilters.price = {$or: priceConditions};
     }
 
     // Rating range filter
     if (minRating !== undefined || maxRating !== undefined) {
-        filter['ratings.average'] = {};
-        if (minRating !== undefined) filter['ratings.average'].$gte = Number(minRating);
-        if (maxRating !== undefined) filter['ratings.average'].$lte = Number(maxRating);
+        const ratingCondition = {};
+        if (minRating !== undefined) ratingCondition.$gte = Number(minRating);
+        if (maxRating !== undefined) ratingCondition.$lte = Number(maxRating);
+        facetFilters.rating = {'ratings.average': ratingCondition};
     }
 
     // Boolean filters
-    if (onSale !== undefined) filter.onSale = onSale === 'true';
-    if (isFeatured !== undefined) filter.isFeatured = isFeatured === 'true';
+    if (onSale !== undefined) facetFilters.onSale = {onSale: onSale === 'true'};
+    if (isFeatured !== undefined) baseFilter.isFeatured = isFeatured === 'true';
 
     // Only show active products by default
     // if (filter.isVisible === undefined) {
     //     filter.isVisible = true;
     // }
     if (isVisible !== undefined) {
-        filter.isVisible = isVisible === 'true';
+        baseFilter.isVisible = isVisible === 'true';
     }
 
     // Stock filter
     if (inStock !== undefined) {
-        filter.stock = inStock === 'true' ? {$gt: 0} : {$eq: 0};
+        facetFilters.inStock = {stock: inStock === 'true' ? {$gt: 0} : {$eq: 0}};
     }
 
     // Out of stock filter
     if (isLowStock !== undefined) {
-        filter.stock = isLowStock === 'true' ? {$lt: 10} : {$gte: 10};
+        baseFilter.stock = isLowStock === 'true' ? {$lt: 10} : {$gte: 10};
     }
 
     // Brand filter - handle both string and array formats
     if (brand) {
-        filter.brand = {
-            $in: Array.isArray(brand) ? brand : brand.split(',')
+        facetFilters.brand = {
+            brand: {$in: Array.isArray(brand) ? brand : brand.split(',')}
         };
     }
 
     // Pet types filter - handle both string and array formats
     if (petTypes) {
-        filter.petTypes = {
-            $in: Array.isArray(petTypes) ? petTypes : petTypes.split(',')
+        facetFilters.petType = {
+            petTypes: {$in: Array.isArray(petTypes) ? petTypes : petTypes.split(',')}
         };
     }
 
     // Tags filter - handle both string and array formats
     if (tags) {
-        filter.tags = {
+        baseFilter.tags = {
             $in: Array.isArray(tags) ? tags : tags.split(',')
         };
     }
@@ -147,12 +161,19 @@ const getProducts = catchAsync(async (req, res) => {
     }
 
     if (req.user.role === 'user') {
-        filter.isVisible = true;
-        filter.stock = {$gt: 0};
+        baseFilter.isVisible = true;
+        baseFilter.stock = {$gt: 0};
     }
 
-    const result = await productService.getAllProducts(filter, options);
-    res.send(result);
+    const activeFacetFilters = Object.values(facetFilters);
+    const filter = activeFacetFilters.length > 0 ? {...baseFilter, $and: activeFacetFilters} : baseFilter;
+
+    const [result, facets] = await Promise.all([
+        productService.getAllProducts(filter, options),
+        productService.getProductFacets(baseFilter, facetFilters),
+    ]);
+    result.results = await priceHistoryService.addLowestPrices('product', result.results);
+    res.send({...result, facets});
 });
 
 const getProduct = catchAsync(async (req, res) => {
@@ -161,7 +182,21 @@ const getProduct = catchAsync(async (req, res) => {
     if (!product) {
         throw new ApiError(status.NOT_FOUND, 'Product not found');
     }
-    res.send(product);
+    const [productWithLowestPrice] = await priceHistoryService.addLowestPrices('product', [product]);
+    res.send(productWithLowestPrice);
+});
+
+const getPriceHistory = catchAsync(async (req, res) => {
+    const product = await productService.getProductById(req.params.productId);
+    if (!product) {
+        throw new ApiError(status.NOT_FOUND, 'Product not found');
+    }
+    if (req.query.variantId && !product.variants.id(req.query.variantId)) {
+        throw new ApiError(status.NOT_FOUND, 'Product variant not found');
+    }
+
+    const history = await priceHistoryService.getPriceHistory('product', product._id, req.query);
+    res.send(history);
 });
 
 const getProductReviews = catchAsync(async (req, res) => {
@@ -174,7 +209,25 @@ const getProductReviews = catchAsync(async (req, res) => {
     res.send(reviews);
 });
 
-const updateProduct = catchAsync(async (req, res) => {
+const getRelatedProducts = catchAsync(async (req, res) => {
+    const products = await recommendationService.getRelatedProducts(req.params.productId, {
+        limit: parseInt(req.query.limit, 10) || 8,
+    });
+    res.send(products);
+});
+
+const getFrequentlyBoughtTogether = catchAsync(async (req, res) => {
+    const products = await recommendationService.getFrequentlyBoughtTogether(req.params.productId, {
+        limit: parseInt(req.query.limit, 10) || 4,
+    });
+    res.send(products);
+});
+
+const updateProduct = auditAction({
+    action: 'product.update',
+    targetType: 'Product',
+    loadBefore: loadProduct,
+}, async (req, res) => {
     const images = req.files.map(file => {
         const filePath = getFilePath(file);
         return filePath
@@ -184,19 +237,97 @@ const updateProduct = catchAsync(async (req, res) => {
     const allImages = [...oldImages, ...images];
 
     const updateData = images.length > 0 ? {...req.body, images: allImages} : req.body;
-    const product = await productService.updateProductById(req.params.productId, updateData);
+    const product = await productService.updateProductById(req.params.productId, updateData, req.user);
     res.send(product);
+    return product;
+});
+
+const updateProductStock = auditAction({
+    action: 'product.inventory.update',
+    targetType: 'Product',
+    loadBefore: loadProduct,
+}, async (req, res) => {
+    const {stock, variantId, type, note} = req.body;
+    const product = await productService.updateProductStock(req.params.productId, Number.parseInt(stock, 10), {
+        variantId,
+        type,
+        note,
+        actor: req.user,
+    });
+    res.send(product);
+    return product;
+});
+
+const addProductVariant = auditAction({
+    action: 'product.variant.create',
+    targetType: 'Product',
+    loadBefore: loadProduct,
+}, async (req, res) => {
+    const images = req.files.map(file => getFilePath(file));
+
+    const product = await productService.addProductVariant(req.params.productId, {...req.body, images}, req.user);
+    res.status(status.CREATED).send(product);
+    return product;
 });
 
-const updateProductStock = catchAsync(async (req, res) => {
-    const {stock} = req.body;
-    const product = await productService.updateProductStock(req.params.productId, Number.parseInt(stock, 10));
+const updateProductVariant = auditAction({
+    action: 'product.variant.update',
+    targetType: 'Product',
+    loadBefore: loadProduct,
+}, async (req, res) => {
+    const images = req.files.map(file => getFilePath(file));
+
+    const {existingImages, ...variantBody} = req.body;
+    const updateData = images.length > 0 || existingImages
+        ? {...variantBody, images: [...(existingImages || []), ...images]}
+        : variantBody;
+    const product = await productService.updateProductVariant(req.params.productId, req.params.variantId, updateData, req.user);
     res.send(product);
+    return product;
 });
 
-const deleteProduct = catchAsync(async (req, res) => {
+const deleteProductVariant = auditAction({
+    action: 'product.variant.delete',
+    targetType: 'Product',
+    loadBefore: loadProduct,
+}, async (req, res) => {
+    const product = await productService.deleteProductVariant(req.params.productId, req.params.variantId, req.user);
+    res.send(product);
+    return product;
+});
+
+const importProducts = catchAsync(async (req, res) => {
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const report = await catalogService.importProducts(req.file, {dryRun, actor: req.user});
+    if (!dryRun) {
+        await auditLogService.recordAuditLog({
+            actor: req.user,
+            action: 'product.import',
+            targetType: 'Product',
+            after: {fileName: req.file.originalname, ...report.summary},
+            ...getDeviceInfo(req),
+        });
+    }
+    res.send(report);
+});
+
+const exportProducts = catchAsync(async (req, res) => {
+    const format = req.query.format || 'csv';
+    const content = await catalogService.exportProducts(format);
+
+    res.attachment(`products-${ new Date().toISOString().slice(0, 10) }.${ format }`);
+    res.type(format === 'xlsx' ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' : 'text/csv');
+    res.send(content);
+});
+
+const deleteProduct = auditAction({
+    action: 'product.delete',
+    targetType: 'Product',
+    loadBefore: loadProduct,
+}, async (req, res) => {
     await productService.deleteProductById(req.params.productId);
     res.status(status.NO_CONTENT).send();
+    return null;
 });
 
 const createProductReview = catchAsync(async (req, res) => {
@@ -230,15 +361,52 @@ const getBestSellingProducts = catchAsync(async (req, res) => {
     res.send(products);
 });
 
+const getInventoryHistory = catchAsync(async (req, res) => {
+    const product = await productService.getProductById(req.params.productId);
+    if (!product) {
+        throw new ApiError(status.NOT_FOUND, 'Product not found');
+    }
+
+    const {
+        variantId, type, from, to, page, limit
+    } = req.query;
+    const options = {
+        page: parseInt(page, 10) || 1,
+        limit: parseInt(limit, 10) || 20,
+    };
+
+    const history = await inventoryService.getInventoryHistory(product._id, {variantId, type, from, to}, options);
+    res.send(history);
+});
+
+const getStockReconciliation = catchAsync(async (req, res) => {
+    const report = await inventoryService.getStockReconciliation({
+        productId: req.query.productId,
+        includeMatched: req.query.includeMatched === 'true',
+    });
+    res.send(report);
+});
+
+const getReorderSuggestions = catchAsync(async (req, res) => {
+    const {days, limit} = req.query;
+    const suggestions = await inventoryService.getReorderSuggestions({
+        days: parseInt(days, 10) || undefined,
+        limit: parseInt(limit, 10) || 50,
+    });
+    res.send(suggestions);
+});
+
 const getInventoryReport = catchAsync(async (req, res) => {
     const {
         outOfStockLimit = 20,
+        lowStockLimit = 20,
         oldInventoryLimit = 20,
         oldInventoryDays = 30
     } = req.query;
 
-    const [outOfStock, oldInventory] = await Promise.all([
+    const [outOfStock, lowStock, oldInventory] = await Promise.all([
         productService.getOutOfStockProducts(parseInt(outOfStockLimit, 10)),
+        inventoryService.getLowStockItems(parseInt(lowStockLimit, 10)),
         productService.getOldInventoryProducts(
             parseInt(oldInventoryLimit, 10),
             parseInt(oldInventoryDays, 10)
@@ -247,6 +415,7 @@ const getInventoryReport = catchAsync(async (req, res) => {
 
     res.send({
         outOfStockProducts: outOfStock,
+        lowStockItems: lowStock,
         oldInventoryProducts: oldInventory
     });
 });
@@ -276,13 +445,24 @@ module.exports = {
     getProducts,
     getProduct,
     getProductReviews,
+    getPriceHistory,
+    getRelatedProducts,
+    getFrequentlyBoughtTogether,
     updateProduct,
     updateProductStock,
+    addProductVariant,
+    updateProductVariant,
+    deleteProductVariant,
+    importProducts,
+    exportProducts,
     deleteProduct,
     createProductReview,
     getProductStats,
     getProductDistribution,
     getBestSellingProducts,
     getInventoryReport,
+    getInventoryHistory,
+    getStockReconciliation,
+    getReorderSuggestions,
     getDashboardAnalytics
 };
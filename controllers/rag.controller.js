@@ -2,7 +2,10 @@ const {status} = require('http-status');
 const catchAsync = require('../utils/catchAsync');
 const ragService = require('../services/rag.service');
 const chatService = require('../services/chat.service');
+const {auditLogService} = require('../services');
 const ApiError = require('../utils/ApiError');
+const auditAction = require('../utils/auditAction');
+const getDeviceInfo = require('../utils/getDeviceInfo');
 const path = require('path');
 const fs = require('fs');
 
@@ -33,6 +36,14 @@ const uploadDocuments = catchAsync(async (req, res) => {
 
             // Xử lý upload và indexing
             const result = await ragService.indexDocument(file);
+            await auditLogService.recordAuditLog({
+                actor: req.user,
+                action: 'rag.document.upload',
+                targetType: 'Document',
+                targetId: result.documentId,
+                after: {fileName: result.fileName, documentCount: result.documentCount},
+                ...getDeviceInfo(req),
+            });
             results.push({
                 fileName: file.originalname,
                 ...result
@@ -81,7 +92,11 @@ const getDocuments = catchAsync(async (req, res) => {
     });
 });
 
-const deleteDocument = catchAsync(async (req, res) => {
+const deleteDocument = auditAction({
+    action: 'rag.document.delete',
+    targetType: 'Document',
+    loadBefore: (req) => ragService.getDocumentById(req.params.documentId),
+}, async (req, res) => {
     const {documentId} = req.params;
     if (!documentId) {
         throw new ApiError(status.BAD_REQUEST, 'Document ID is required');
@@ -97,6 +112,7 @@ const deleteDocument = catchAsync(async (req, res) => {
         message: 'Document deleted successfully',
         data: result
     });
+    return null;
 });
 
 module.exports = {
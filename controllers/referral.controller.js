@@ -0,0 +1,38 @@
+const catchAsync = require('../utils/catchAsync');
+const {referralService} = require('../services');
+
+const getMyReferrals = catchAsync(async (req, res) => {
+    const summary = await referralService.getReferralSummary(req.user);
+    res.send(summary);
+});
+
+const getReferralReport = catchAsync(async (req, res) => {
+    const {
+        status: statusReferral, referrerId, from, to, page, limit
+    } = req.query;
+
+    const filter = {
+        ...(statusReferral && {status: statusReferral}),
+        ...(referrerId && {referrerId}),
+    };
+
+    if (from || to) {
+        filter.createdAt = {
+            ...(from && {$gte: new Date(from)}),
+            ...(to && {$lte: new Date(to)}),
+        };
+    }
+
+    const options = {
+        page: parseInt(page, 10) || 1,
+        limit: parseInt(limit, 10) || 20,
+    };
+
+    const result = await referralService.getReferralReport(filter, options);
+    res.send(result);
+});
+
+module.exports = {
+    getMyReferrals,
+    getReferralReport,
+};
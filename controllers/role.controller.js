@@ -0,0 +1,23 @@
+const catchAsync = require('../utils/catchAsync');
+const {roleService} = require('../services');
+const auditAction = require('../utils/auditAction');
+
+const getRoles = catchAsync(async (req, res) => {
+    const result = await roleService.getRoles();
+    res.send(result);
+});
+
+const updateRolePermissions = auditAction({
+    action: 'role.permissions.update',
+    targetType: 'Role',
+    loadBefore: (req) => roleService.getRoleByName(req.params.role),
+}, async (req, res) => {
+    const role = await roleService.updateRolePermissions(req.params.role, req.body.permissions);
+    res.send(role);
+    return role;
+});
+
+module.exports = {
+    getRoles,
+    updateRolePermissions,
+};
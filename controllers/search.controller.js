@@ -0,0 +1,15 @@
+const catchAsync = require('../utils/catchAsync');
+const {searchService} = require('../services');
+
+const suggest = catchAsync(async (req, res) => {
+    const {q, types, limit} = req.query;
+    const suggestions = await searchService.suggest(q, {
+        limit: parseInt(limit, 10) || 10,
+        ...(types && {types: Array.isArray(types) ? types : types.split(',')}),
+    });
+    res.send({results: suggestions});
+});
+
+module.exports = {
+    suggest,
+};
@@ -1,18 +1,25 @@
 const {status} = require('http-status');
 const catchAsync = require('../utils/catchAsync');
-const {serviceService} = require('../services');
+const {serviceService, priceHistoryService} = require('../services');
 const ApiError = require('../utils/ApiError');
+const auditAction = require('../utils/auditAction');
 const {getFilePath} = require('../configs/multer');
 
-const createService = catchAsync(async (req, res) => {
+const loadService = (req) => serviceService.getServiceById(req.params.serviceId);
+
+const createService = auditAction({
+    action: 'service.create',
+    targetType: 'Service',
+}, async (req, res) => {
     const images = req.files.map((file) => {
         const filePath = getFilePath(file);
         return filePath;
     });
     req.body.images = images;
 
-    const service = await serviceService.createService(req.body);
+    const service = await serviceService.createService(req.body, req.user);
     res.status(status.CREATED).send(service);
+    return service;
 });
 
 const getServices = catchAsync(async (req, res) => {
@@ -91,6 +98,7 @@ const getServices = catchAsync(async (req, res) => {
     }
 
     const result = await serviceService.getAllServices(filter, options);
+    result.results = await priceHistoryService.addLowestPrices('service', result.results);
     res.send(result);
 });
 
@@ -99,7 +107,18 @@ const getService = catchAsync(async (req, res) => {
     if (!service) {
         throw new ApiError(status.NOT_FOUND, 'Service not found');
     }
-    res.send(service);
+    const [serviceWithLowestPrice] = await priceHistoryService.addLowestPrices('service', [service]);
+    res.send(serviceWithLowestPrice);
+});
+
+const getPriceHistory = catchAsync(async (req, res) => {
+    const service = await serviceService.getServiceById(req.params.serviceId);
+    if (!service) {
+        throw new ApiError(status.NOT_FOUND, 'Service not found');
+    }
+
+    const history = await priceHistoryService.getPriceHistory('service', service._id, req.query);
+    res.send(history);
 });
 
 const getFeaturedServices = catchAsync(async (req, res) => {
@@ -114,7 +133,11 @@ const getServicesByCategory = catchAsync(async (req, res) => {
     res.send(result);
 });
 
-const updateService = catchAsync(async (req, res) => {
+const updateService = auditAction({
+    action: 'service.update',
+    targetType: 'Service',
+    loadBefore: loadService,
+}, async (req, res) => {
     const images = req.files.map(file => {
         const filePath = getFilePath(file);
         return filePath
@@ -124,13 +147,19 @@ const updateService = catchAsync(async (req, res) => {
     const allImages = [...oldImages, ...images];
 
     const updateData = images.length > 0 ? {...req.body, images: allImages} : req.body;
-    const service = await serviceService.updateServiceById(req.params.serviceId, updateData);
+    const service = await serviceService.updateServiceById(req.params.serviceId, updateData, req.user);
     res.send(service);
+    return service;
 });
 
-const deleteService = catchAsync(async (req, res) => {
+const deleteService = auditAction({
+    action: 'service.delete',
+    targetType: 'Service',
+    loadBefore: loadService,
+}, async (req, res) => {
     await serviceService.deleteServiceById(req.params.serviceId);
     res.status(status.NO_CONTENT).send();
+    return null;
 });
 
 const searchServices = catchAsync(async (req, res) => {
@@ -185,19 +214,34 @@ const getServicesByPetType = catchAsync(async (req, res) => {
     res.send(result);
 });
 
-const toggleFeatured = catchAsync(async (req, res) => {
+const toggleFeatured = auditAction({
+    action: 'service.featured.update',
+    targetType: 'Service',
+    loadBefore: loadService,
+}, async (req, res) => {
     const service = await serviceService.toggleServiceFeatured(req.params.serviceId);
     res.send(service);
+    return service;
 });
 
-const updateServiceAvailability = catchAsync(async (req, res) => {
+const updateServiceAvailability = auditAction({
+    action: 'service.availability.update',
+    targetType: 'Service',
+    loadBefore: loadService,
+}, async (req, res) => {
     const service = await serviceService.updateServiceAvailability(req.params.serviceId, req.body);
     res.send(service);
+    return service;
 });
 
-const toggleServiceVisible = catchAsync(async (req, res) => {
+const toggleServiceVisible = auditAction({
+    action: 'service.visibility.update',
+    targetType: 'Service',
+    loadBefore: loadService,
+}, async (req, res) => {
     const service = await serviceService.toggleServiceVisible(req.params.serviceId);
     res.send(service);
+    return service;
 });
 
 const getSaleServices = catchAsync(async (req, res) => {
@@ -258,6 +302,7 @@ module.exports = {
     createService,
     getServices,
     getService,
+    getPriceHistory,
     getFeaturedServices,
     getServicesByCategory,
     updateService,
@@ -0,0 +1,23 @@
+const catchAsync = require('../utils/catchAsync');
+const {settingService} = require('../services');
+const auditAction = require('../utils/auditAction');
+
+const getSettings = catchAsync(async (req, res) => {
+    const settings = await settingService.getSettings();
+    res.send(settings);
+});
+
+const updateSettings = auditAction({
+    action: 'setting.update',
+    targetType: 'Setting',
+    loadBefore: () => settingService.getSettings(),
+}, async (req, res) => {
+    const settings = await settingService.updateSettings(req.body);
+    res.send(settings);
+    return settings;
+});
+
+module.exports = {
+    getSettings,
+    updateSettings,
+};
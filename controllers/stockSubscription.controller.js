@@ -0,0 +1,25 @@
+const {status} = require('http-status');
+const catchAsync = require('../utils/catchAsync');
+const {stockSubscriptionService} = require('../services');
+
+const getSubscriptions = catchAsync(async (req, res) => {
+    const subscriptions = await stockSubscriptionService.getUserSubscriptions(req.user._id);
+    res.send(subscriptions);
+});
+
+const subscribe = catchAsync(async (req, res) => {
+    const {productId, variantId, quantity} = req.body;
+    const subscription = await stockSubscriptionService.subscribe(req.user._id, productId, {variantId, quantity});
+    res.status(status.CREATED).send(subscription);
+});
+
+const cancelSubscription = catchAsync(async (req, res) => {
+    const subscription = await stockSubscriptionService.cancelSubscription(req.user._id, req.params.subscriptionId);
+    res.send(subscription);
+});
+
+module.exports = {
+    getSubscriptions,
+    subscribe,
+    cancelSubscription,
+};
@@ -1,27 +1,42 @@
 const {status} = require('http-status');
 const catchAsync = require('../utils/catchAsync');
-const {userService} = require('../services');
+const archiver = require('archiver');
+const {userService, sessionService, accountService} = require('../services');
 const ApiError = require('../utils/ApiError');
+const auditAction = require('../utils/auditAction');
+const {toCsv} = require('../utils/csv');
 const {getFilePath} = require('../configs/multer');
 
-const createUser = catchAsync(async (req, res) => {
+const loadUser = (req) => userService.getUserById(req.params.userId);
+
+const createUser = auditAction({
+    action: 'user.create',
+    targetType: 'User',
+}, async (req, res) => {
     const user = await userService.createUser(req.body);
     res.status(status.CREATED).send(user);
+    return user;
 });
 
-const getUsers = catchAsync(async (req, res) => {
+/**
+ * Build the user directory filter and options from the query string
+ * @param {Object} req
+ * @returns {Object}
+ */
+const getUserDirectoryQuery = (req) => {
     const {
-        search, role, banned, sort, page = 1, limit = 10
+        search, role, banned, registeredFrom, registeredTo, minOrders, maxOrders, minSpent, maxSpent, sort
     } = req.query;
 
     // Xây dựng filter
     const filter = {};
 
     if (search) {
+        const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
         filter.$or = [
-            {email: {$regex: search, $options: 'i'}},
-            {fullname: {$regex: search, $options: 'i'}},
-            {phone: {$regex: search, $options: 'i'}}
+            {email: {$regex: pattern, $options: 'i'}},
+            {fullname: {$regex: pattern, $options: 'i'}},
+            {phone: {$regex: pattern, $options: 'i'}}
         ];
     }
 
@@ -29,6 +44,13 @@ const getUsers = catchAsync(async (req, res) => {
     if (banned === 'true') filter.isBanned = true;
     if (banned === 'false') filter.isBanned = false;
 
+    if (registeredFrom || registeredTo) {
+        filter.createdAt = {
+            ...(registeredFrom && {$gte: new Date(registeredFrom)}),
+            ...(registeredTo && {$lte: new Date(registeredTo)}),
+        };
+    }
+
     if (req.user.role === 'staff') {
         filter.role = "user";
         filter.isBanned = false;
@@ -39,8 +61,10 @@ const getUsers = catchAsync(async (req, res) => {
 
     // Xây dựng options
     const options = {
-        page: page && !isNaN(parseInt(page, 10)) ? parseInt(page, 10) : 1,
-        limit: limit && !isNaN(parseInt(limit, 10)) ? parseInt(limit, 10) : 10
+        ...(minOrders !== undefined && {minOrders: Number(minOrders)}),
+        ...(maxOrders !== undefined && {maxOrders: Number(maxOrders)}),
+        ...(minSpent !== undefined && {minSpent: Number(minSpent)}),
+        ...(maxSpent !== undefined && {maxSpent: Number(maxSpent)}),
     };
 
     if (sort) {
@@ -49,12 +73,47 @@ const getUsers = catchAsync(async (req, res) => {
         options.sortOrder = order || 'asc';
     }
 
-    const result = await userService.getUsers(filter, options);
+    return {filter, options};
+};
+
+const getUsers = catchAsync(async (req, res) => {
+    const {filter, options} = getUserDirectoryQuery(req);
+    options.limit = parseInt(req.query.limit, 10) || 10;
+    // Phân trang theo trang như trước, hoặc theo con trỏ khi có cursor
+    options.page = parseInt(req.query.page, 10) || 1;
+    options.cursor = req.query.cursor;
+
+    const result = await userService.queryUserDirectory(filter, options);
     res.send(result);
 });
 
+const exportUsers = catchAsync(async (req, res) => {
+    const {filter, options} = getUserDirectoryQuery(req);
+    const users = await userService.getUserDirectory(filter, options);
+
+    const csv = toCsv(users, [
+        {header: 'ID', value: '_id'},
+        {header: 'Email', value: 'email'},
+        {header: 'Full name', value: 'fullname'},
+        {header: 'Phone', value: 'phone'},
+        {header: 'Role', value: 'role'},
+        {header: 'Banned', value: 'isBanned'},
+        {header: 'Email verified', value: 'isEmailVerified'},
+        {header: 'Registered at', value: 'createdAt'},
+        {header: 'Orders', value: 'orderCount'},
+        {header: 'Total spent', value: 'totalSpent'},
+        {header: 'Last order at', value: 'lastOrderAt'},
+    ]);
+
+    res.attachment(`users-${ new Date().toISOString().slice(0, 10) }.csv`);
+    res.type('text/csv');
+    res.send(csv);
+});
+
 const getUser = catchAsync(async (req, res) => {
-    const {_id, email, fullname, phone, role, avatar, isBanned, createdAt} = await userService.getUserById(req.params.userId);
+    const {
+        _id, email, fullname, phone, role, avatar, isBanned, isEmailVerified, lockUntil, createdAt
+    } = await userService.getUserById(req.params.userId);
 
     if (!email) {
         throw new ApiError(status.NOT_FOUND, 'User not found');
@@ -67,6 +126,8 @@ const getUser = catchAsync(async (req, res) => {
         role,
         avatar,
         isBanned,
+        isEmailVerified,
+        lockUntil,
         createdAt
     });
     // const user = await userService.getUserById(req.params.userId);
@@ -76,26 +137,56 @@ const getUser = catchAsync(async (req, res) => {
     // res.send(user);
 });
 
-const updateUser = catchAsync(async (req, res) => {
+const updateUser = auditAction({
+    action: 'user.update',
+    targetType: 'User',
+    loadBefore: loadUser,
+}, async (req, res) => {
     const user = await userService.updateUserById(req.params.userId, req.body);
     res.send(user);
+    return user;
 });
 
-const deleteUser = catchAsync(async (req, res) => {
-    await userService.deleteUserById(req.params.userId);
+const deleteUser = auditAction({
+    action: 'user.delete',
+    targetType: 'User',
+    loadBefore: loadUser,
+}, async (req, res) => {
+    const user = await userService.deleteUserById(req.params.userId);
     res.status(status.NO_CONTENT).send({
         message: 'User deleted successfully'
     });
+    return user;
 });
 
-const banOrUnbanUser = catchAsync(async (req, res) => {
+const banOrUnbanUser = auditAction({
+    action: (req) => (req.body.isBanned ? 'user.ban' : 'user.unban'),
+    targetType: 'User',
+    loadBefore: loadUser,
+}, async (req, res) => {
     const user = await userService.banOrUnbanUser(req.params.userId, req.body.isBanned);
     res.send(user);
+    return user;
 });
 
-const updateRole = catchAsync(async (req, res) => {
+const unlockUser = auditAction({
+    action: 'user.unlock',
+    targetType: 'User',
+    loadBefore: loadUser,
+}, async (req, res) => {
+    const user = await userService.unlockUser(req.params.userId);
+    res.send(user);
+    return user;
+});
+
+const updateRole = auditAction({
+    action: 'user.role.update',
+    targetType: 'User',
+    loadBefore: loadUser,
+}, async (req, res) => {
     const user = await userService.updateUserById(req.params.userId, req.body);
     res.send(user);
+    return user;
 });
 
 // Address management
@@ -218,6 +309,46 @@ const changeAvatar = catchAsync(async (req, res) => {
     res.send({avatar: avatarPath});
 });
 
+// Personal data
+const exportUserData = catchAsync(async (req, res) => {
+    const data = await accountService.exportUserData(req.user._id);
+    const fileName = `petapp-data-${ req.user._id }`;
+
+    if (req.query.format !== 'zip') {
+        res.attachment(`${ fileName }.json`);
+        return res.send(data);
+    }
+
+    // Mỗi nhóm dữ liệu là một file JSON trong archive
+    const archive = archiver('zip', {zlib: {level: 9}});
+    archive.on('error', (error) => res.destroy(error));
+    res.attachment(`${ fileName }.zip`);
+    archive.pipe(res);
+    Object.keys(data).forEach((section) => {
+        archive.append(JSON.stringify(data[section], null, 2), {name: `${ section }.json`});
+    });
+    await archive.finalize();
+});
+
+const deleteAccount = catchAsync(async (req, res) => {
+    await accountService.deleteAccount(req.user, req.body.password);
+    res.status(status.NO_CONTENT).send();
+});
+
+// Session management
+const getSessions = catchAsync(async (req, res) => {
+    const sessions = await sessionService.getSessionsByUserId(req.user._id);
+    res.send(sessions.map((session) => ({
+        ...session.toObject(),
+        isCurrent: session._id.toString() === String(req.sessionId),
+    })));
+});
+
+const revokeSession = catchAsync(async (req, res) => {
+    await sessionService.revokeSession(req.user._id, req.params.sessionId);
+    res.status(status.NO_CONTENT).send();
+});
+
 const getUserAnalytics = catchAsync(async (req, res) => {
     if (req.user.role === 'user') {
         throw new ApiError(status.FORBIDDEN, 'Admin access required');
@@ -235,6 +366,7 @@ const getUserAnalytics = catchAsync(async (req, res) => {
 module.exports = {
     createUser,
     getUsers,
+    exportUsers,
     getUser,
     updateUser,
     deleteUser,
@@ -247,8 +379,13 @@ module.exports = {
     deleteAddress,
     getAddress,
     banOrUnbanUser,
+    unlockUser,
     getUserStats,
     getGrowthAnalysis,
     changeAvatar,
+    exportUserData,
+    deleteAccount,
+    getSessions,
+    revokeSession,
     getUserAnalytics
 };
@@ -0,0 +1,25 @@
+const catchAsync = require('../utils/catchAsync');
+const {wishlistService} = require('../services');
+
+const getWishlist = catchAsync(async (req, res) => {
+    const wishlist = await wishlistService.getWishlist(req.user._id);
+    res.send(wishlist);
+});
+
+const addWishlistItem = catchAsync(async (req, res) => {
+    const {itemType, itemId} = req.body;
+    const wishlist = await wishlistService.addWishlistItem(req.user._id, itemType, itemId);
+    res.send(wishlist);
+});
+
+const removeWishlistItem = catchAsync(async (req, res) => {
+    const {itemType, itemId} = req.params;
+    const wishlist = await wishlistService.removeWishlistItem(req.user._id, itemType, itemId);
+    res.send(wishlist);
+});
+
+module.exports = {
+    getWishlist,
+    addWishlistItem,
+    removeWishlistItem,
+};
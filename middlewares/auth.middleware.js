@@ -1,7 +1,7 @@
 const {status} = require('http-status');
 const jwt = require('jsonwebtoken');
 const config = require('../configs/config');
-const {userService} = require('../services');
+const {userService, settingService, sessionService, twoFactorService, roleService} = require('../services');
 const ApiError = require('../utils/ApiError');
 const catchAsync = require('../utils/catchAsync');
 
@@ -17,32 +17,68 @@ const auth = catchAsync(async (req, res, next) => {
 
     try {
         const payload = jwt.verify(token, config.jwt.secret);
+        if (payload.type !== 'access') {
+            throw new ApiError(status.UNAUTHORIZED, 'Invalid token type');
+        }
         const user = await userService.getUserById(payload.sub);
         if (!user) {
             throw new ApiError(status.UNAUTHORIZED, 'User not found');
         }
 
+        // Phiên đã đăng xuất hoặc bị thu hồi thì access token không còn hiệu lực
+        if (!(await sessionService.isSessionActive(payload.sid, user._id))) {
+            throw new ApiError(status.UNAUTHORIZED, 'Session has been revoked');
+        }
+
         req.user = user;
+        req.sessionId = payload.sid;
         next();
     } catch (error) {
         throw new ApiError(status.UNAUTHORIZED, 'Please authenticate');
     }
 });
 
-const authorize = (...roles) => {
-    return (req, res, next) => {
+/**
+ * Allow only users whose role has all the given permissions
+ * Quyền của từng vai trò được lưu trong DB và admin có thể chỉnh sửa qua /roles
+ * @param {...string} permissions
+ */
+const requirePermission = (...permissions) => catchAsync(async (req, res, next) => {
+    if (!req.user) {
+        throw new ApiError(status.UNAUTHORIZED, 'Please authenticate');
+    }
+    if (!(await roleService.hasPermissions(req.user.role, permissions))) {
+        throw new ApiError(status.FORBIDDEN, 'Insufficient permissions');
+    }
+    // Vai trò bắt buộc 2FA thì chưa bật 2FA sẽ không dùng được các chức năng được phân quyền
+    if (!req.user.twoFactor.enabled && (await twoFactorService.isTwoFactorRequired(req.user.role))) {
+        throw new ApiError(status.FORBIDDEN, 'Two-factor authentication is required for your role');
+    }
+    next();
+});
 
-        if (!req.user) {
-            throw new ApiError(status.UNAUTHORIZED, 'Please authenticate');
-        }
-        if (!roles.includes(req.user.role)) {
-            throw new ApiError(status.FORBIDDEN, 'Insufficient permissions');
-        }
-        next();
-    };
-};
+/**
+ * Block users with an unverified email when the admin settings require verification
+ * @param {string} action - 'orders' or 'bookings'
+ */
+const requireVerifiedEmail = (action) => catchAsync(async (req, res, next) => {
+    if (!req.user) {
+        throw new ApiError(status.UNAUTHORIZED, 'Please authenticate');
+    }
+
+    const {verification} = await settingService.getSettings();
+    const isRequired = action === 'orders'
+        ? verification.requireVerifiedEmailForOrders
+        : verification.requireVerifiedEmailForBookings;
+
+    if (isRequired && !req.user.isEmailVerified) {
+        throw new ApiError(status.FORBIDDEN, 'Please verify your email first');
+    }
+    next();
+});
 
 module.exports = {
     auth,
-    authorize,
+    requirePermission,
+    requireVerifiedEmail,
 };
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Actor ID is required'],
+        immutable: true
+    },
+    actorRole: {
+        type: String,
+        immutable: true
+    },
+    // Tên hành động dạng <đối tượng>.<thao tác>, ví dụ user.role.update
+    action: {
+        type: String,
+        required: [true, 'Action is required'],
+        immutable: true
+    },
+    targetType: {
+        type: String,
+        required: [true, 'Target type is required'],
+        immutable: true
+    },
+    targetId: {
+        type: String,
+        immutable: true
+    },
+    // Chỉ lưu các trường thay đổi, trước và sau thao tác
+    changes: {
+        before: {
+            type: mongoose.Schema.Types.Mixed,
+            immutable: true
+        },
+        after: {
+            type: mongoose.Schema.Types.Mixed,
+            immutable: true
+        }
+    },
+    ip: {
+        type: String,
+        immutable: true
+    },
+    userAgent: {
+        type: String,
+        immutable: true
+    },
+}, {
+    timestamps: {createdAt: true, updatedAt: false}
+});
+
+auditLogSchema.index({createdAt: -1});
+auditLogSchema.index({actorId: 1, createdAt: -1});
+auditLogSchema.index({targetType: 1, targetId: 1, createdAt: -1});
+auditLogSchema.index({action: 1, createdAt: -1});
+
+// Nhật ký không được sửa hoặc xoá sau khi đã ghi
+const rejectMutation = function (next) {
+    next(new Error('Audit logs are immutable'));
+};
+
+auditLogSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return rejectMutation(next);
+    }
+    next();
+});
+auditLogSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    {document: false, query: true},
+    rejectMutation
+);
+auditLogSchema.pre('deleteOne', {document: true, query: false}, rejectMutation);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
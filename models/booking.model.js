@@ -46,6 +46,14 @@ const bookingSchema = new mongoose.Schema({
         type: Number,
         required: [true, 'Total amount is required']
     },
+    discount: {
+        type: Number,
+        default: 0
+    },
+    pointsRedeemed: {
+        type: Number,
+        default: 0
+    },
     notes: {
         type: String
     },
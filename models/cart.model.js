@@ -16,6 +16,17 @@ const cartSchema = new mongoose.Schema({
             ref: 'Product',
             required: true
         },
+        // Biến thể được chọn, chỉ có với sản phẩm có biến thể
+        variantId: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null
+        },
+        sku: {
+            type: String
+        },
+        variantName: {
+            type: String
+        },
         quantity: {
             type: Number,
             required: true,
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Mã giảm giá cá nhân, mỗi mã chỉ dùng được cho một đơn hàng
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Coupon code is required'],
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    discountType: {
+        type: String,
+        enum: ['fixed', 'percent'],
+        required: [true, 'Discount type is required']
+    },
+    // Số tiền (VNĐ) hoặc phần trăm giảm tuỳ discountType
+    value: {
+        type: Number,
+        required: [true, 'Coupon value is required'],
+        min: 0
+    },
+    minOrderAmount: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiration date is required']
+    },
+    source: {
+        type: String,
+        enum: ['referral'],
+        required: [true, 'Coupon source is required']
+    },
+    sourceId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        default: null
+    },
+}, {
+    timestamps: true
+});
+
+couponSchema.index({userId: 1, usedAt: 1, expiresAt: 1});
+couponSchema.index({orderId: 1});
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Sổ kho: mỗi lần tồn kho thay đổi là một bản ghi, tổng quantity bằng tồn kho hiện tại
+const inventoryMovementSchema = new mongoose.Schema({
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'Product ID is required']
+    },
+    // Biến thể bị thay đổi tồn kho, null với sản phẩm không có biến thể
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    sku: {
+        type: String
+    },
+    type: {
+        type: String,
+        enum: ['sale', 'cancellation', 'adjustment', 'return', 'receipt'],
+        required: [true, 'Movement type is required']
+    },
+    // Số lượng thay đổi có dấu: dương khi nhập, âm khi xuất
+    quantity: {
+        type: Number,
+        required: [true, 'Quantity is required']
+    },
+    // Tồn kho của sản phẩm/biến thể sau khi thay đổi
+    balance: {
+        type: Number,
+        required: [true, 'Balance is required']
+    },
+    // Người thực hiện, null khi do hệ thống (ví dụ huỷ đơn quá hạn thanh toán)
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    actorRole: {
+        type: String
+    },
+    referenceType: {
+        type: String,
+        enum: ['order']
+    },
+    referenceId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    note: {
+        type: String
+    },
+}, {
+    timestamps: {createdAt: true, updatedAt: false}
+});
+
+inventoryMovementSchema.index({productId: 1, variantId: 1, createdAt: -1});
+inventoryMovementSchema.index({referenceType: 1, referenceId: 1});
+
+module.exports = mongoose.model('InventoryMovement', inventoryMovementSchema);
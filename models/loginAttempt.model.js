@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Số lần đăng nhập sai theo địa chỉ IP trong một khoảng thời gian
+const loginAttemptSchema = new mongoose.Schema({
+    ip: {
+        type: String,
+        required: [true, 'IP is required'],
+        unique: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    expires: {
+        type: Date,
+        required: [true, 'Expiration date is required']
+    },
+}, {
+    timestamps: true
+});
+
+// MongoDB tự xoá bộ đếm khi hết cửa sổ thời gian
+loginAttemptSchema.index({expires: 1}, {expireAfterSeconds: 0});
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Sổ điểm thưởng: mỗi lần cộng/trừ điểm là một bản ghi, số dư là tổng điểm còn lại của các lần cộng chưa hết hạn
+const loyaltyTransactionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    type: {
+        type: String,
+        enum: ['earn', 'redeem', 'restore', 'clawback', 'expire'],
+        required: [true, 'Transaction type is required']
+    },
+    // Số điểm có dấu: dương khi cộng, âm khi trừ
+    points: {
+        type: Number,
+        required: [true, 'Points are required']
+    },
+    sourceType: {
+        type: String,
+        enum: ['order', 'booking', 'referral']
+    },
+    sourceId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    // Chỉ dùng cho bản ghi earn: số điểm chưa dùng và thời điểm hết hạn
+    remainingPoints: {
+        type: Number,
+        min: 0
+    },
+    expiresAt: {
+        type: Date
+    },
+    // Các lần cộng điểm bị trừ bởi bản ghi redeem/clawback, dùng để hoàn lại đúng chỗ
+    lots: [{
+        _id: false,
+        lotId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'LoyaltyTransaction'
+        },
+        points: {
+            type: Number
+        }
+    }],
+    note: {
+        type: String
+    },
+}, {
+    timestamps: true
+});
+
+loyaltyTransactionSchema.index({userId: 1, createdAt: -1});
+loyaltyTransactionSchema.index({userId: 1, type: 1, expiresAt: 1});
+loyaltyTransactionSchema.index({sourceType: 1, sourceId: 1, type: 1});
+
+module.exports = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
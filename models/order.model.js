@@ -7,6 +7,16 @@ const orderItemSchema = new mongoose.Schema({
         ref: 'Product',
         required: [true, 'Product ID is required']
     },
+    // Biến thể đã mua, chỉ có với sản phẩm có biến thể
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    sku: {
+        type: String
+    },
+    variantName: {
+        type: String
+    },
     name: {
         type: String,
         required: [true, 'Product name is required']
@@ -34,7 +44,34 @@ const orderItemSchema = new mongoose.Schema({
     },
     image: {
         type: String
-    }
+    },
+    // Thành phần của combo tại thời điểm đặt, số lượng là tổng cho cả dòng
+    // và doanh thu của dòng được phân bổ về từng thành phần theo giá bán lẻ
+    components: [{
+        _id: false,
+        productId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product'
+        },
+        variantId: {
+            type: mongoose.Schema.Types.ObjectId
+        },
+        sku: {
+            type: String
+        },
+        name: {
+            type: String
+        },
+        variantName: {
+            type: String
+        },
+        quantity: {
+            type: Number
+        },
+        subtotal: {
+            type: Number
+        }
+    }]
 });
 
 const statusHistorySchema = new mongoose.Schema({
@@ -76,6 +113,16 @@ const shippingAddressSchema = new mongoose.Schema({
         type: String,
         required: [true, 'City is required']
     },
+    // Mã đơn vị hành chính theo danh mục của Tổng cục Thống kê
+    wardCode: {
+        type: String
+    },
+    districtCode: {
+        type: String
+    },
+    cityCode: {
+        type: String
+    },
     note: {
         type: String
     }
@@ -107,6 +154,13 @@ const orderSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    pointsRedeemed: {
+        type: Number,
+        default: 0
+    },
+    couponCode: {
+        type: String
+    },
     totalAmount: {
         type: Number,
         required: [true, 'Total amount is required']
@@ -153,6 +207,10 @@ const orderSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Payment'
     },
+    // Thời điểm đơn đã giao được cộng vào thống kê mua kèm
+    coPurchaseRecordedAt: {
+        type: Date
+    },
 }, {
     timestamps: true
 });
@@ -175,6 +233,8 @@ orderSchema.index({customerId: 1});
 orderSchema.index({status: 1});
 orderSchema.index({paymentStatus: 1});
 orderSchema.index({createdAt: 1});
+orderSchema.index({status: 1, coPurchaseRecordedAt: 1});
 orderSchema.index({'customerInfo.phone': 1});
+orderSchema.index({'shippingAddress.cityCode': 1, 'shippingAddress.districtCode': 1});
 
 module.exports = mongoose.model('Order', orderSchema);
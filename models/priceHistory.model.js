@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Lịch sử giá của sản phẩm, biến thể và dịch vụ, mỗi lần giá thay đổi có một bản ghi
+const priceHistorySchema = new mongoose.Schema({
+    itemType: {
+        type: String,
+        enum: ['product', 'service'],
+        required: [true, 'Item type is required']
+    },
+    itemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, 'Item ID is required']
+    },
+    // Null với giá cấp sản phẩm hoặc dịch vụ
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    price: {
+        type: Number,
+        required: [true, 'Price is required']
+    },
+    salePrice: {
+        type: Number,
+        default: null
+    },
+    onSale: {
+        type: Boolean,
+        default: false
+    },
+    // Giá khách thực trả tại thời điểm đó
+    effectivePrice: {
+        type: Number,
+        required: true
+    },
+    source: {
+        type: String,
+        enum: ['manual', 'schedule'],
+        default: 'manual'
+    },
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+}, {
+    timestamps: true
+});
+
+priceHistorySchema.index({itemType: 1, itemId: 1, variantId: 1, createdAt: -1});
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Lịch giảm giá tự động bật/tắt giá khuyến mãi theo thời gian
+const priceScheduleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Schedule name is required'],
+        trim: true
+    },
+    // Phạm vi áp dụng: sản phẩm, danh mục sản phẩm, dịch vụ hoặc loại thú cưng (cả sản phẩm và dịch vụ)
+    targetType: {
+        type: String,
+        enum: ['product', 'category', 'service', 'petType'],
+        required: [true, 'Target type is required']
+    },
+    targetIds: [{
+        type: mongoose.Schema.Types.ObjectId
+    }],
+    petTypes: {
+        type: [String],
+        default: []
+    },
+    discountType: {
+        type: String,
+        enum: ['percent', 'fixed'],
+        required: [true, 'Discount type is required']
+    },
+    // Phần trăm hoặc số tiền (VNĐ) giảm trên giá gốc
+    value: {
+        type: Number,
+        required: [true, 'Discount value is required'],
+        min: 0
+    },
+    startsAt: {
+        type: Date,
+        required: [true, 'Start time is required']
+    },
+    endsAt: {
+        type: Date,
+        required: [true, 'End time is required']
+    },
+    // Khi nhiều lịch cùng áp dụng cho một mặt hàng, lịch có độ ưu tiên cao nhất được dùng
+    priority: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['scheduled', 'active', 'ended', 'cancelled'],
+        default: 'scheduled'
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Lịch sử thay đổi và các lần bộ lập lịch bật/tắt giá
+    history: [{
+        _id: false,
+        action: {
+            type: String,
+            enum: ['created', 'updated', 'activated', 'ended', 'cancelled'],
+            required: true
+        },
+        at: {
+            type: Date,
+            default: Date.now
+        },
+        actorId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        itemCount: {
+            type: Number
+        }
+    }],
+}, {
+    timestamps: true
+});
+
+priceScheduleSchema.index({status: 1, startsAt: 1, endsAt: 1});
+
+module.exports = mongoose.model('PriceSchedule', priceScheduleSchema);
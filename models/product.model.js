@@ -1,11 +1,93 @@
 const mongoose = require('mongoose');
 
+// Các trục tuỳ chọn dùng để phân biệt biến thể của cùng một sản phẩm
+const variantOptionAxes = ['size', 'flavor', 'color'];
+
+const variantSchema = new mongoose.Schema({
+    sku: {
+        type: String,
+        required: [true, 'SKU is required'],
+        trim: true,
+        uppercase: true
+    },
+    // Giá trị của từng trục, ví dụ {size: '2kg', flavor: 'Gà'}
+    options: {
+        size: {type: String, trim: true},
+        flavor: {type: String, trim: true},
+        color: {type: String, trim: true}
+    },
+    price: {
+        type: Number,
+        required: [true, 'Price is required']
+    },
+    salePrice: {
+        type: Number
+    },
+    onSale: {
+        type: Boolean,
+        default: false
+    },
+    stock: {
+        type: Number,
+        default: 0
+    },
+    images: {
+        type: [String],
+        default: []
+    },
+    soldCount: {
+        type: Number,
+        default: 0
+    },
+    // Ngưỡng cảnh báo sắp hết hàng, để trống thì dùng ngưỡng của sản phẩm
+    reorderThreshold: {
+        type: Number,
+        min: 0
+    },
+    // Thời điểm đã gửi cảnh báo sắp hết hàng, được xoá khi tồn kho vượt lại ngưỡng
+    lowStockAlertedAt: {
+        type: Date
+    },
+    // Trạng thái giảm giá do nhân viên đặt, được khôi phục khi lịch giá kết thúc
+    manualSale: {
+        onSale: Boolean,
+        salePrice: Number,
+        savedAt: Date
+    },
+});
+
+// Thành phần của sản phẩm combo, số lượng tính cho một combo
+const bundleItemSchema = new mongoose.Schema({
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'Component product ID is required']
+    },
+    // Bắt buộc khi sản phẩm thành phần có biến thể
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    quantity: {
+        type: Number,
+        required: [true, 'Component quantity is required'],
+        min: 1
+    },
+}, {
+    _id: false
+});
+
 const productSchema = new mongoose.Schema({
     name: {
         type: String,
         required: [true, 'Product name is required'],
         trim: true
     },
+    // Mã SKU của sản phẩm không có biến thể, dùng để nhập/xuất danh mục
+    sku: {
+        type: String,
+        trim: true,
+        uppercase: true
+    },
     description: {
         type: String,
         trim: true
@@ -73,6 +155,48 @@ const productSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Ngưỡng cảnh báo sắp hết hàng, để trống thì dùng ngưỡng mặc định trong cài đặt
+    reorderThreshold: {
+        type: Number,
+        min: 0
+    },
+    lowStockAlertedAt: {
+        type: Date
+    },
+    // Lịch giá đang áp dụng giá khuyến mãi cho sản phẩm
+    priceScheduleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PriceSchedule'
+    },
+    // Trạng thái giảm giá do nhân viên đặt, được khôi phục khi lịch giá kết thúc
+    manualSale: {
+        onSale: Boolean,
+        salePrice: Number,
+        savedAt: Date
+    },
+    // Combo được bán như một SKU, tồn kho được tính từ tồn kho của các thành phần
+    productType: {
+        type: String,
+        enum: ['standard', 'bundle'],
+        default: 'standard'
+    },
+    bundleItems: {
+        type: [bundleItemSchema],
+        default: []
+    },
+    // Các trục tuỳ chọn và giá trị đang dùng, được tổng hợp từ variants
+    options: [{
+        _id: false,
+        name: {
+            type: String,
+            enum: variantOptionAxes
+        },
+        values: [String]
+    }],
+    variants: {
+        type: [variantSchema],
+        default: []
+    },
 }, {
     timestamps: true
 });
@@ -97,5 +221,43 @@ productSchema.index({categoryId: 1});
 productSchema.index({petTypes: 1});
 productSchema.index({onSale: 1});
 productSchema.index({stock: 1});
+productSchema.index({'bundleItems.productId': 1});
+
+productSchema.index({sku: 1}, {unique: true, sparse: true});
+productSchema.index({'variants.sku': 1}, {unique: true, sparse: true});
+
+/**
+ * Get the display name of a variant from its option values
+ * @param {Object} variant
+ * @returns {string}
+ */
+const getVariantName = (variant) => variantOptionAxes
+    .map((axis) => variant.options && variant.options[axis])
+    .filter(Boolean)
+    .join(' / ');
+
+// Pre-save hook to keep the product-level price, sale state, stock and options in sync with the variants
+// Giá và tồn kho cấp sản phẩm vẫn được dùng cho lọc, sắp xếp và thống kê
+productSchema.pre('save', function(next) {
+    if (this.variants.length === 0) {
+        this.options = [];
+        return next();
+    }
+
+    const onSaleVariants = this.variants.filter((variant) => variant.onSale && variant.salePrice);
+    this.price = Math.min(...this.variants.map((variant) => variant.price));
+    this.onSale = onSaleVariants.length > 0;
+    this.salePrice = this.onSale ? Math.min(...onSaleVariants.map((variant) => variant.salePrice)) : undefined;
+    this.stock = this.variants.reduce((total, variant) => total + variant.stock, 0);
+    this.options = variantOptionAxes
+        .filter((axis) => this.variants[0].options[axis])
+        .map((axis) => ({
+            name: axis,
+            values: [...new Set(this.variants.map((variant) => variant.options[axis]))]
+        }));
+    next();
+});
+
+productSchema.statics.getVariantName = getVariantName;
 
 module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Thống kê mua kèm: số đơn đã giao có cả hai sản phẩm, mỗi cặp được lưu theo cả hai chiều
+const productAssociationSchema = new mongoose.Schema({
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'Product ID is required']
+    },
+    relatedProductId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'Related product ID is required']
+    },
+    orderCount: {
+        type: Number,
+        default: 0
+    },
+    lastOrderedAt: {
+        type: Date
+    },
+}, {
+    timestamps: true
+});
+
+productAssociationSchema.index({productId: 1, relatedProductId: 1}, {unique: true});
+productAssociationSchema.index({productId: 1, orderCount: -1});
+
+module.exports = mongoose.model('ProductAssociation', productAssociationSchema);
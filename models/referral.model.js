@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Mỗi người được giới thiệu chỉ có một bản ghi, phần thưởng được phát khi đơn hàng đầu tiên được giao
+const referralSchema = new mongoose.Schema({
+    referrerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Referrer ID is required']
+    },
+    refereeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Referee ID is required'],
+        unique: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'rewarded', 'rejected', 'reversed'],
+        default: 'pending'
+    },
+    // Đơn hàng đầu tiên của người được giới thiệu đã được giao
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    convertedAt: {
+        type: Date
+    },
+    rewardType: {
+        type: String,
+        enum: ['points', 'coupon']
+    },
+    referrerReward: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    refereeReward: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    // Đơn hàng đầu tiên được hoàn tiền sau khi đã phát thưởng, phần thưởng bị thu hồi
+    reversedAt: {
+        type: Date
+    },
+    // Lý do từ chối phát thưởng khi phát hiện gian lận
+    rejectionReasons: {
+        type: [String],
+        default: []
+    },
+}, {
+    timestamps: true
+});
+
+referralSchema.index({referrerId: 1, createdAt: -1});
+referralSchema.index({status: 1, createdAt: -1});
+
+module.exports = mongoose.model('Referral', referralSchema);
@@ -44,6 +44,13 @@ const reviewSchema = new mongoose.Schema({
         ref: 'User',
         required: [true, 'Customer ID is required']
     },
+    // Biến thể của sản phẩm đã mua, nếu có
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    variantName: {
+        type: String
+    },
     customerName: {
         type: String,
         // required: [true, 'Customer name is required']
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const {roles, permissions} = require('../configs/roles');
+
+const roleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        enum: roles,
+        required: [true, 'Role name is required'],
+        unique: true,
+        immutable: true
+    },
+    permissions: {
+        type: [String],
+        enum: permissions,
+        default: []
+    },
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Chỉ mục n-gram cho gợi ý tìm kiếm, mỗi sản phẩm, dịch vụ hoặc danh mục có một document
+const searchIndexSchema = new mongoose.Schema({
+    itemType: {
+        type: String,
+        enum: ['product', 'service', 'category'],
+        required: [true, 'Item type is required']
+    },
+    itemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, 'Item ID is required']
+    },
+    name: {
+        type: String,
+        required: [true, 'Name is required']
+    },
+    // Văn bản đã bỏ dấu và chuẩn hoá, dùng để chấm điểm
+    text: {
+        type: String,
+        required: true
+    },
+    ngrams: {
+        type: [String],
+        default: []
+    },
+}, {
+    timestamps: true
+});
+
+searchIndexSchema.index({itemType: 1, itemId: 1}, {unique: true});
+searchIndexSchema.index({ngrams: 1});
+
+module.exports = mongoose.model('SearchIndex', searchIndexSchema);
@@ -55,6 +55,17 @@ const serviceSchema = new mongoose.Schema({
     salePrice: {
         type: Number
     },
+    // Lịch giá đang áp dụng giá khuyến mãi cho dịch vụ
+    priceScheduleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PriceSchedule'
+    },
+    // Trạng thái giảm giá do nhân viên đặt, được khôi phục khi lịch giá kết thúc
+    manualSale: {
+        onSale: Boolean,
+        salePrice: Number,
+        savedAt: Date
+    },
     capacity: {
         type: Number,
         default: 1
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Mỗi thiết bị đăng nhập là một phiên với refresh token riêng
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    // SHA-256 của refresh token hiện tại, đổi mới sau mỗi lần refresh
+    refreshTokenHash: {
+        type: String,
+        required: [true, 'Refresh token hash is required']
+    },
+    userAgent: {
+        type: String
+    },
+    ip: {
+        type: String
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expires: {
+        type: Date,
+        required: [true, 'Expiration date is required']
+    },
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({userId: 1, lastUsedAt: -1});
+// MongoDB tự xoá phiên khi refresh token hết hạn
+sessionSchema.index({expires: 1}, {expireAfterSeconds: 0});
+
+module.exports = mongoose.model('Session', sessionSchema);
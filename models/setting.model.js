@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+
+// Cấu hình hệ thống do admin chỉnh sửa, chỉ có một document duy nhất
+const settingSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        default: 'global',
+        unique: true,
+        immutable: true
+    },
+    verification: {
+        requireVerifiedEmailForOrders: {
+            type: Boolean,
+            default: false
+        },
+        requireVerifiedEmailForBookings: {
+            type: Boolean,
+            default: false
+        }
+    },
+    twoFactor: {
+        // Các vai trò bắt buộc bật xác thực hai lớp
+        requiredRoles: {
+            type: [String],
+            enum: ['user', 'staff', 'admin'],
+            default: []
+        }
+    },
+    loyalty: {
+        enabled: {
+            type: Boolean,
+            default: true
+        },
+        // Số điểm nhận được cho mỗi 1.000đ thanh toán
+        earnRate: {
+            type: Number,
+            min: 0,
+            default: 1
+        },
+        // Giá trị quy đổi của một điểm (VNĐ)
+        redeemRate: {
+            type: Number,
+            min: 0,
+            default: 10
+        },
+        // Tỷ lệ tối đa của giá trị đơn được trả bằng điểm (%)
+        maxRedeemPercent: {
+            type: Number,
+            min: 0,
+            max: 100,
+            default: 50
+        },
+        pointsExpiryDays: {
+            type: Number,
+            min: 1,
+            default: 365
+        }
+    },
+    referral: {
+        enabled: {
+            type: Boolean,
+            default: true
+        },
+        // Phần thưởng cho cả người giới thiệu và người được giới thiệu: điểm thưởng hoặc mã giảm giá
+        rewardType: {
+            type: String,
+            enum: ['points', 'coupon'],
+            default: 'points'
+        },
+        referrerPoints: {
+            type: Number,
+            min: 0,
+            default: 500
+        },
+        refereePoints: {
+            type: Number,
+            min: 0,
+            default: 200
+        },
+        couponDiscountType: {
+            type: String,
+            enum: ['fixed', 'percent'],
+            default: 'fixed'
+        },
+        // Giá trị mã giảm giá: số tiền (VNĐ) hoặc phần trăm tuỳ couponDiscountType
+        referrerCouponValue: {
+            type: Number,
+            min: 0,
+            default: 50000
+        },
+        refereeCouponValue: {
+            type: Number,
+            min: 0,
+            default: 30000
+        },
+        couponMinOrderAmount: {
+            type: Number,
+            min: 0,
+            default: 0
+        },
+        couponExpiryDays: {
+            type: Number,
+            min: 1,
+            default: 30
+        }
+    },
+    inventory: {
+        lowStockAlertsEnabled: {
+            type: Boolean,
+            default: true
+        },
+        // Ngưỡng cho sản phẩm và biến thể chưa đặt reorderThreshold
+        defaultReorderThreshold: {
+            type: Number,
+            min: 0,
+            default: 5
+        },
+        // Số ngày gần nhất dùng để tính tốc độ bán
+        salesVelocityDays: {
+            type: Number,
+            min: 1,
+            default: 30
+        },
+        // Số ngày từ lúc đặt hàng nhà cung cấp đến khi hàng về kho
+        reorderLeadTimeDays: {
+            type: Number,
+            min: 0,
+            default: 7
+        },
+        // Số ngày bán hàng mà mỗi lần nhập cần đủ đáp ứng
+        reorderCoverageDays: {
+            type: Number,
+            min: 1,
+            default: 30
+        },
+        // Số ngày một đăng ký báo có hàng còn hiệu lực
+        restockSubscriptionDays: {
+            type: Number,
+            min: 1,
+            default: 90
+        },
+        // Khoảng cách giữa hai đợt báo có hàng khi hàng còn nhưng nhóm trước chưa mua hết
+        restockBatchIntervalHours: {
+            type: Number,
+            min: 1,
+            default: 12
+        }
+    },
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Đăng ký nhận thông báo khi sản phẩm hoặc biến thể hết hàng có hàng trở lại
+const stockSubscriptionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'Product ID is required']
+    },
+    // Bắt buộc với sản phẩm có biến thể
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    // Số lượng khách muốn mua, dùng để chia đợt thông báo theo tồn kho
+    quantity: {
+        type: Number,
+        min: 1,
+        default: 1
+    },
+    status: {
+        type: String,
+        enum: ['waiting', 'notified', 'expired', 'cancelled'],
+        default: 'waiting'
+    },
+    notifiedAt: {
+        type: Date
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry date is required']
+    },
+}, {
+    timestamps: true
+});
+
+// Mỗi người dùng chỉ có một đăng ký đang chờ cho mỗi sản phẩm/biến thể
+stockSubscriptionSchema.index(
+    {userId: 1, productId: 1, variantId: 1},
+    {unique: true, partialFilterExpression: {status: 'waiting'}}
+);
+stockSubscriptionSchema.index({productId: 1, variantId: 1, status: 1, createdAt: 1});
+stockSubscriptionSchema.index({status: 1, expiresAt: 1});
+
+module.exports = mongoose.model('StockSubscription', stockSubscriptionSchema);
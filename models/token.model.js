@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const tokenSchema = new mongoose.Schema({
+    // SHA-256 của token gửi cho người dùng, không lưu token gốc
+    tokenHash: {
+        type: String,
+        required: [true, 'Token hash is required'],
+        unique: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    type: {
+        type: String,
+        enum: ['resetPassword', 'verifyEmail'],
+        required: [true, 'Token type is required']
+    },
+    expires: {
+        type: Date,
+        required: [true, 'Expiration date is required']
+    },
+}, {
+    timestamps: true
+});
+
+tokenSchema.index({userId: 1, type: 1});
+// MongoDB tự xoá token khi hết hạn
+tokenSchema.index({expires: 1}, {expireAfterSeconds: 0});
+
+module.exports = mongoose.model('Token', tokenSchema);
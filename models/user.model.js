@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 
 const addressSchema = new mongoose.Schema({
     fullName: {
@@ -25,6 +26,16 @@ const addressSchema = new mongoose.Schema({
         type: String,
         required: true,
     },
+    // Mã đơn vị hành chính theo danh mục của Tổng cục Thống kê
+    wardCode: {
+        type: String,
+    },
+    districtCode: {
+        type: String,
+    },
+    cityCode: {
+        type: String,
+    },
     isDefault: {
         type: Boolean,
         default: false,
@@ -62,18 +73,84 @@ const userSchema = new mongoose.Schema({
         default: '/uploads/users/default-avatar.png'
     },
     addresses: [addressSchema],
-    refreshToken: {
-        type: String,
-        default: null
-    },
     isBanned: {
         type: Boolean,
         default: false
+    },
+    isEmailVerified: {
+        type: Boolean,
+        default: false
+    },
+    // Chống dò mật khẩu: số lần đăng nhập sai liên tiếp và thời điểm hết khoá
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lockCount: {
+        type: Number,
+        default: 0
+    },
+    lockUntil: {
+        type: Date,
+        default: null
+    },
+    // Mã giới thiệu của người dùng và người đã giới thiệu họ khi đăng ký
+    referralCode: {
+        type: String,
+        unique: true,
+        sparse: true,
+        uppercase: true,
+        trim: true
+    },
+    referredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Thời điểm người dùng tự xoá tài khoản, thông tin cá nhân đã được ẩn danh
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    // Xác thực hai lớp (TOTP), các trường bí mật không được trả về mặc định
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        // SHA-256 của các mã khôi phục, mỗi mã chỉ dùng được một lần
+        recoveryCodes: {
+            type: [String],
+            select: false
+        },
+        lastUsedTimeStep: {
+            type: Number,
+            select: false
+        },
+        enabledAt: {
+            type: Date
+        }
     }
 }, {
     timestamps: true
 });
 
+// Pre-save hook to generate referral code
+userSchema.pre('save', function(next) {
+    if (!this.referralCode) {
+        this.referralCode = crypto.randomBytes(5).toString('hex').toUpperCase();
+    }
+    next();
+});
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
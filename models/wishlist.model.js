@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const wishlistSchema = new mongoose.Schema({
+    // Tham chiếu đến người dùng sở hữu danh sách yêu thích
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true  // Mỗi người dùng chỉ có một danh sách yêu thích
+    },
+
+    // Sản phẩm hoặc dịch vụ được yêu thích
+    items: [{
+        _id: false,
+        itemType: {
+            type: String,
+            enum: ['product', 'service'],
+            required: true
+        },
+        itemId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+        },
+        addedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+}, {
+    timestamps: true
+});
+
+// Tìm người dùng cần thông báo khi sản phẩm/dịch vụ giảm giá hoặc có hàng trở lại
+wishlistSchema.index({'items.itemType': 1, 'items.itemId': 1});
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
@@ -0,0 +1,17 @@
+const express = require('express');
+const validate = require('../middlewares/validate.middleware');
+const auditLogValidation = require('../validations');
+const {auditLogController} = require('../controllers');
+const {auth, requirePermission} = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+router.get(
+    '/',
+    auth,
+    requirePermission('audit:read'),
+    validate(auditLogValidation.getAuditLogs.query, 'query'),
+    auditLogController.getAuditLogs
+);
+
+module.exports = router;
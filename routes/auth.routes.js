@@ -8,14 +8,22 @@ const router = express.Router();
 
 router.post('/register', validate(authValidation.register.body), authController.register);
 router.post('/login', validate(authValidation.login.body), authController.login);
+router.post('/login/2fa', validate(authValidation.loginWithTwoFactor.body), authController.loginWithTwoFactor);
 router.post('/refresh-tokens', validate(authValidation.refreshTokens.body), authController.refreshTokens);
-// router.post('/forgot-password', validate(authValidation.forgotPassword.body), authController.forgotPassword);
-// router.post('/reset-password',
-//     validate(authValidation.resetPassword.query, 'query'),
-//     validate(authValidation.resetPassword.body),
-//     authController.resetPassword
-// );
-// router.post('/verify-email', validate(authValidation.verifyEmail.query, 'query'), authController.verifyEmail);
+router.post('/logout', auth, authController.logout);
+router.post('/logout-all', auth, authController.logoutAll);
+router.post('/forgot-password', validate(authValidation.forgotPassword.body), authController.forgotPassword);
+router.post('/reset-password',
+    validate(authValidation.resetPassword.query, 'query'),
+    validate(authValidation.resetPassword.body),
+    authController.resetPassword
+);
+router.post('/send-verification-email', auth, authController.sendVerificationEmail);
+router.post('/verify-email', validate(authValidation.verifyEmail.query, 'query'), authController.verifyEmail);
+router.post('/2fa/setup', auth, authController.setupTwoFactor);
+router.post('/2fa/enable', auth, validate(authValidation.twoFactorCode.body), authController.enableTwoFactor);
+router.post('/2fa/disable', auth, validate(authValidation.disableTwoFactor.body), authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', auth, validate(authValidation.twoFactorCode.body), authController.regenerateRecoveryCodes);
 // router.get('/profile', auth, authController.getProfile);
 // router.patch('/profile', auth, validate(authValidation.updateUser.body), authController.updateProfile);
 // router.patch('/change-avatar', auth, userImageUpload.single('avatar'), authController.changeAvatar);
@@ -2,14 +2,14 @@ const express = require('express');
 const validate = require('../middlewares/validate.middleware');
 const bookingValidation = require('../validations');
 const {bookingController} = require('../controllers');
-const {auth, authorize} = require('../middlewares/auth.middleware');
+const {auth, requirePermission, requireVerifiedEmail} = require('../middlewares/auth.middleware');
 
 const router = express.Router();
 
 // Add analytics endpoint
 router.get('/analytics',
     auth,
-    authorize('admin', 'staff'),
+    requirePermission('reports:read'),
     validate(bookingValidation.getBookingAnalytics.query, 'query'),
     bookingController.getBookingAnalytics
 );
@@ -30,13 +30,13 @@ router.put(
 router.get(
     '/upcoming',
     auth,
-    authorize('admin', 'staff'),
+    requirePermission('bookings:read'),
     bookingController.getUpcomingBookings
 );
 router
     .route('/')
     .get(auth, validate(bookingValidation.getBookings.query, 'query'), bookingController.getBookings)
-    .post(auth, validate(bookingValidation.createBooking.body), bookingController.createBooking);
+    .post(auth, requireVerifiedEmail('bookings'), validate(bookingValidation.createBooking.body), bookingController.createBooking);
 
 router
     .route('/:bookingId')
@@ -19,7 +19,12 @@ router
         validate(cartValidation.updateCartItem.body),
         cartController.updateCartItem
     )
-    .delete(auth, validate(cartValidation.updateCartItem.params, 'params'), cartController.removeCartItem);
+    .delete(
+        auth,
+        validate(cartValidation.updateCartItem.params, 'params'),
+        validate(cartValidation.removeCartItem.query, 'query'),
+        cartController.removeCartItem
+    );
 
 router.delete('/clear', auth, cartController.clearCart);
 
@@ -2,7 +2,7 @@ const express = require('express');
 const validate = require('../middlewares/validate.middleware');
 const categoryValidation = require('../validations');
 const {categoryController} = require('../controllers');
-const {auth, authorize} = require('../middlewares/auth.middleware');
+const {auth, requirePermission} = require('../middlewares/auth.middleware');
 const {categoryImageUpload} = require('../configs/multer');
 
 
@@ -13,7 +13,7 @@ router
     .get(auth, validate(categoryValidation.getCategories.query, 'query'), categoryController.getCategories)
     .post(
         auth,
-        authorize('admin'),
+        requirePermission('categories:write'),
         categoryImageUpload.single('image'),
         validate(categoryValidation.createCategory.body),
         categoryController.createCategory
@@ -21,10 +21,10 @@ router
 
 router
     .route('/:categoryId')
-    .get(auth, authorize('admin', 'staff'), validate(categoryValidation.getCategory.params, 'params'), categoryController.getCategory)
+    .get(auth, requirePermission('categories:read'), validate(categoryValidation.getCategory.params, 'params'), categoryController.getCategory)
     .patch(
         auth,
-        authorize('admin'),
+        requirePermission('categories:write'),
         categoryImageUpload.single('image'),
         validate(categoryValidation.updateCategory.params, 'params'),
         validate(categoryValidation.updateCategory.body),
@@ -32,7 +32,7 @@ router
     )
     .delete(
         auth,
-        authorize('admin'),
+        requirePermission('categories:write'),
         validate(categoryValidation.getCategory.params, 'params'),
         categoryController.deleteCategory
     );
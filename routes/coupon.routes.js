@@ -0,0 +1,11 @@
+const express = require('express');
+const validate = require('../middlewares/validate.middleware');
+const couponValidation = require('../validations');
+const {couponController} = require('../controllers');
+const {auth} = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+router.get('/me', auth, validate(couponValidation.getMyCoupons.query, 'query'), couponController.getMyCoupons);
+
+module.exports = router;
@@ -11,6 +11,17 @@ const bookingRoute = require('./booking.routes');
 const petRoute = require('./pet.routes');
 const paymentRoute = require('./payment.routes');
 const ragRoute = require('./rag.routes');
+const settingRoute = require('./setting.routes');
+const roleRoute = require('./role.routes');
+const auditLogRoute = require('./auditLog.routes');
+const locationRoute = require('./location.routes');
+const loyaltyRoute = require('./loyalty.routes');
+const referralRoute = require('./referral.routes');
+const couponRoute = require('./coupon.routes');
+const wishlistRoute = require('./wishlist.routes');
+const searchRoute = require('./search.routes');
+const priceScheduleRoute = require('./priceSchedule.routes');
+const stockSubscriptionRoute = require('./stockSubscription.routes');
 
 const router = express.Router();
 
@@ -62,6 +73,50 @@ const routes = [
     {
         path: '/rag',
         route: ragRoute,
+    },
+    {
+        path: '/settings',
+        route: settingRoute,
+    },
+    {
+        path: '/roles',
+        route: roleRoute,
+    },
+    {
+        path: '/audit-logs',
+        route: auditLogRoute,
+    },
+    {
+        path: '/locations',
+        route: locationRoute,
+    },
+    {
+        path: '/loyalty',
+        route: loyaltyRoute,
+    },
+    {
+        path: '/referrals',
+        route: referralRoute,
+    },
+    {
+        path: '/coupons',
+        route: couponRoute,
+    },
+    {
+        path: '/wishlist',
+        route: wishlistRoute,
+    },
+    {
+        path: '/search',
+        route: searchRoute,
+    },
+    {
+        path: '/price-schedules',
+        route: priceScheduleRoute,
+    },
+    {
+        path: '/restock-subscriptions',
+        route: stockSubscriptionRoute,
     }
 ];
 
@@ -0,0 +1,20 @@
+const express = require('express');
+const validate = require('../middlewares/validate.middleware');
+const locationValidation = require('../validations');
+const {locationController} = require('../controllers');
+
+const router = express.Router();
+
+router.get('/provinces', locationController.getProvinces);
+router.get(
+    '/provinces/:provinceCode/districts',
+    validate(locationValidation.getDistricts.params, 'params'),
+    locationController.getDistricts
+);
+router.get(
+    '/districts/:districtCode/wards',
+    validate(locationValidation.getWards.params, 'params'),
+    locationController.getWards
+);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const validate = require('../middlewares/validate.middleware');
+const loyaltyValidation = require('../validations');
+const {loyaltyController} = require('../controllers');
+const {auth} = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+router.get('/me', auth, loyaltyController.getLoyaltySummary);
+router.get(
+    '/me/transactions',
+    auth,
+    validate(loyaltyValidation.getLoyaltyTransactions.query, 'query'),
+    loyaltyController.getLoyaltyTransactions
+);
+
+module.exports = router;
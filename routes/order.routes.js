@@ -2,22 +2,22 @@ const express = require('express');
 const validate = require('../middlewares/validate.middleware');
 const orderValidation = require('../validations');
 const {orderController} = require('../controllers');
-const {auth, authorize} = require('../middlewares/auth.middleware');
+const {auth, requirePermission, requireVerifiedEmail} = require('../middlewares/auth.middleware');
 
 const router = express.Router();
 
 // Add analytics endpoint
 router.get('/analytics',
     auth,
-    authorize('admin', 'staff'),
+    requirePermission('reports:read'),
     validate(orderValidation.getOrderAnalytics.query, 'query'),
     orderController.getOrderAnalytics
 );
 
 router
     .route('/')
-    .get(auth, authorize('admin', 'staff'), validate(orderValidation.getOrders.query, 'query'), orderController.getOrders)
-    .post(auth, validate(orderValidation.createOrder.body), orderController.createOrder);
+    .get(auth, requirePermission('orders:read'), validate(orderValidation.getOrders.query, 'query'), orderController.getOrders)
+    .post(auth, requireVerifiedEmail('orders'), validate(orderValidation.createOrder.body), orderController.createOrder);
 
 router.get('/my-orders', auth, validate(orderValidation.getUserOrders.query, 'query'), orderController.getUserOrders);
 
@@ -29,7 +29,7 @@ router
     .get(auth, validate(orderValidation.getOrder.params, 'params'), orderController.getOrder)
     .patch(
         auth,
-        authorize('admin', 'staff'),
+        requirePermission('orders:update'),
         validate(orderValidation.updateOrderStatus.params, 'params'),
         validate(orderValidation.updateOrderStatus.body),
         orderController.updateOrder
@@ -2,7 +2,7 @@ const express = require('express');
 const validate = require('../middlewares/validate.middleware');
 const paymentValidation = require('../validations').paymentValidation;
 const {paymentController} = require('../controllers');
-const {auth, authorize} = require('../middlewares/auth.middleware');
+const {auth} = require('../middlewares/auth.middleware');
 
 const router = express.Router();
 
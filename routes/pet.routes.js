@@ -2,7 +2,7 @@ const express = require('express');
 const validate = require('../middlewares/validate.middleware');
 const petValidation = require('../validations');
 const {petController} = require('../controllers');
-const {auth, authorize} = require('../middlewares/auth.middleware');
+const {auth, requirePermission} = require('../middlewares/auth.middleware');
 const {petImageUpload} = require('../configs/multer');
 
 const router = express.Router();
@@ -10,7 +10,7 @@ const router = express.Router();
 // Add analytics endpoint  
 router.get('/analytics',
     auth,
-    authorize('admin', 'staff'),
+    requirePermission('reports:read'),
     validate(petValidation.getPetAnalytics.query, 'query'),
     petController.getPetAnalytics
 );
@@ -0,0 +1,54 @@
+const express = require('express');
+const validate = require('../middlewares/validate.middleware');
+const priceScheduleValidation = require('../validations');
+const {priceScheduleController} = require('../controllers');
+const {auth, requirePermission} = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+router.get(
+    '/preview',
+    auth,
+    requirePermission('pricing:manage'),
+    validate(priceScheduleValidation.previewPrice.query, 'query'),
+    priceScheduleController.previewPrice
+);
+
+router
+    .route('/')
+    .get(
+        auth,
+        requirePermission('pricing:manage'),
+        validate(priceScheduleValidation.getPriceSchedules.query, 'query'),
+        priceScheduleController.getPriceSchedules
+    )
+    .post(
+        auth,
+        requirePermission('pricing:manage'),
+        validate(priceScheduleValidation.createPriceSchedule.body),
+        priceScheduleController.createPriceSchedule
+    );
+
+router
+    .route('/:scheduleId')
+    .get(
+        auth,
+        requirePermission('pricing:manage'),
+        validate(priceScheduleValidation.getPriceSchedule.params, 'params'),
+        priceScheduleController.getPriceSchedule
+    )
+    .patch(
+        auth,
+        requirePermission('pricing:manage'),
+        validate(priceScheduleValidation.updatePriceSchedule.params, 'params'),
+        validate(priceScheduleValidation.updatePriceSchedule.body),
+        priceScheduleController.updatePriceSchedule
+    )
+    .delete(
+        auth,
+        requirePermission('pricing:manage'),
+        validate(priceScheduleValidation.getPriceSchedule.params, 'params'),
+        priceScheduleController.cancelPriceSchedule
+    );
+
+module.exports = router;
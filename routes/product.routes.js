@@ -2,8 +2,8 @@ const express = require('express');
 const validate = require('../middlewares/validate.middleware');
 const productValidation = require('../validations');
 const {productController} = require('../controllers');
-const {auth, authorize} = require('../middlewares/auth.middleware');
-const {productImageUpload, reviewImageUpload} = require('../configs/multer');
+const {auth, requirePermission} = require('../middlewares/auth.middleware');
+const {productImageUpload, reviewImageUpload, productImportUpload} = require('../configs/multer');
 
 const router = express.Router();
 
@@ -12,15 +12,74 @@ router
     .get(auth, validate(productValidation.getProducts.query, 'query'), productController.getProducts)
     .post(
         auth,
-        authorize('admin'),
+        requirePermission('products:write'),
         productImageUpload.array('images', 5),
         validate(productValidation.createProduct.body),
         productController.createProduct
     );
 
+router.post(
+    '/import',
+    auth,
+    requirePermission('products:write'),
+    productImportUpload.single('file'),
+    validate(productValidation.importProducts.body),
+    productController.importProducts
+);
+
+router.get(
+    '/export',
+    auth,
+    requirePermission('products:write'),
+    validate(productValidation.exportProducts.query, 'query'),
+    productController.exportProducts
+);
+
 router
     .route('/:productId/inventory')
-    .patch(auth, authorize('admin'), validate(productValidation.getProduct.params, 'params'), productController.updateProductStock);
+    .patch(
+        auth,
+        requirePermission('products:write'),
+        validate(productValidation.getProduct.params, 'params'),
+        validate(productValidation.updateProductStock.body),
+        productController.updateProductStock
+    );
+
+router.get(
+    '/:productId/inventory/history',
+    auth,
+    requirePermission('reports:read'),
+    validate(productValidation.getInventoryHistory.params, 'params'),
+    validate(productValidation.getInventoryHistory.query, 'query'),
+    productController.getInventoryHistory
+);
+
+router.post(
+    '/:productId/variants',
+    auth,
+    requirePermission('products:write'),
+    productImageUpload.array('images', 5),
+    validate(productValidation.getProduct.params, 'params'),
+    validate(productValidation.addProductVariant.body),
+    productController.addProductVariant
+);
+
+router
+    .route('/:productId/variants/:variantId')
+    .patch(
+        auth,
+        requirePermission('products:write'),
+        productImageUpload.array('images', 5),
+        validate(productValidation.updateProductVariant.params, 'params'),
+        validate(productValidation.updateProductVariant.body),
+        productController.updateProductVariant
+    )
+    .delete(
+        auth,
+        requirePermission('products:write'),
+        validate(productValidation.updateProductVariant.params, 'params'),
+        productController.deleteProductVariant
+    );
 
 router
     .route('/:productId/reviews')
@@ -33,12 +92,36 @@ router
         productController.createProductReview
     );
 
+router.get(
+    '/:productId/price-history',
+    auth,
+    validate(productValidation.getProductPriceHistory.params, 'params'),
+    validate(productValidation.getProductPriceHistory.query, 'query'),
+    productController.getPriceHistory
+);
+
+router.get(
+    '/:productId/related',
+    auth,
+    validate(productValidation.getProductRecommendations.params, 'params'),
+    validate(productValidation.getProductRecommendations.query, 'query'),
+    productController.getRelatedProducts
+);
+
+router.get(
+    '/:productId/frequently-bought-together',
+    auth,
+    validate(productValidation.getProductRecommendations.params, 'params'),
+    validate(productValidation.getProductRecommendations.query, 'query'),
+    productController.getFrequentlyBoughtTogether
+);
+
 router
     .route('/:productId')
     .get(auth, validate(productValidation.getProduct.params, 'params'), productController.getProduct)
     .patch(
         auth,
-        authorize('admin'),
+        requirePermission('products:write'),
         productImageUpload.array('images', 5), // Allow multiple images, max 5
         validate(productValidation.updateProduct.params, 'params'),
         validate(productValidation.updateProduct.body),
@@ -46,7 +129,7 @@ router
     )
     .delete(
         auth,
-        authorize('admin'),
+        requirePermission('products:delete'),
         validate(productValidation.getProduct.params, 'params'),
         productController.deleteProduct
     );
@@ -55,35 +138,51 @@ router
 router.get(
     '/analytics/dashboard',
     auth,
-    authorize('admin', 'staff'),
+    requirePermission('reports:read'),
     productController.getDashboardAnalytics
 );
 
 router.get(
     '/analytics/stats',
     auth,
-    authorize('admin', 'staff'),
+    requirePermission('reports:read'),
     productController.getProductStats
 );
 
 router.get(
     '/analytics/distribution',
     auth,
-    authorize('admin', 'staff'),
+    requirePermission('reports:read'),
     productController.getProductDistribution
 );
 
 router.get(
     '/analytics/best-selling',
     auth,
-    authorize('admin', 'staff'),
+    requirePermission('reports:read'),
     productController.getBestSellingProducts
 );
 
+router.get(
+    '/analytics/inventory-reconciliation',
+    auth,
+    requirePermission('reports:read'),
+    validate(productValidation.getStockReconciliation.query, 'query'),
+    productController.getStockReconciliation
+);
+
+router.get(
+    '/analytics/reorder-suggestions',
+    auth,
+    requirePermission('reports:read'),
+    validate(productValidation.getReorderSuggestions.query, 'query'),
+    productController.getReorderSuggestions
+);
+
 router.get(
     '/analytics/inventory-report',
     auth,
-    authorize('admin', 'staff'),
+    requirePermission('reports:read'),
     productController.getInventoryReport
 );
 
@@ -1,13 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const {auth, authorize} = require('../middlewares/auth.middleware');
+const {auth, requirePermission} = require('../middlewares/auth.middleware');
 const ragController = require('../controllers/rag.controller');
 const {ragDocumentUpload} = require('../configs/multer');
 
 router.post(
     '/documents',
     auth,
-    authorize('admin'),
+    requirePermission('rag:manage'),
     ragDocumentUpload.array('files', 10),
     ragController.uploadDocuments
 );
@@ -19,13 +19,13 @@ router.post(
 router.get(
     '/documents',
     auth,
-    authorize('admin'),
+    requirePermission('rag:manage'),
     ragController.getDocuments
 );
 router.delete(
     '/documents/:documentId',
     auth,
-    authorize('admin'),
+    requirePermission('rag:manage'),
     ragController.deleteDocument
 );
 
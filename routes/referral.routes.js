@@ -0,0 +1,18 @@
+const express = require('express');
+const validate = require('../middlewares/validate.middleware');
+const referralValidation = require('../validations');
+const {referralController} = require('../controllers');
+const {auth, requirePermission} = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+router.get('/me', auth, referralController.getMyReferrals);
+router.get(
+    '/',
+    auth,
+    requirePermission('referrals:read'),
+    validate(referralValidation.getReferralReport.query, 'query'),
+    referralController.getReferralReport
+);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const validate = require('../middlewares/validate.middleware');
+const roleValidation = require('../validations');
+const {roleController} = require('../controllers');
+const {auth, requirePermission} = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+router.get('/', auth, requirePermission('roles:manage'), roleController.getRoles);
+router.patch(
+    '/:role',
+    auth,
+    requirePermission('roles:manage'),
+    validate(roleValidation.updateRolePermissions.params, 'params'),
+    validate(roleValidation.updateRolePermissions.body),
+    roleController.updateRolePermissions
+);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const validate = require('../middlewares/validate.middleware');
+const searchValidation = require('../validations');
+const {searchController} = require('../controllers');
+const {auth} = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+router.get('/suggest', auth, validate(searchValidation.suggestSearch.query, 'query'), searchController.suggest);
+
+module.exports = router;
@@ -2,7 +2,7 @@ const express = require('express');
 const validate = require('../middlewares/validate.middleware');
 const serviceValidation = require('../validations');
 const {serviceController} = require('../controllers');
-const {auth, authorize} = require('../middlewares/auth.middleware');
+const {auth, requirePermission} = require('../middlewares/auth.middleware');
 const {serviceImageUpload, reviewImageUpload} = require('../configs/multer');
 
 const router = express.Router();
@@ -10,19 +10,19 @@ const router = express.Router();
 // Add statistics routes before existing routes
 router.get('/statistics',
     auth,
-    authorize('admin', 'staff'),
+    requirePermission('reports:read'),
     serviceController.getServiceStatistics
 );
 
 router.get('/statistics/repeat-usage',
     auth,
-    authorize('admin', 'staff'),
+    requirePermission('reports:read'),
     serviceController.getRepeatServiceUsage
 );
 
 router.get('/statistics/peak-hours',
     auth,
-    authorize('admin', 'staff'),
+    requirePermission('reports:read'),
     serviceController.getPeakHoursStatistics
 );
 
@@ -31,7 +31,7 @@ router
     .get(auth, validate(serviceValidation.getServices.query, 'query'), serviceController.getServices)
     .post(
         auth,
-        authorize('admin'),
+        requirePermission('services:write'),
         serviceImageUpload.array('images'),
         validate(serviceValidation.createService.body),
         serviceController.createService
@@ -58,7 +58,7 @@ router
     .get(auth, validate(serviceValidation.getService.params, 'params'), serviceController.getService)
     .patch(
         auth,
-        authorize('admin'),
+        requirePermission('services:write'),
         serviceImageUpload.array('images'),
         validate(serviceValidation.updateService.params, 'params'),
         validate(serviceValidation.updateService.body, 'body'),
@@ -66,7 +66,7 @@ router
     )
     .delete(
         auth,
-        authorize('admin'),
+        requirePermission('services:write'),
         validate(serviceValidation.getService.params, 'params'),
         serviceController.deleteService
     );
@@ -75,7 +75,7 @@ router
     .route('/:serviceId/featured')
     .patch(
         auth,
-        authorize('admin'),
+        requirePermission('services:write'),
         validate(serviceValidation.getService.params, 'params'),
         serviceController.toggleFeatured
     );
@@ -84,7 +84,7 @@ router
     .route('/:serviceId/visible')
     .patch(
         auth,
-        authorize('admin'),
+        requirePermission('services:write'),
         validate(serviceValidation.getService.params, 'params'),
         serviceController.toggleServiceVisible
     );
@@ -93,7 +93,7 @@ router
     .route('/:serviceId/availability')
     .patch(
         auth,
-        authorize('admin'),
+        requirePermission('services:write'),
         validate(serviceValidation.updateServiceAvailability.body, 'body'),
         validate(serviceValidation.updateServiceAvailability.params, 'params'),
         serviceController.updateServiceAvailability
@@ -104,12 +104,20 @@ router
 //     .route('/:serviceId/images')
 //     .patch(
 //         auth,
-//         authorize('admin'),
+//         requirePermission('services:write'),
 //         serviceImageUpload.array('images'),
 //         validate(serviceValidation.getService.params, 'params'),
 //         serviceController.updateServiceImages
 //     );
 
+router.get(
+    '/:serviceId/price-history',
+    auth,
+    validate(serviceValidation.getServicePriceHistory.params, 'params'),
+    validate(serviceValidation.getServicePriceHistory.query, 'query'),
+    serviceController.getPriceHistory
+);
+
 router
     .route('/:serviceId/timeslots')
     .get(
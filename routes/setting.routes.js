@@ -0,0 +1,14 @@
+const express = require('express');
+const validate = require('../middlewares/validate.middleware');
+const settingValidation = require('../validations');
+const {settingController} = require('../controllers');
+const {auth, requirePermission} = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+router
+    .route('/')
+    .get(auth, requirePermission('settings:manage'), settingController.getSettings)
+    .patch(auth, requirePermission('settings:manage'), validate(settingValidation.updateSettings.body), settingController.updateSettings);
+
+module.exports = router;
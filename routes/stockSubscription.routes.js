@@ -0,0 +1,21 @@
+const express = require('express');
+const validate = require('../middlewares/validate.middleware');
+const stockSubscriptionValidation = require('../validations');
+const {stockSubscriptionController} = require('../controllers');
+const {auth} = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+router
+    .route('/')
+    .get(auth, stockSubscriptionController.getSubscriptions)
+    .post(auth, validate(stockSubscriptionValidation.subscribeRestock.body), stockSubscriptionController.subscribe);
+
+router.delete(
+    '/:subscriptionId',
+    auth,
+    validate(stockSubscriptionValidation.cancelRestockSubscription.params, 'params'),
+    stockSubscriptionController.cancelSubscription
+);
+
+module.exports = router;
@@ -2,7 +2,7 @@ const express = require('express');
 const validate = require('../middlewares/validate.middleware');
 const userValidation = require('../validations');
 const {userController, authController} = require('../controllers');
-const {auth, authorize} = require('../middlewares/auth.middleware');
+const {auth, requirePermission} = require('../middlewares/auth.middleware');
 const {userImageUpload} = require('../configs/multer');
 
 const router = express.Router();
@@ -11,7 +11,7 @@ const router = express.Router();
 router.get(
     '/analytics',
     auth,
-    authorize('admin', 'staff'),
+    requirePermission('reports:read'),
     validate(userValidation.getUserAnalytics.query, 'query'),
     userController.getUserAnalytics
 );
@@ -19,17 +19,26 @@ router.get(
 router.get(
     '/statistics',
     auth,
-    authorize('admin', 'staff'),
+    requirePermission('reports:read'),
     userController.getUserStats
 );
 
 router.get(
     '/growth-analysis',
     auth,
-    authorize('admin'),
+    requirePermission('reports:growth'),
     userController.getGrowthAnalysis
 );
 
+// User directory export, đặt trước /:userId
+router.get(
+    '/export',
+    auth,
+    requirePermission('users:read'),
+    validate(userValidation.getUsers.query, 'query'),
+    userController.exportUsers
+);
+
 // User profile routes
 router.get('/me', auth, userController.getProfile);
 router.patch(
@@ -50,6 +59,8 @@ router.patch(
     validate(userValidation.updateUser.body),
     userController.updateProfile
 );
+router.delete('/me', auth, validate(userValidation.deleteAccount.body), userController.deleteAccount);
+router.get('/me/export', auth, validate(userValidation.exportUserData.query, 'query'), userController.exportUserData);
 
 // User address management routes
 router.get('/me/addresses', auth, userController.getUserAddresses);
@@ -70,11 +81,20 @@ router.delete(
     userController.deleteAddress
 );
 
+// User session (device) management routes
+router.get('/me/sessions', auth, userController.getSessions);
+router.delete(
+    '/me/sessions/:sessionId',
+    auth,
+    validate(userValidation.revokeSession.params, 'params'),
+    userController.revokeSession
+);
+
 // User role and status management routes
 router.patch(
     '/:userId/role',
     auth,
-    authorize('admin'),
+    requirePermission('users:roles'),
     validate(userValidation.updateRole.params, 'params'),
     validate(userValidation.updateRole.body),
     userController.updateRole
@@ -82,26 +102,33 @@ router.patch(
 router.patch(
     '/:userId/ban',
     auth,
-    authorize('admin'),
+    requirePermission('users:ban'),
     validate(userValidation.banOrUnbanUser.params, 'params'),
     validate(userValidation.banOrUnbanUser.body),
     userController.banOrUnbanUser
 );
+router.patch(
+    '/:userId/unlock',
+    auth,
+    requirePermission('users:write'),
+    validate(userValidation.getUser.params, 'params'),
+    userController.unlockUser
+);
 
 // Individual user management routes
-router.get('/:userId', auth, authorize('admin', 'staff'), validate(userValidation.getUser.params, 'params'), userController.getUser);
+router.get('/:userId', auth, requirePermission('users:read'), validate(userValidation.getUser.params, 'params'), userController.getUser);
 router.patch(
     '/:userId',
     auth,
-    authorize('admin'),
+    requirePermission('users:write'),
     validate(userValidation.updateUser.params, 'params'),
     validate(userValidation.updateUser.body),
     userController.updateUser
 );
-router.delete('/:userId', auth, authorize('admin'), validate(userValidation.updateUser.params, 'params'), userController.deleteUser);
+router.delete('/:userId', auth, requirePermission('users:write'), validate(userValidation.updateUser.params, 'params'), userController.deleteUser);
 
 // User collection routes - Define these last as they're the most general
-router.get('/', auth, authorize('admin', 'staff'), userController.getUsers);
-router.post('/', auth, authorize('admin'), validate(userValidation.createUser.body), userController.createUser);
+router.get('/', auth, requirePermission('users:read'), validate(userValidation.getUsers.query, 'query'), userController.getUsers);
+router.post('/', auth, requirePermission('users:write'), validate(userValidation.createUser.body), userController.createUser);
 
 module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const validate = require('../middlewares/validate.middleware');
+const wishlistValidation = require('../validations');
+const {wishlistController} = require('../controllers');
+const {auth} = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+router
+    .route('/')
+    .get(auth, wishlistController.getWishlist)
+    .post(auth, validate(wishlistValidation.addWishlistItem.body), wishlistController.addWishlistItem);
+
+router.delete(
+    '/:itemType/:itemId',
+    auth,
+    validate(wishlistValidation.removeWishlistItem.params, 'params'),
+    wishlistController.removeWishlistItem
+);
+
+module.exports = router;
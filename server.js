@@ -2,10 +2,12 @@ const mongoose = require('mongoose');
 const config = require('./configs/config');
 
 const app = require('./app');
+const {roleService} = require('./services');
 
 let server;
 mongoose
     .connect(config.mongoose.url, config.mongoose.options)
+    .then(() => roleService.syncRoles())
     .then(() => {
         server = app.listen(config.port, () => {
             console.log(`Server is running on port ${ config.port }`);
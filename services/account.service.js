@@ -0,0 +1,135 @@
+const {status} = require('http-status');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const User = require('../models/user.model');
+const Pet = require('../models/pet.model');
+const Order = require('../models/order.model');
+const Booking = require('../models/booking.model');
+const Payment = require('../models/payment.model');
+const Review = require('../models/review.model');
+const Cart = require('../models/cart.model');
+const Token = require('../models/token.model');
+const ApiError = require('../utils/ApiError');
+const userService = require('./user.service');
+const sessionService = require('./session.service');
+
+const DELETED_USER_NAME = 'Người dùng đã xoá';
+const DELETED_PET_NAME = 'Thú cưng đã xoá';
+
+/**
+ * Collect all personal data of a user
+ * @param {ObjectId} userId
+ * @returns {Promise<Object>}
+ */
+const exportUserData = async (userId) => {
+    const user = await User.findById(userId).lean();
+    if (!user) {
+        throw new ApiError(status.NOT_FOUND, 'User not found');
+    }
+
+    const [pets, orders, bookings, payments, reviews] = await Promise.all([
+        Pet.find({ownerId: userId}).lean(),
+        Order.find({customerId: userId}).sort({createdAt: -1}).lean(),
+        Booking.find({customerId: userId}).sort({createdAt: -1}).populate('serviceId', 'name').lean(),
+        Payment.find({customerId: userId}).sort({createdAt: -1}).select('-clientSecret').lean(),
+        Review.find({customerId: userId}).sort({createdAt: -1}).lean(),
+    ]);
+
+    // Không xuất các thông tin bảo mật của tài khoản
+    const {passwordHash, twoFactor, addresses, __v, ...profile} = user;
+
+    return {
+        exportedAt: new Date(),
+        profile: {...profile, twoFactorEnabled: Boolean(twoFactor && twoFactor.enabled)},
+        addresses: addresses || [],
+        pets,
+        orders,
+        bookings,
+        payments,
+        reviews,
+    };
+};
+
+/**
+ * Close the account of a user
+ * Thông tin cá nhân được ẩn danh, đơn hàng, lịch hẹn và thanh toán được giữ lại cho mục đích kế toán
+ * @param {User} user
+ * @param {string} password - Current password, required to confirm the deletion
+ * @returns {Promise}
+ */
+const deleteAccount = async (user, password) => {
+    if (user.role !== 'user') {
+        throw new ApiError(status.FORBIDDEN, 'Staff and admin accounts must be removed by an administrator');
+    }
+    if (!(await userService.isPasswordMatch(user, password))) {
+        throw new ApiError(status.UNAUTHORIZED, 'Incorrect password');
+    }
+
+    const [activeOrders, activeBookings] = await Promise.all([
+        Order.countDocuments({customerId: user._id, status: {$in: ['checkout', 'pending', 'shipping']}}),
+        Booking.countDocuments({customerId: user._id, status: {$in: ['checkout', 'booked']}}),
+    ]);
+    if (activeOrders > 0 || activeBookings > 0) {
+        throw new ApiError(status.BAD_REQUEST, 'Please wait for your active orders and bookings to finish before deleting your account');
+    }
+
+    await Order.updateMany(
+        {customerId: user._id},
+        {
+            $set: {
+                'shippingAddress.fullName': DELETED_USER_NAME,
+                'shippingAddress.phone': '0000000000',
+                'shippingAddress.streetAddress': '-',
+            },
+            $unset: {'shippingAddress.note': '', notes: ''},
+        }
+    );
+    await Booking.updateMany({customerId: user._id}, {$unset: {notes: ''}});
+
+    // Giữ lại thú cưng để lịch sử lịch hẹn vẫn tham chiếu được, chỉ xoá thông tin chi tiết
+    await Pet.updateMany(
+        {ownerId: user._id},
+        {
+            $set: {name: DELETED_PET_NAME, healthRecords: [], vaccinations: []},
+            $unset: {breed: '', color: '', weight: '', avatar: '', dietInfo: ''},
+        }
+    );
+
+    await Promise.all([
+        Cart.deleteMany({userId: user._id}),
+        Token.deleteMany({userId: user._id}),
+        sessionService.revokeAllSessions(user._id),
+    ]);
+
+    // Mật khẩu ngẫu nhiên không ai biết, tài khoản không thể đăng nhập lại
+    const passwordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+    await User.updateOne(
+        {_id: user._id},
+        {
+            $set: {
+                email: `deleted-${ user._id }@deleted.invalid`,
+                fullname: DELETED_USER_NAME,
+                passwordHash,
+                addresses: [],
+                isBanned: true,
+                isEmailVerified: false,
+                deletedAt: new Date(),
+                'twoFactor.enabled': false,
+            },
+            $unset: {
+                phone: '',
+                avatar: '',
+                'twoFactor.secret': '',
+                'twoFactor.pendingSecret': '',
+                'twoFactor.recoveryCodes': '',
+                'twoFactor.lastUsedTimeStep': '',
+                'twoFactor.enabledAt': '',
+            },
+        }
+    );
+};
+
+module.exports = {
+    exportUserData,
+    deleteAccount,
+};
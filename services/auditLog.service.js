@@ -0,0 +1,128 @@
+const AuditLog = require('../models/auditLog.model');
+
+// Các trường không đưa vào nhật ký: metadata và thông tin bí mật
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'passwordHash', 'twoFactor', 'docIds'];
+// Số lần thử ghi nhật ký cho một thao tác đã thực hiện
+const AUDIT_WRITE_ATTEMPTS = 2;
+
+/**
+ * Convert a document or plain object to a JSON-safe object without ignored fields
+ * @param {Object} [data]
+ * @returns {Object|null}
+ */
+const toPlainObject = (data) => {
+    if (!data) {
+        return null;
+    }
+
+    const object = typeof data.toObject === 'function' ? data.toObject({depopulate: true, virtuals: false}) : data;
+    const plain = JSON.parse(JSON.stringify(object));
+    IGNORED_FIELDS.forEach((field) => delete plain[field]);
+    return plain;
+};
+
+/**
+ * Keep only the fields that differ between the two states
+ * @param {Object} [before]
+ * @param {Object} [after]
+ * @returns {Object}
+ */
+const getChanges = (before, after) => {
+    const beforeObject = toPlainObject(before);
+    const afterObject = toPlainObject(after);
+
+    // Tạo mới hoặc xoá: lưu toàn bộ trạng thái còn lại
+    if (!beforeObject || !afterObject) {
+        return {before: beforeObject, after: afterObject};
+    }
+
+    const changes = {before: {}, after: {}};
+    const fields = new Set([...Object.keys(beforeObject), ...Object.keys(afterObject)]);
+    fields.forEach((field) => {
+        if (JSON.stringify(beforeObject[field]) !== JSON.stringify(afterObject[field])) {
+            changes.before[field] = beforeObject[field];
+            changes.after[field] = afterObject[field];
+        }
+    });
+    return changes;
+};
+
+/**
+ * Build the audit log document of a privileged action
+ * @param {Object} entry
+ * @param {User} entry.actor - User performing the action
+ * @param {string} entry.action
+ * @param {string} entry.targetType
+ * @param {ObjectId|string} [entry.targetId]
+ * @param {Object} [entry.before] - State before the action
+ * @param {Object} [entry.after] - State after the action
+ * @param {string} [entry.ip]
+ * @param {string} [entry.userAgent]
+ * @returns {Object}
+ */
+const buildAuditLog = ({actor, action, targetType, targetId, before, after, ip, userAgent}) => ({
+    actorId: actor._id,
+    actorRole: actor.role,
+    action,
+    targetType,
+    targetId: targetId && targetId.toString(),
+    changes: getChanges(before, after),
+    ip,
+    userAgent,
+});
+
+/**
+ * Record a privileged action that has already been applied
+ * Thay đổi đã được lưu nên lỗi ghi nhật ký không làm request thất bại: ghi lại thêm một lần,
+ * nếu vẫn lỗi thì in toàn bộ bản ghi ra log lỗi để bổ sung vào nhật ký sau
+ * @param {Object} entry - See buildAuditLog
+ * @returns {Promise<AuditLog|null>} - Null when the entry could not be written
+ */
+const recordAuditLog = async (entry) => {
+    const auditLog = buildAuditLog(entry);
+    for (let attempt = 1; attempt <= AUDIT_WRITE_ATTEMPTS; attempt++) {
+        try {
+            return await AuditLog.create(auditLog);
+        } catch (error) {
+            if (attempt === AUDIT_WRITE_ATTEMPTS) {
+                console.error('Error writing audit log:', error, JSON.stringify(auditLog));
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * Query audit logs
+ * @param {Object} filter
+ * @param {Object} options
+ * @param {number} [options.page]
+ * @param {number} [options.limit]
+ * @returns {Promise<Object>} - Object containing audit logs and pagination info
+ */
+const queryAuditLogs = async (filter, options = {}) => {
+    const page = options.page || 1;
+    const limit = options.limit || 20;
+    const skip = (page - 1) * limit;
+
+    const auditLogs = await AuditLog.find(filter)
+        .sort({createdAt: -1})
+        .skip(skip)
+        .limit(limit)
+        .populate('actorId', 'email fullname role');
+
+    const totalResults = await AuditLog.countDocuments(filter);
+
+    return {
+        results: auditLogs,
+        page,
+        limit,
+        totalPages: Math.ceil(totalResults / limit),
+        totalResults
+    };
+};
+
+module.exports = {
+    recordAuditLog,
+    queryAuditLogs,
+};
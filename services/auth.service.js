@@ -1,82 +1,152 @@
 const {status} = require('http-status');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const userService = require('./user.service');
+const emailService = require('./email.service');
+const sessionService = require('./session.service');
+const loginAttemptService = require('./loginAttempt.service');
+const twoFactorService = require('./twoFactor.service');
+const referralService = require('./referral.service');
+const Token = require('../models/token.model');
+const Session = require('../models/session.model');
 const ApiError = require('../utils/ApiError');
 const config = require('../configs/config');
 
 /**
  * Login with username and password
+ * Đăng nhập sai nhiều lần sẽ khoá tài khoản (tăng dần thời gian khoá) và chặn IP tạm thời
  * @param {string} email
  * @param {string} password
+ * @param {string} [ip]
  * @returns {Promise<User>}
  */
-const loginUserWithEmailAndPassword = async (email, password) => {
+const loginUserWithEmailAndPassword = async (email, password, ip) => {
+    await loginAttemptService.assertIpNotBlocked(ip);
+
     const user = await userService.getUserByEmail(email);
+    if (!user) {
+        await loginAttemptService.recordIpFailure(ip);
+        throw new ApiError(status.UNAUTHORIZED, 'Incorrect email or password');
+    }
 
     if (user.isBanned) {
         throw new ApiError(status.UNAUTHORIZED, 'Your account has been banned');
     }
 
-    if (!user || !(await userService.isPasswordMatch(user, password))) {
+    loginAttemptService.assertUserNotLocked(user);
+
+    if (!(await userService.isPasswordMatch(user, password))) {
+        await loginAttemptService.recordFailedLogin(user, ip);
         throw new ApiError(status.UNAUTHORIZED, 'Incorrect email or password');
     }
+
+    // Với tài khoản bật 2FA, bộ đếm chỉ được xoá sau khi xác thực bước hai
+    if (!user.twoFactor.enabled) {
+        await loginAttemptService.resetFailedLogins(user);
+    }
     return user;
 };
 
 /**
- * Register a new user
+ * Register a new user and send a verification email
  * @param {Object} userBody
+ * @param {string} [userBody.referralCode] - Referral code of the user who invited them
  * @returns {Promise<User>}
  */
-const registerUser = async (userBody) => {
-    return userService.createUser(userBody);
+const registerUser = async ({referralCode, ...userBody}) => {
+    const referrer = referralCode ? await referralService.getReferrerByCode(referralCode) : null;
+    const user = await userService.createUser({...userBody, ...(referrer && {referredBy: referrer._id})});
+    if (referrer) {
+        await referralService.createReferral(referrer._id, user._id);
+    }
+    try {
+        await sendVerificationEmail(user);
+    } catch (error) {
+        // Người dùng có thể yêu cầu gửi lại email xác thực sau
+        console.error('Error sending verification email:', error);
+    }
+    return user;
 };
 
+/**
+ * Hash a token before it is persisted
+ * @param {string} token
+ * @returns {string}
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 /**
  * Generate token
  * @param {ObjectId} userId
  * @param {string} expires
  * @param {string} type
+ * @param {Object} [claims] - Extra claims, e.g. the session id (sid) of auth tokens
  * @param {string} [secret]
  * @returns {string}
  */
-const generateToken = (userId, expires, type, secret = config.jwt.secret) => {
+const generateToken = (userId, expires, type, claims = {}, secret = config.jwt.secret) => {
     const payload = {
+        ...claims,
         sub: userId,
         iat: Math.floor(Date.now() / 1000),
         exp: expires,
         type,
+        // Đảm bảo mỗi token là duy nhất kể cả khi tạo trong cùng một giây
+        jti: crypto.randomUUID(),
     };
     return jwt.sign(payload, secret);
 };
 
 /**
- * Generate auth tokens
- * @param {User} user
- * @returns {Promise<Object>}
+ * Sign a pair of auth tokens bound to a device session
+ * @param {ObjectId} userId
+ * @param {ObjectId} sessionId
+ * @returns {Object} - Tokens and the session fields to persist
  */
-const generateAuthTokens = async (user) => {
+const signAuthTokens = (userId, sessionId) => {
     const accessTokenExpires = Math.floor(Date.now() / 1000) + (config.jwt.accessExpirationMinutes * 60);
-    const accessToken = generateToken(user._id, accessTokenExpires, 'access');
+    const accessToken = generateToken(userId, accessTokenExpires, 'access', {sid: sessionId});
 
     const refreshTokenExpires = Math.floor(Date.now() / 1000) + (config.jwt.refreshExpirationDays * 24 * 60 * 60);
-    const refreshToken = generateToken(user._id, refreshTokenExpires, 'refresh');
-
-    // Save refresh token to user
-    await userService.updateUserById(user._id, {refreshToken});
+    const refreshToken = generateToken(userId, refreshTokenExpires, 'refresh', {sid: sessionId});
 
     return {
-        access: {
-            token: accessToken,
-            expires: new Date(accessTokenExpires * 1000),
+        tokens: {
+            access: {
+                token: accessToken,
+                expires: new Date(accessTokenExpires * 1000),
+            },
+            refresh: {
+                token: refreshToken,
+                expires: new Date(refreshTokenExpires * 1000),
+            },
         },
-        refresh: {
-            token: refreshToken,
+        // Chỉ lưu hash của refresh token hiện tại của thiết bị
+        sessionUpdate: {
+            refreshTokenHash: hashToken(refreshToken),
+            lastUsedAt: new Date(),
             expires: new Date(refreshTokenExpires * 1000),
         },
     };
 };
 
+/**
+ * Generate auth tokens for a new device session
+ * @param {User} user
+ * @param {Object} [device]
+ * @param {string} [device.userAgent]
+ * @param {string} [device.ip]
+ * @returns {Promise<Object>}
+ */
+const generateAuthTokens = async (user, device = {}) => {
+    const session = new Session({userId: user._id, userAgent: device.userAgent, ip: device.ip});
+    const {tokens, sessionUpdate} = signAuthTokens(user._id, session._id);
+    session.set(sessionUpdate);
+    await session.save();
+    return tokens;
+};
+
 /**
  * Verify token
  * @param {string} token
@@ -99,48 +169,230 @@ const verifyToken = async (token, type) => {
     }
 };
 
+/**
+ * Save a single-use token, replacing any previous token of the same type for the user
+ * @param {string} token
+ * @param {ObjectId} userId
+ * @param {number} expires - Expiration time in seconds since epoch
+ * @param {string} type
+ * @returns {Promise<Token>}
+ */
+const saveSingleUseToken = async (token, userId, expires, type) => {
+    await Token.deleteMany({userId, type});
+    return Token.create({
+        tokenHash: hashToken(token),
+        userId,
+        type,
+        expires: new Date(expires * 1000),
+    });
+};
+
+/**
+ * Verify a single-use token and consume it so it cannot be used again
+ * @param {string} token
+ * @param {string} type
+ * @returns {Promise<Object>} - Token payload
+ */
+const consumeSingleUseToken = async (token, type) => {
+    const payload = await verifyToken(token, type);
+    const tokenDoc = await Token.findOneAndDelete({
+        tokenHash: hashToken(token),
+        userId: payload.sub,
+        type,
+        expires: {$gt: new Date()},
+    });
+    if (!tokenDoc) {
+        throw new ApiError(status.UNAUTHORIZED, 'Token verification failed');
+    }
+    return payload;
+};
+
 /**
  * Refresh auth tokens
+ * Refresh token được xoay vòng sau mỗi lần sử dụng. Nếu một token cũ bị dùng lại,
+ * phiên đó bị thu hồi vì token có thể đã bị đánh cắp.
  * @param {string} refreshToken
+ * @param {Object} [device]
  * @returns {Promise<Object>}
  */
-const refreshAuth = async (refreshToken) => {
+const refreshAuth = async (refreshToken, device = {}) => {
+    let refreshTokenPayload;
     try {
-        const refreshTokenPayload = await verifyToken(refreshToken, 'refresh');
-        const user = await userService.getUserById(refreshTokenPayload.sub);
+        refreshTokenPayload = await verifyToken(refreshToken, 'refresh');
+    } catch (error) {
+        throw new ApiError(status.UNAUTHORIZED, 'Please authenticate');
+    }
+    if (!mongoose.isValidObjectId(refreshTokenPayload.sid)) {
+        throw new ApiError(status.UNAUTHORIZED, 'Please authenticate');
+    }
+    const sessionFilter = {_id: refreshTokenPayload.sid, userId: refreshTokenPayload.sub};
 
-        if (!user || user.refreshToken !== refreshToken) {
-            throw new Error('Invalid refresh token');
+    const user = await userService.getUserById(refreshTokenPayload.sub);
+    if (!user || user.isBanned) {
+        await Session.deleteOne(sessionFilter);
+        throw new ApiError(status.UNAUTHORIZED, 'Please authenticate');
+    }
+
+    // Xoay vòng bằng một lần ghi có điều kiện để hai request dùng cùng token không thể cùng thành công
+    const {tokens, sessionUpdate} = signAuthTokens(user._id, refreshTokenPayload.sid);
+    const session = await Session.findOneAndUpdate(
+        {...sessionFilter, refreshTokenHash: hashToken(refreshToken)},
+        {
+            $set: {
+                ...sessionUpdate,
+                ...(device.userAgent && {userAgent: device.userAgent}),
+                ...(device.ip && {ip: device.ip}),
+            }
         }
-        if (!user) {
-            throw new ApiError(status.UNAUTHORIZED, 'User not found');
+    );
+    if (!session) {
+        const revokedSession = await Session.findOneAndDelete(sessionFilter);
+        if (revokedSession) {
+            throw new ApiError(status.UNAUTHORIZED, 'Refresh token reuse detected, please log in again');
         }
-        return generateAuthTokens(user);
-    } catch (error) {
         throw new ApiError(status.UNAUTHORIZED, 'Please authenticate');
     }
+
+    return tokens;
+};
+
+/**
+ * Generate a short-lived challenge token for the second login step
+ * @param {User} user
+ * @returns {Object}
+ */
+const generateTwoFactorChallenge = (user) => {
+    const expires = Math.floor(Date.now() / 1000) + (config.jwt.twoFactorChallengeExpirationMinutes * 60);
+    return {
+        token: generateToken(user._id, expires, 'twoFactorChallenge'),
+        expires: new Date(expires * 1000),
+    };
+};
+
+/**
+ * Second login step for users with 2FA enabled
+ * Mã sai được tính như một lần đăng nhập sai để chống dò mã
+ * @param {string} challengeToken
+ * @param {Object} credentials
+ * @param {string} [credentials.code]
+ * @param {string} [credentials.recoveryCode]
+ * @param {string} [ip]
+ * @returns {Promise<User>}
+ */
+const loginWithTwoFactor = async (challengeToken, credentials, ip) => {
+    await loginAttemptService.assertIpNotBlocked(ip);
+
+    const payload = await verifyToken(challengeToken, 'twoFactorChallenge');
+    const user = await userService.getUserById(payload.sub);
+    if (!user || user.isBanned) {
+        throw new ApiError(status.UNAUTHORIZED, 'Please authenticate');
+    }
+
+    loginAttemptService.assertUserNotLocked(user);
+
+    if (!(await twoFactorService.verifyTwoFactor(user._id, credentials))) {
+        await loginAttemptService.recordFailedLogin(user, ip);
+        throw new ApiError(status.UNAUTHORIZED, 'Invalid two-factor code');
+    }
+
+    await loginAttemptService.resetFailedLogins(user);
+    return user;
+};
+
+/**
+ * Logout the current device
+ * @param {ObjectId} userId
+ * @param {ObjectId} sessionId
+ * @returns {Promise}
+ */
+const logout = async (userId, sessionId) => {
+    await sessionService.revokeSession(userId, sessionId);
+};
+
+/**
+ * Logout every device of the user
+ * @param {ObjectId} userId
+ * @returns {Promise<number>} - Number of revoked sessions
+ */
+const logoutAll = async (userId) => {
+    return sessionService.revokeAllSessions(userId);
+};
+
+/**
+ * Generate a reset password token and email it to the user
+ * @param {string} email
+ * @returns {Promise<string|null>} - null when no account uses this email
+ */
+const forgotPassword = async (email) => {
+    const user = await userService.getUserByEmail(email);
+    // Không báo lỗi để tránh lộ thông tin email nào đã đăng ký
+    if (!user || user.isBanned) {
+        return null;
+    }
+
+    const expires = Math.floor(Date.now() / 1000) + (config.jwt.resetPasswordExpirationMinutes * 60);
+    const resetPasswordToken = generateToken(user._id, expires, 'resetPassword');
+    await saveSingleUseToken(resetPasswordToken, user._id, expires, 'resetPassword');
+    await emailService.sendResetPasswordEmail(user.email, resetPasswordToken);
+    return resetPasswordToken;
 };
 
 /**
  * Reset password
+ * Token chỉ dùng được một lần, mọi phiên đăng nhập hiện có đều bị thu hồi
  * @param {string} resetPasswordToken
  * @param {string} newPassword
  * @returns {Promise}
  */
 const resetPassword = async (resetPasswordToken, newPassword) => {
     try {
-        const resetPasswordTokenPayload = await verifyToken(resetPasswordToken, 'resetPassword');
+        const resetPasswordTokenPayload = await consumeSingleUseToken(resetPasswordToken, 'resetPassword');
         const user = await userService.getUserById(resetPasswordTokenPayload.sub);
         if (!user) {
             throw new Error('User not found');
         }
         await userService.updateUserById(user.id, {password: newPassword});
+        await loginAttemptService.resetFailedLogins(user);
+        await sessionService.revokeAllSessions(user.id);
     } catch (error) {
         throw new ApiError(status.UNAUTHORIZED, 'Password reset failed');
     }
 };
 
-// Forgot Password (Chưa làm)
+/**
+ * Generate a verify email token and email it to the user
+ * @param {User} user
+ * @returns {Promise<string>}
+ */
+const sendVerificationEmail = async (user) => {
+    if (user.isEmailVerified) {
+        throw new ApiError(status.BAD_REQUEST, 'Email is already verified');
+    }
+
+    const expires = Math.floor(Date.now() / 1000) + (config.jwt.verifyEmailExpirationMinutes * 60);
+    const verifyEmailToken = generateToken(user._id, expires, 'verifyEmail');
+    await saveSingleUseToken(verifyEmailToken, user._id, expires, 'verifyEmail');
+    await emailService.sendVerificationEmail(user.email, verifyEmailToken);
+    return verifyEmailToken;
+};
+
+/**
+ * Verify email
+ * @param {string} verifyEmailToken
+ * @returns {Promise}
+ */
+const verifyEmail = async (verifyEmailToken) => {
+    try {
+        const verifyEmailTokenPayload = await consumeSingleUseToken(verifyEmailToken, 'verifyEmail');
+        const user = await userService.getUserById(verifyEmailTokenPayload.sub);
+        if (!user) {
+            throw new Error('User not found');
+        }
+        await userService.updateUserById(user.id, {isEmailVerified: true});
+    } catch (error) {
+        throw new ApiError(status.UNAUTHORIZED, 'Email verification failed');
+    }
+};
 
 module.exports = {
     loginUserWithEmailAndPassword,
@@ -149,5 +401,12 @@ module.exports = {
     generateAuthTokens,
     verifyToken,
     refreshAuth,
+    generateTwoFactorChallenge,
+    loginWithTwoFactor,
+    logout,
+    logoutAll,
+    forgotPassword,
     resetPassword,
+    sendVerificationEmail,
+    verifyEmail,
 };
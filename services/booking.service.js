@@ -1,10 +1,12 @@
 const {status} = require('http-status');
+const mongoose = require('mongoose');
 const Booking = require('../models/booking.model');
 const Service = require('../models/service.model');
 const Pet = require('../models/pet.model');
 const ApiError = require('../utils/ApiError');
 const Payment = require('../models/payment.model');
 const {sendNotification} = require('./firebase.service');
+const loyaltyService = require('./loyalty.service');
 
 /**
  * Create a booking
@@ -19,7 +21,9 @@ const createBooking = async (bookingBody) => {
 
     const totalAmount = bookingBody.petsId.length * (service.onSale ? service.salePrice : service.price);
 
-    bookingBody.totalAmount = totalAmount;
+    const {redeemPoints} = bookingBody;
+    delete bookingBody.redeemPoints;
+    bookingBody._id = new mongoose.Types.ObjectId();
 
     // Add initial status history entry
     if (!bookingBody.statusHistory) {
@@ -32,7 +36,32 @@ const createBooking = async (bookingBody) => {
         }
     }
 
-    const booking = await Booking.create(bookingBody);
+    // Điểm thưởng và lịch hẹn được ghi trong cùng một transaction như khi tạo đơn hàng,
+    // tạo lịch hẹn lỗi thì điểm đã đổi cũng được hoàn tác
+    let booking;
+    const session = await mongoose.startSession();
+    try {
+        await session.withTransaction(async () => {
+            // Đổi điểm thưởng thành giảm giá cho lịch hẹn
+            bookingBody.discount = 0;
+            if (redeemPoints) {
+                bookingBody.discount = await loyaltyService.redeemPoints(
+                    bookingBody.customerId,
+                    redeemPoints,
+                    totalAmount,
+                    {sourceType: 'booking', sourceId: bookingBody._id},
+                    {session}
+                );
+                bookingBody.pointsRedeemed = redeemPoints;
+            }
+            bookingBody.totalAmount = totalAmount - bookingBody.discount;
+
+            [booking] = await Booking.create([bookingBody], {session});
+        });
+    } finally {
+        await session.endSession();
+    }
+
     if (booking && booking.status === 'booked') {
         // Send notification to customer
         await sendNotification({
@@ -244,6 +273,7 @@ const updateBookingById = async (bookingId, updateBody, role) => {
         booking.cancelledBy = role === 'user' ? 'customer' : 'admin';
 
         await booking.save();
+        await loyaltyService.reversePoints('booking', booking._id);
         sendNotification({
             userId: booking.customerId._id.toString(),
             title: 'Lịch hẹn đã bị huỷ',
@@ -278,6 +308,11 @@ const updateBookingById = async (bookingId, updateBody, role) => {
         });
 
         await booking.save();
+        await loyaltyService.awardPoints(
+            booking.customerId._id,
+            booking.totalAmount,
+            {sourceType: 'booking', sourceId: booking._id}
+        );
         return booking;
     }
 };
@@ -325,6 +360,7 @@ const cancelBooking = async (bookingId, cancellationReason, role = "user") => {
     booking.cancelledBy = role === 'user' ? 'customer' : 'admin';
 
     await booking.save();
+    await loyaltyService.reversePoints('booking', booking._id);
     sendNotification({
         userId: booking.customerId._id.toString(),
         title: 'Lịch hẹn đã bị huỷ',
@@ -521,6 +557,7 @@ const deleteExpiredBookings = async () => {
         if (booking.paymentId) {
             await Payment.deleteOne({_id: booking.paymentId});
         }
+        await loyaltyService.reversePoints('booking', booking._id);
         await Booking.deleteOne({_id: booking._id});
     });
 };
@@ -0,0 +1,148 @@
+const {status} = require('http-status');
+const Product = require('../models/product.model');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Get the part of a component product that holds the stock: its variant, or the product itself
+ * @param {Product} product
+ * @param {ObjectId} [variantId]
+ * @returns {Object|null} - Null when the variant no longer exists
+ */
+const getComponentStockHolder = (product, variantId) => (variantId
+    ? product.variants.find((variant) => variant._id.equals(variantId)) || null
+    : product);
+
+/**
+ * Check the components of a bundle
+ * Thành phần phải là sản phẩm thường đang tồn tại, sản phẩm có biến thể phải chỉ rõ biến thể
+ * @param {Object[]} bundleItems
+ * @param {ObjectId} [bundleId]
+ * @returns {Promise}
+ */
+const assertValidBundleItems = async (bundleItems, bundleId) => {
+    if (!bundleItems || bundleItems.length === 0) {
+        throw new ApiError(status.BAD_REQUEST, 'A bundle needs at least one component');
+    }
+
+    const keys = bundleItems.map((item) => `${ item.productId }:${ item.variantId || '' }`);
+    if (new Set(keys).size !== keys.length) {
+        throw new ApiError(status.BAD_REQUEST, 'Bundle components must be distinct');
+    }
+    if (bundleId && bundleItems.some((item) => item.productId.toString() === bundleId.toString())) {
+        throw new ApiError(status.BAD_REQUEST, 'A bundle cannot contain itself');
+    }
+
+    const products = await Product.find({_id: {$in: bundleItems.map((item) => item.productId)}});
+    const productsById = new Map(products.map((product) => [product._id.toString(), product]));
+    for (const item of bundleItems) {
+        const product = productsById.get(item.productId.toString());
+        if (!product) {
+            throw new ApiError(status.NOT_FOUND, `Component product ${ item.productId } not found`);
+        }
+        if (product.productType === 'bundle') {
+            throw new ApiError(status.BAD_REQUEST, `${ product.name } is a bundle and cannot be a component`);
+        }
+        if (product.variants.length > 0 && !item.variantId) {
+            throw new ApiError(status.BAD_REQUEST, `Please select a variant of ${ product.name }`);
+        }
+        if (product.variants.length === 0 && item.variantId) {
+            throw new ApiError(status.BAD_REQUEST, `Product ${ product.name } has no variants`);
+        }
+        if (!getComponentStockHolder(product, item.variantId)) {
+            throw new ApiError(status.NOT_FOUND, `Variant of ${ product.name } not found`);
+        }
+    }
+};
+
+/**
+ * Check that a product or one of its variants is not used by a bundle before deleting it
+ * @param {ObjectId} productId
+ * @param {ObjectId} [variantId]
+ * @returns {Promise}
+ */
+const assertNotInBundle = async (productId, variantId) => {
+    const bundle = await Product.findOne({
+        productType: 'bundle',
+        bundleItems: {$elemMatch: {productId, ...(variantId && {variantId})}},
+    }).select('name');
+    if (bundle) {
+        throw new ApiError(status.BAD_REQUEST, `Still used by bundle ${ bundle.name }`);
+    }
+};
+
+/**
+ * Get the number of bundles that can be assembled from the stock of the components
+ * @param {Object[]} bundleItems
+ * @param {Map<string, Product>} componentsById
+ * @returns {number}
+ */
+const getBundleStock = (bundleItems, componentsById) => {
+    if (bundleItems.length === 0) {
+        return 0;
+    }
+    return Math.min(...bundleItems.map((item) => {
+        const product = componentsById.get(item.productId.toString());
+        const stockHolder = product && getComponentStockHolder(product, item.variantId);
+        return stockHolder ? Math.max(Math.floor(stockHolder.stock / item.quantity), 0) : 0;
+    }));
+};
+
+/**
+ * Load the component products of bundles
+ * @param {Object[]} bundles
+ * @param {ClientSession} [session]
+ * @returns {Promise<Map<string, Product>>}
+ */
+const getComponentsById = async (bundles, session) => {
+    const componentIds = bundles.flatMap((bundle) => bundle.bundleItems.map((item) => item.productId));
+    const components = await Product.find({_id: {$in: componentIds}})
+        .select('name stock variants._id variants.stock')
+        .session(session || null)
+        .lean();
+    return new Map(components.map((component) => [component._id.toString(), component]));
+};
+
+/**
+ * Calculate the stock of a bundle from its components
+ * @param {Object[]} bundleItems
+ * @returns {Promise<number>}
+ */
+const calculateBundleStock = async (bundleItems) => {
+    return getBundleStock(bundleItems, await getComponentsById([{bundleItems}]));
+};
+
+/**
+ * Refresh the stock of the bundles containing some products after their stock changed
+ * Tồn kho của combo chỉ là giá trị tính sẵn để lọc và hiển thị, không ghi vào sổ kho
+ * @param {ObjectId[]} productIds - Component products whose stock changed
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<number>} - Number of bundles whose stock changed
+ */
+const syncBundleStock = async (productIds, {session} = {}) => {
+    const bundles = await Product.find({productType: 'bundle', 'bundleItems.productId': {$in: productIds}})
+        .select('stock bundleItems')
+        .session(session || null)
+        .lean();
+    if (bundles.length === 0) {
+        return 0;
+    }
+
+    const componentsById = await getComponentsById(bundles, session);
+    const updates = bundles
+        .map((bundle) => ({bundle, stock: getBundleStock(bundle.bundleItems, componentsById)}))
+        .filter(({bundle, stock}) => bundle.stock !== stock);
+    if (updates.length > 0) {
+        await Product.bulkWrite(updates.map(({bundle, stock}) => ({
+            updateOne: {filter: {_id: bundle._id}, update: {stock}}
+        })), {session});
+    }
+    return updates.length;
+};
+
+module.exports = {
+    assertValidBundleItems,
+    assertNotInBundle,
+    calculateBundleStock,
+    syncBundleStock,
+};
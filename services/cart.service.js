@@ -2,6 +2,7 @@ const {status} = require('http-status');
 const Cart = require('../models/cart.model');
 const Product = require('../models/product.model');
 const ApiError = require('../utils/ApiError');
+const productService = require('./product.service');
 
 /**
  * Get cart by user id
@@ -20,23 +21,41 @@ const getCartByUserId = async (userId) => {
         });
     }
 
-    cart.items = cart.items.map(item => ({
-        ...item,
-        name: item.productId.name,
-        image: item.productId.images && item.productId.images.length > 0 ? item.productId.images[0] : null,
-        price: item.productId.onSale && item.productId.salePrice ? item.productId.salePrice : item.productId.price
-    }));
+    cart.items = cart.items.map(item => {
+        // Biến thể đã bị xoá thì hiển thị theo thông tin sản phẩm
+        const variant = item.variantId ? item.productId.variants.id(item.variantId) : null;
+        const {name, image, unitPrice} = productService.getPurchaseInfo(item.productId, variant);
+        return {
+            ...item,
+            name,
+            image,
+            price: unitPrice
+        };
+    });
 
     return cart;
 };
 
+/**
+ * Check whether a cart item is the given product and variant
+ * @param {Object} item
+ * @param {ObjectId} productId
+ * @param {ObjectId} [variantId]
+ * @returns {boolean}
+ */
+const isSameCartItem = (item, productId, variantId) =>
+    item.productId._id.toString() === productId.toString()
+    && String(item.variantId || '') === String(variantId || '');
+
 /**
  * Add item to cart
  * @param {ObjectId} userId
- * @param {Object} itemData
+ * @param {ObjectId} productId
+ * @param {number} quantity
+ * @param {ObjectId} [variantId] - Required for products with variants
  * @returns {Promise<Cart>}
  */
-const addItemToCart = async (userId, productId, quantity) => {
+const addItemToCart = async (userId, productId, quantity, variantId) => {
     // Validate product exists and is available
     const product = await Product.findById(productId);
     if (!product) {
@@ -47,19 +66,21 @@ const addItemToCart = async (userId, productId, quantity) => {
         throw new ApiError(status.BAD_REQUEST, 'Product is not available');
     }
 
-    if (product.stock < quantity) {
-        throw new ApiError(status.BAD_REQUEST, 'Not enough product in stock');
-    }
+    const variant = productService.getProductVariant(product, variantId);
+    const purchaseInfo = productService.getPurchaseInfo(product, variant);
 
     let cart = await getCartByUserId(userId);
 
     // Check if item already exists in cart
-    const existingItemIndex = cart.items.findIndex(item =>
-        item.productId._id.toString() === productId.toString()
-    );
+    const existingItemIndex = cart.items.findIndex(item => isSameCartItem(item, productId, variantId));
+    const cartQuantity = existingItemIndex !== -1 ? cart.items[existingItemIndex].quantity : 0;
+
+    if (purchaseInfo.stock < cartQuantity + quantity) {
+        throw new ApiError(status.BAD_REQUEST, 'Not enough product in stock');
+    }
 
     // Get the current price (regular or sale price)
-    const currentPrice = product.onSale && product.salePrice ? product.salePrice : product.price;
+    const currentPrice = purchaseInfo.unitPrice;
 
     if (existingItemIndex !== -1) {
         // Update existing item
@@ -69,10 +90,13 @@ const addItemToCart = async (userId, productId, quantity) => {
         // Add new item
         cart.items.push({
             productId,
+            variantId: purchaseInfo.variantId || null,
+            sku: purchaseInfo.sku,
+            variantName: purchaseInfo.variantName,
             name: product.name,
             price: currentPrice,
             quantity,
-            image: product.images && product.images.length > 0 ? product.images[0] : null
+            image: purchaseInfo.image
         });
     }
 
@@ -91,9 +115,10 @@ const addItemToCart = async (userId, productId, quantity) => {
  * @param {ObjectId} userId
  * @param {ObjectId} productId
  * @param {number} quantity - New quantity
+ * @param {ObjectId} [variantId]
  * @returns {Promise<Cart>}
  */
-const updateCartItemQuantity = async (userId, productId, quantity) => {
+const updateCartItemQuantity = async (userId, productId, quantity, variantId) => {
     if (quantity < 1) {
         throw new ApiError(status.BAD_REQUEST, 'Quantity must be at least 1');
     }
@@ -104,15 +129,14 @@ const updateCartItemQuantity = async (userId, productId, quantity) => {
         throw new ApiError(status.NOT_FOUND, 'Product not found');
     }
 
-    if (product.stock < quantity) {
+    const variant = productService.getProductVariant(product, variantId);
+    if (productService.getPurchaseInfo(product, variant).stock < quantity) {
         throw new ApiError(status.BAD_REQUEST, 'Not enough product in stock');
     }
 
     const cart = await getCartByUserId(userId);
 
-    const itemIndex = cart.items.findIndex(item =>
-        item.productId._id.toString() === productId.toString()
-    );
+    const itemIndex = cart.items.findIndex(item => isSameCartItem(item, productId, variantId));
 
     if (itemIndex === -1) {
         throw new ApiError(status.NOT_FOUND, 'Item not found in cart');
@@ -134,14 +158,13 @@ const updateCartItemQuantity = async (userId, productId, quantity) => {
  * Remove item from cart
  * @param {ObjectId} userId
  * @param {ObjectId} productId
+ * @param {ObjectId} [variantId]
  * @returns {Promise<Cart>}
  */
-const removeCartItem = async (userId, productId) => {
+const removeCartItem = async (userId, productId, variantId) => {
     const cart = await getCartByUserId(userId);
 
-    const itemIndex = cart.items.findIndex(item =>
-        item.productId._id.toString() === productId.toString()
-    );
+    const itemIndex = cart.items.findIndex(item => isSameCartItem(item, productId, variantId));
 
     if (itemIndex === -1) {
         throw new ApiError(status.NOT_FOUND, 'Item not found in cart');
@@ -195,15 +218,20 @@ const validateCartItems = async (userId) => {
     // Check each item
     for (const item of cart.items) {
         const product = await Product.findById(item.productId);
+        const variant = product && item.variantId ? product.variants.id(item.variantId) : null;
+        const variantMissing = product && Boolean(item.variantId) && !variant;
+        const stock = product && !variantMissing ? productService.getPurchaseInfo(product, variant).stock : 0;
 
-        if (!product || !product.isVisible || product.stock < item.quantity) {
+        if (!product || !product.isVisible || variantMissing || stock < item.quantity) {
             validationResults.valid = false;
             validationResults.invalidItems.push({
                 productId: item.productId,
+                variantId: item.variantId,
                 name: item.name,
                 reason: !product ? 'Product not found' :
                     !product.isVisible ? 'Product is not available' :
-                        'Not enough stock'
+                        variantMissing ? 'Product variant not found' :
+                            'Not enough stock'
             });
         }
     }
@@ -0,0 +1,325 @@
+const {status} = require('http-status');
+const path = require('path');
+const {Readable} = require('stream');
+const ExcelJS = require('exceljs');
+const Product = require('../models/product.model');
+const Category = require('../models/category.model');
+const ApiError = require('../utils/ApiError');
+const {toCsv} = require('../utils/csv');
+const {importProductRow} = require('../validations');
+const productService = require('./product.service');
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Cột của file nhập/xuất, trùng với tên trường để file xuất ra có thể nhập lại
+const catalogColumns = [
+    'sku', 'name', 'description', 'category', 'brand', 'price', 'costPrice', 'salePrice', 'onSale', 'stock',
+    'reorderThreshold', 'petTypes', 'tags', 'highlights', 'images', 'isVisible', 'isFeatured', 'size', 'flavor', 'color',
+];
+const listColumns = ['petTypes', 'tags', 'highlights', 'images'];
+const variantColumns = ['price', 'salePrice', 'onSale', 'stock', 'reorderThreshold'];
+const optionColumns = ['size', 'flavor', 'color'];
+const LIST_SEPARATOR = '|';
+
+/**
+ * Get the plain value of a spreadsheet cell
+ * @param {*} value - ExcelJS cell value
+ * @returns {*}
+ */
+const getCellValue = (value) => {
+    if (value === null || value === undefined) {
+        return undefined;
+    }
+    if (typeof value === 'object' && !(value instanceof Date)) {
+        if (value.richText) {
+            return value.richText.map((part) => part.text).join('');
+        }
+        if (value.text !== undefined) {
+            return value.text;
+        }
+        if (value.result !== undefined) {
+            return value.result;
+        }
+    }
+    if (typeof value === 'string') {
+        const text = value.trim();
+        return text === '' ? undefined : text;
+    }
+    return value;
+};
+
+/**
+ * Read the rows of an uploaded CSV or XLSX file
+ * @param {Object} file - Multer file kept in memory
+ * @returns {Promise<Object[]>} - [{rowNumber, values}], values keyed by catalog column
+ */
+const readSpreadsheet = async (file) => {
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+    try {
+        if (path.extname(file.originalname).toLowerCase() === '.csv') {
+            // Giữ nguyên chuỗi để SKU như "00123" không bị đổi thành số
+            worksheet = await workbook.csv.read(Readable.from(file.buffer), {map: (value) => value});
+        } else {
+            await workbook.xlsx.load(file.buffer);
+            worksheet = workbook.worksheets[0];
+        }
+    } catch (error) {
+        throw new ApiError(status.BAD_REQUEST, 'Could not read the import file');
+    }
+    if (!worksheet || worksheet.rowCount < 2) {
+        throw new ApiError(status.BAD_REQUEST, 'Import file has no data rows');
+    }
+
+    // Tiêu đề không phân biệt hoa thường, bỏ BOM do Excel thêm vào file CSV
+    const columnsByHeader = new Map(catalogColumns.map((column) => [column.toLowerCase(), column]));
+    const headers = [];
+    worksheet.getRow(1).eachCell((cell, columnNumber) => {
+        const header = String(getCellValue(cell.value) || '').replace(/^\uFEFF/, '').trim().toLowerCase();
+        headers[columnNumber] = columnsByHeader.get(header);
+    });
+    if (!headers.includes('sku')) {
+        throw new ApiError(status.BAD_REQUEST, 'Import file must have a sku column');
+    }
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) {
+            return;
+        }
+        const values = {};
+        row.eachCell((cell, columnNumber) => {
+            const column = headers[columnNumber];
+            const value = getCellValue(cell.value);
+            if (!column || value === undefined) {
+                return;
+            }
+            values[column] = listColumns.includes(column)
+                ? String(value).split(LIST_SEPARATOR).map((item) => item.trim()).filter(Boolean)
+                : value;
+        });
+        if (Object.keys(values).length > 0) {
+            rows.push({rowNumber, values});
+        }
+    });
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new ApiError(status.BAD_REQUEST, `Import file cannot have more than ${ MAX_IMPORT_ROWS } rows`);
+    }
+    return rows;
+};
+
+/**
+ * Validate a row and turn it into a product or variant update
+ * @param {Object} row
+ * @param {Object} context
+ * @param {Map} context.categoriesByName
+ * @param {Map} context.productsBySku
+ * @param {Map} context.variantsBySku
+ * @param {Set} context.seenSkus
+ * @returns {Object} - {action, errors, productId, variantId, productBody, variantBody}
+ */
+const prepareRow = ({values}, {categoriesByName, productsBySku, variantsBySku, seenSkus}) => {
+    const sku = values.sku !== undefined ? String(values.sku).trim().toUpperCase() : undefined;
+    const existingProduct = sku && productsBySku.get(sku);
+    const existingVariant = sku && variantsBySku.get(sku);
+    const action = existingProduct || existingVariant ? 'update' : 'create';
+
+    const schema = action === 'create' ? importProductRow.create : importProductRow.update;
+    const {value, error} = schema.validate({...values, ...(sku && {sku})}, {abortEarly: false});
+    const errors = error ? error.details.map((detail) => detail.message) : [];
+
+    if (sku && seenSkus.has(sku)) {
+        errors.push(`SKU ${ sku } appears more than once in the file`);
+    }
+    if (sku) {
+        seenSkus.add(sku);
+    }
+
+    let categoryId;
+    if (typeof value.category === 'string') {
+        categoryId = categoriesByName.get(value.category.toLowerCase());
+        if (!categoryId) {
+            errors.push(`Category "${ value.category }" not found`);
+        }
+    }
+
+    if (existingProduct && existingProduct.productType === 'bundle' && value.stock !== undefined) {
+        errors.push('Bundle stock is derived from its components');
+    }
+
+    const {category, size, flavor, color, ...fields} = value;
+    const hasOptions = optionColumns.some((column) => value[column] !== undefined);
+    if (hasOptions && !existingVariant) {
+        errors.push('size, flavor and color can only be set for existing variant SKUs');
+    }
+
+    if (errors.length > 0) {
+        return {action: 'error', sku, errors};
+    }
+
+    const productBody = {...fields, ...(categoryId && {categoryId})};
+    if (!existingVariant) {
+        return {action, sku, productId: existingProduct && existingProduct._id, productBody};
+    }
+
+    // Dòng của biến thể: giá và tồn kho thuộc về biến thể, các cột còn lại cập nhật sản phẩm
+    const variantBody = {};
+    variantColumns.forEach((column) => {
+        if (productBody[column] !== undefined) {
+            variantBody[column] = productBody[column];
+        }
+        delete productBody[column];
+    });
+    delete productBody.sku;
+    if (hasOptions) {
+        variantBody.options = {
+            ...existingVariant.variant.options,
+            ...(size && {size}),
+            ...(flavor && {flavor}),
+            ...(color && {color}),
+        };
+    }
+
+    return {
+        action,
+        sku,
+        productId: existingVariant.productId,
+        variantId: existingVariant.variant._id,
+        productBody,
+        variantBody,
+    };
+};
+
+/**
+ * Import products from a CSV or XLSX file, creating new SKUs and updating existing ones
+ * Mỗi dòng được xử lý độc lập, dòng lỗi không làm dừng các dòng còn lại
+ * @param {Object} file - Multer file kept in memory
+ * @param {Object} options
+ * @param {boolean} [options.dryRun] - Only validate and report what would change
+ * @param {User} [options.actor]
+ * @returns {Promise<Object>} - Summary and per-row report
+ */
+const importProducts = async (file, {dryRun = false, actor} = {}) => {
+    if (!file) {
+        throw new ApiError(status.BAD_REQUEST, 'Import file is required');
+    }
+
+    const rows = await readSpreadsheet(file);
+    const skus = rows
+        .map(({values}) => values.sku)
+        .filter((sku) => sku !== undefined)
+        .map((sku) => String(sku).trim().toUpperCase());
+
+    const [categories, products] = await Promise.all([
+        Category.find().select('name').lean(),
+        Product.find({$or: [{sku: {$in: skus}}, {'variants.sku': {$in: skus}}]}).select('sku productType variants._id variants.sku variants.options').lean(),
+    ]);
+
+    const context = {
+        categoriesByName: new Map(categories.map((category) => [category.name.trim().toLowerCase(), category._id])),
+        productsBySku: new Map(products.filter((product) => product.sku).map((product) => [product.sku, product])),
+        variantsBySku: new Map(products.flatMap((product) => product.variants
+            .map((variant) => [variant.sku, {productId: product._id, variant}]))),
+        seenSkus: new Set(),
+    };
+
+    const results = [];
+    for (const row of rows) {
+        const prepared = prepareRow(row, context);
+        const result = {row: row.rowNumber, sku: prepared.sku, action: prepared.action, errors: prepared.errors || []};
+
+        if (!dryRun && prepared.action !== 'error') {
+            try {
+                if (prepared.action === 'create') {
+                    const product = await productService.createProduct(prepared.productBody, actor);
+                    result.productId = product._id;
+                } else {
+                    if (Object.keys(prepared.productBody).length > 0) {
+                        await productService.updateProductById(prepared.productId, prepared.productBody, actor);
+                    }
+                    if (prepared.variantId && Object.keys(prepared.variantBody).length > 0) {
+                        await productService.updateProductVariant(prepared.productId, prepared.variantId, prepared.variantBody, actor);
+                    }
+                    result.productId = prepared.productId;
+                }
+            } catch (error) {
+                result.action = 'error';
+                result.errors = [error instanceof ApiError || error.name === 'ValidationError' ? error.message : 'Failed to save row'];
+            }
+        }
+        results.push(result);
+    }
+
+    const countByAction = (action) => results.filter((result) => result.action === action).length;
+
+    return {
+        dryRun,
+        summary: {
+            totalRows: results.length,
+            created: countByAction('create'),
+            updated: countByAction('update'),
+            failed: countByAction('error'),
+        },
+        results,
+    };
+};
+
+/**
+ * Export the full catalog, one row per product or per variant
+ * @param {string} [format] - csv or xlsx
+ * @returns {Promise<Buffer|string>}
+ */
+const exportProducts = async (format = 'csv') => {
+    const products = await Product.find()
+        .populate('categoryId', 'name')
+        .sort({name: 1})
+        .lean();
+
+    const rows = products.flatMap((product) => {
+        const productRow = {
+            sku: product.sku,
+            name: product.name,
+            description: product.description,
+            category: product.categoryId ? product.categoryId.name : undefined,
+            brand: product.brand,
+            price: product.price,
+            costPrice: product.costPrice,
+            salePrice: product.salePrice,
+            onSale: product.onSale,
+            stock: product.stock,
+            reorderThreshold: product.reorderThreshold,
+            isVisible: product.isVisible,
+            isFeatured: product.isFeatured,
+            ...Object.fromEntries(listColumns.map((column) => [column, (product[column] || []).join(LIST_SEPARATOR)])),
+        };
+        if (product.variants.length === 0) {
+            return [productRow];
+        }
+        return product.variants.map((variant) => ({
+            ...productRow,
+            sku: variant.sku,
+            price: variant.price,
+            salePrice: variant.salePrice,
+            onSale: variant.onSale,
+            stock: variant.stock,
+            reorderThreshold: variant.reorderThreshold,
+            ...variant.options,
+        }));
+    });
+
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet('Products');
+        worksheet.columns = catalogColumns.map((column) => ({header: column, key: column}));
+        worksheet.addRows(rows);
+        return workbook.xlsx.writeBuffer();
+    }
+
+    return toCsv(rows, catalogColumns.map((column) => ({header: column, value: column})));
+};
+
+module.exports = {
+    importProducts,
+    exportProducts,
+};
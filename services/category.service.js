@@ -2,6 +2,7 @@ const {status} = require('http-status');
 const Category = require('../models/category.model');
 const ApiError = require('../utils/ApiError');
 const Product = require('../models/product.model');
+const searchService = require('./search.service');
 
 /**
  * Create a category
@@ -9,7 +10,9 @@ const Product = require('../models/product.model');
  * @returns {Promise<Category>}
  */
 const createCategory = async (categoryBody) => {
-    return Category.create(categoryBody);
+    const category = await Category.create(categoryBody);
+    await searchService.indexItem('category', category);
+    return category;
 };
 
 /**
@@ -58,6 +61,7 @@ const updateCategoryById = async (categoryId, updateBody) => {
 
     Object.assign(category, updateBody);
     await category.save();
+    await searchService.indexItem('category', category);
     return category;
 };
 
@@ -81,6 +85,7 @@ const deleteCategoryById = async (categoryId) => {
     }
 
     await category.deleteOne();
+    await searchService.removeItem('category', category._id);
     return category;
 };
 
@@ -0,0 +1,128 @@
+const {status} = require('http-status');
+const crypto = require('crypto');
+const Coupon = require('../models/coupon.model');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Issue a personal coupon
+ * @param {Object} couponBody
+ * @param {ObjectId} couponBody.userId
+ * @param {string} couponBody.discountType - fixed or percent
+ * @param {number} couponBody.value
+ * @param {number} [couponBody.minOrderAmount]
+ * @param {number} couponBody.expiryDays
+ * @param {string} couponBody.source
+ * @param {ObjectId} [couponBody.sourceId]
+ * @returns {Promise<Coupon>}
+ */
+const issueCoupon = async ({userId, discountType, value, minOrderAmount = 0, expiryDays, source, sourceId}) => {
+    return Coupon.create({
+        code: `${ source.slice(0, 3).toUpperCase() }${ crypto.randomBytes(4).toString('hex').toUpperCase() }`,
+        userId,
+        discountType,
+        value,
+        minOrderAmount,
+        expiresAt: new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000),
+        source,
+        sourceId,
+    });
+};
+
+/**
+ * Calculate the discount of a coupon on an amount
+ * @param {Coupon} coupon
+ * @param {number} amount
+ * @returns {number}
+ */
+const calculateDiscount = (coupon, amount) => {
+    const discount = coupon.discountType === 'percent'
+        ? Math.floor((amount * coupon.value) / 100)
+        : coupon.value;
+    return Math.min(discount, amount);
+};
+
+/**
+ * Mark a coupon as used by an order and return its discount
+ * Đánh dấu đã dùng bằng một cập nhật có điều kiện để mã không bị dùng cho hai đơn cùng lúc
+ * @param {ObjectId} userId
+ * @param {string} code
+ * @param {number} amount - Amount the discount applies to (VND)
+ * @param {ObjectId} orderId
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Session of the checkout transaction
+ * @returns {Promise<number>} - Discount amount (VND)
+ */
+const applyCoupon = async (userId, code, amount, orderId, {session} = {}) => {
+    const coupon = await Coupon.findOne({code: code.trim().toUpperCase(), userId}).session(session || null);
+    if (!coupon) {
+        throw new ApiError(status.NOT_FOUND, 'Coupon not found');
+    }
+    if (coupon.usedAt) {
+        throw new ApiError(status.BAD_REQUEST, 'Coupon has already been used');
+    }
+    if (coupon.expiresAt <= new Date()) {
+        throw new ApiError(status.BAD_REQUEST, 'Coupon has expired');
+    }
+    if (amount < coupon.minOrderAmount) {
+        throw new ApiError(status.BAD_REQUEST, `Coupon requires a minimum order amount of ${ coupon.minOrderAmount }`);
+    }
+
+    const updated = await Coupon.findOneAndUpdate(
+        {_id: coupon._id, usedAt: null},
+        {usedAt: new Date(), orderId},
+        {session}
+    );
+    if (!updated) {
+        throw new ApiError(status.BAD_REQUEST, 'Coupon has already been used');
+    }
+
+    return calculateDiscount(coupon, amount);
+};
+
+/**
+ * Make the coupon of a cancelled order usable again
+ * @param {ObjectId} orderId
+ * @returns {Promise}
+ */
+const releaseCoupon = async (orderId) => {
+    await Coupon.updateOne({orderId}, {usedAt: null, orderId: null});
+};
+
+/**
+ * Void the unused coupons issued for a source, e.g. a reversed referral reward
+ * Mã đã dùng cho đơn hàng thì giữ nguyên, mã chưa dùng được cho hết hạn ngay
+ * @param {string} source
+ * @param {ObjectId} sourceId
+ * @returns {Promise<number>} - Number of voided coupons
+ */
+const voidCoupons = async (source, sourceId) => {
+    const {modifiedCount} = await Coupon.updateMany(
+        {source, sourceId, usedAt: null, expiresAt: {$gt: new Date()}},
+        {expiresAt: new Date()}
+    );
+    return modifiedCount;
+};
+
+/**
+ * Get the coupons of a user
+ * @param {ObjectId} userId
+ * @param {Object} options
+ * @param {boolean} [options.available] - Only unused, unexpired coupons
+ * @returns {Promise<Coupon[]>}
+ */
+const getUserCoupons = async (userId, options = {}) => {
+    const filter = {userId};
+    if (options.available) {
+        filter.usedAt = null;
+        filter.expiresAt = {$gt: new Date()};
+    }
+    return Coupon.find(filter).sort({createdAt: -1});
+};
+
+module.exports = {
+    issueCoupon,
+    applyCoupon,
+    releaseCoupon,
+    voidCoupons,
+    getUserCoupons,
+};
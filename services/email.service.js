@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const config = require('../configs/config');
+
+/**
+ * Create the mail transport configured by EMAIL_TRANSPORT
+ * - smtp: gửi email thật qua SMTP server
+ * - file: ghi email ra file .eml trong config.email.fileDir (dùng khi dev)
+ * - console: chỉ in người nhận và mã email ra console (dùng khi dev)
+ * @returns {Object} - Nodemailer transport
+ */
+const createTransport = () => {
+    switch (config.email.transport) {
+        case 'smtp':
+            return nodemailer.createTransport(config.email.smtp);
+        case 'file':
+            return nodemailer.createTransport({streamTransport: true, buffer: true, newline: 'unix'});
+        case 'console':
+        default:
+            return nodemailer.createTransport({jsonTransport: true});
+    }
+};
+
+const transport = createTransport();
+
+if (config.env !== 'test' && config.email.transport === 'smtp') {
+    transport
+        .verify()
+        .then(() => console.log('Connected to email server'))
+        .catch(() => console.warn('Unable to connect to email server. Make sure you have configured the SMTP options in .env'));
+}
+
+/**
+ * Send an email
+ * @param {string} to
+ * @param {string} subject
+ * @param {string} text
+ * @returns {Promise<Object>}
+ */
+const sendEmail = async (to, subject, text) => {
+    const msg = {from: config.email.from, to, subject, text};
+    const info = await transport.sendMail(msg);
+
+    if (config.email.transport === 'file') {
+        fs.mkdirSync(config.email.fileDir, {recursive: true});
+        const fileName = `${ Date.now() }-${ to.replace(/[^a-zA-Z0-9@._-]/g, '_') }.eml`;
+        fs.writeFileSync(path.join(config.email.fileDir, fileName), info.message);
+    } else if (config.email.transport === 'console') {
+        // Không in nội dung email vì có chứa token đặt lại mật khẩu và xác thực
+        console.log(`Email sent to ${ to }: ${ subject } (${ info.messageId })`);
+    }
+
+    return info;
+};
+
+/**
+ * Send reset password email
+ * @param {string} to
+ * @param {string} token
+ * @returns {Promise<Object>}
+ */
+const sendResetPasswordEmail = async (to, token) => {
+    const subject = 'Đặt lại mật khẩu';
+    const resetPasswordUrl = `${ config.clientUrl }/reset-password?token=${ token }`;
+    const text = `Xin chào,
+Bạn vừa yêu cầu đặt lại mật khẩu. Vui lòng truy cập liên kết sau để đặt mật khẩu mới: ${ resetPasswordUrl }
+Liên kết chỉ có hiệu lực trong ${ config.jwt.resetPasswordExpirationMinutes } phút và chỉ dùng được một lần.
+Nếu bạn không yêu cầu đặt lại mật khẩu, vui lòng bỏ qua email này.`;
+    return sendEmail(to, subject, text);
+};
+
+/**
+ * Send verification email
+ * @param {string} to
+ * @param {string} token
+ * @returns {Promise<Object>}
+ */
+const sendVerificationEmail = async (to, token) => {
+    const subject = 'Xác thực email';
+    const verificationEmailUrl = `${ config.clientUrl }/verify-email?token=${ token }`;
+    const text = `Xin chào,
+Cảm ơn bạn đã đăng ký tài khoản. Vui lòng truy cập liên kết sau để xác thực email: ${ verificationEmailUrl }
+Liên kết chỉ có hiệu lực trong ${ config.jwt.verifyEmailExpirationMinutes } phút.
+Nếu bạn không tạo tài khoản này, vui lòng bỏ qua email này.`;
+    return sendEmail(to, subject, text);
+};
+
+module.exports = {
+    transport,
+    sendEmail,
+    sendResetPasswordEmail,
+    sendVerificationEmail,
+};
@@ -10,4 +10,24 @@ module.exports.reviewService = require('./review.service');
 module.exports.serviceService = require('./service.service');
 module.exports.userService = require('./user.service');
 module.exports.ragService = require('./rag.service');
-module.exports.firebaseService = require('./firebase.service');
\ No newline at end of file
+module.exports.firebaseService = require('./firebase.service');
+module.exports.emailService = require('./email.service');
+module.exports.settingService = require('./setting.service');
+module.exports.sessionService = require('./session.service');
+module.exports.loginAttemptService = require('./loginAttempt.service');
+module.exports.twoFactorService = require('./twoFactor.service');
+module.exports.roleService = require('./role.service');
+module.exports.auditLogService = require('./auditLog.service');
+module.exports.accountService = require('./account.service');
+module.exports.locationService = require('./location.service');
+module.exports.loyaltyService = require('./loyalty.service');
+module.exports.couponService = require('./coupon.service');
+module.exports.referralService = require('./referral.service');
+module.exports.wishlistService = require('./wishlist.service');
+module.exports.inventoryService = require('./inventory.service');
+module.exports.catalogService = require('./catalog.service');
+module.exports.searchService = require('./search.service');
+module.exports.priceScheduleService = require('./priceSchedule.service');
+module.exports.recommendationService = require('./recommendation.service');
+module.exports.priceHistoryService = require('./priceHistory.service');
+module.exports.stockSubscriptionService = require('./stockSubscription.service');
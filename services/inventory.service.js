@@ -0,0 +1,422 @@
+const mongoose = require('mongoose');
+const InventoryMovement = require('../models/inventoryMovement.model');
+const Product = require('../models/product.model');
+const Order = require('../models/order.model');
+const User = require('../models/user.model');
+const settingService = require('./setting.service');
+const roleService = require('./role.service');
+const bundleService = require('./bundle.service');
+const stockSubscriptionService = require('./stockSubscription.service');
+const {sendNotification} = require('./firebase.service');
+
+/**
+ * Record a stock movement after the product has been updated
+ * @param {Product} product - Product with the stock after the movement
+ * @param {Object} movement
+ * @param {string} movement.type - sale, cancellation, adjustment, return or receipt
+ * @param {number} movement.quantity - Signed quantity delta
+ * @param {Object} [movement.variant] - Variant whose stock changed
+ * @param {number} [movement.balance] - Resulting stock, defaults to the current stock of the product or variant
+ * @param {User} [movement.actor] - Null for system movements
+ * @param {string} [movement.referenceType]
+ * @param {ObjectId} [movement.referenceId]
+ * @param {string} [movement.note]
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<InventoryMovement|null>}
+ */
+const recordMovement = async (product, {
+    type, quantity, variant, balance, actor, referenceType, referenceId, note
+}, {session} = {}) => {
+    if (!quantity) {
+        return null;
+    }
+
+    const [movement] = await InventoryMovement.create([{
+        productId: product._id,
+        variantId: variant ? variant._id : null,
+        sku: variant ? variant.sku : undefined,
+        type,
+        quantity,
+        balance: balance !== undefined ? balance : (variant || product).stock,
+        actorId: actor ? actor._id : null,
+        actorRole: actor ? actor.role : undefined,
+        referenceType,
+        referenceId,
+        note,
+    }], {session});
+    // Tồn kho của các combo chứa sản phẩm này được tính lại
+    await bundleService.syncBundleStock([product._id], {session});
+    // Hàng vừa có lại thì báo cho đợt đầu tiên trong danh sách chờ, các đợt sau do cron xử lý.
+    // Tồn kho đã được lưu nên lỗi gửi báo chỉ được ghi log, cron mỗi giờ sẽ gửi lại đợt này
+    if (!session && quantity > 0 && movement.balance > 0 && movement.balance - quantity <= 0) {
+        try {
+            await stockSubscriptionService.notifyNextBatch(product._id, variant ? variant._id : null);
+        } catch (error) {
+            console.error('Error notifying restock subscribers:', error);
+        }
+    }
+    return movement;
+};
+
+/**
+ * Get the stock movements of a product
+ * @param {ObjectId} productId
+ * @param {Object} filter
+ * @param {ObjectId} [filter.variantId]
+ * @param {string} [filter.type]
+ * @param {Date} [filter.from]
+ * @param {Date} [filter.to]
+ * @param {Object} options
+ * @param {number} [options.page]
+ * @param {number} [options.limit]
+ * @returns {Promise<Object>} - Object containing movements and pagination info
+ */
+const getInventoryHistory = async (productId, {variantId, type, from, to}, options = {}) => {
+    const page = options.page || 1;
+    const limit = options.limit || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {
+        productId,
+        ...(variantId && {variantId}),
+        ...(type && {type}),
+    };
+    if (from || to) {
+        filter.createdAt = {
+            ...(from && {$gte: new Date(from)}),
+            ...(to && {$lte: new Date(to)}),
+        };
+    }
+
+    const movements = await InventoryMovement.find(filter)
+        .sort({createdAt: -1, _id: -1})
+        .skip(skip)
+        .limit(limit)
+        .populate('actorId', 'fullname email role');
+
+    const totalResults = await InventoryMovement.countDocuments(filter);
+
+    return {
+        results: movements,
+        page,
+        limit,
+        totalPages: Math.ceil(totalResults / limit),
+        totalResults
+    };
+};
+
+/**
+ * Recompute stock balances from the ledger and compare them with the current stock
+ * Sản phẩm có biến thể được đối chiếu theo từng biến thể, dòng cấp sản phẩm của chúng phải bằng 0
+ * @param {Object} options
+ * @param {ObjectId} [options.productId] - Only reconcile this product
+ * @param {boolean} [options.includeMatched] - Also return the rows that match
+ * @returns {Promise<Object>}
+ */
+const getStockReconciliation = async ({productId, includeMatched = false} = {}) => {
+    const [ledger, products] = await Promise.all([
+        InventoryMovement.aggregate([
+            {$match: productId ? {productId: new mongoose.Types.ObjectId(productId)} : {}},
+            {
+                $group: {
+                    _id: {productId: '$productId', variantId: '$variantId'},
+                    ledgerBalance: {$sum: '$quantity'},
+                    movementCount: {$sum: 1},
+                    lastMovementAt: {$max: '$createdAt'},
+                }
+            },
+        ]),
+        // Combo không có tồn kho riêng trong sổ kho
+        Product.find({...(productId && {_id: productId}), productType: {$ne: 'bundle'}})
+            .select('name stock variants._id variants.sku variants.stock')
+            .lean(),
+    ]);
+
+    const getKey = (rowProductId, rowVariantId) => `${ rowProductId }:${ rowVariantId || '' }`;
+    const ledgerByKey = new Map(ledger.map((row) => [getKey(row._id.productId, row._id.variantId), row]));
+
+    const rows = [];
+    products.forEach((product) => {
+        const expected = [
+            {variantId: null, actualStock: product.variants.length > 0 ? 0 : product.stock},
+            ...product.variants.map((variant) => ({variantId: variant._id, sku: variant.sku, actualStock: variant.stock})),
+        ];
+        // Biến thể đã bị xoá nhưng vẫn còn trong sổ kho phải có tồn kho bằng 0
+        const knownKeys = new Set(expected.map((row) => getKey(product._id, row.variantId)));
+        ledger
+            .filter((row) => row._id.productId.equals(product._id) && !knownKeys.has(getKey(product._id, row._id.variantId)))
+            .forEach((row) => expected.push({variantId: row._id.variantId, actualStock: 0, deleted: true}));
+
+        expected.forEach((row) => {
+            const entry = ledgerByKey.get(getKey(product._id, row.variantId));
+            const ledgerBalance = entry ? entry.ledgerBalance : 0;
+            let rowStatus = 'matched';
+            if (!entry && row.actualStock !== 0) {
+                rowStatus = 'untracked';
+            } else if (ledgerBalance !== row.actualStock) {
+                rowStatus = 'mismatched';
+            }
+
+            rows.push({
+                productId: product._id,
+                name: product.name,
+                ...row,
+                ledgerBalance,
+                difference: row.actualStock - ledgerBalance,
+                movementCount: entry ? entry.movementCount : 0,
+                lastMovementAt: entry ? entry.lastMovementAt : null,
+                status: rowStatus,
+            });
+        });
+    });
+
+    const countByStatus = (rowStatus) => rows.filter((row) => row.status === rowStatus).length;
+
+    return {
+        summary: {
+            checked: rows.length,
+            matched: countByStatus('matched'),
+            mismatched: countByStatus('mismatched'),
+            untracked: countByStatus('untracked'),
+        },
+        results: includeMatched ? rows : rows.filter((row) => row.status !== 'matched'),
+    };
+};
+
+/**
+ * Get the low-stock and reorder settings
+ * @returns {Promise<Object>}
+ */
+const getInventorySettings = async () => {
+    const {inventory} = await settingService.getSettings();
+    return inventory;
+};
+
+/**
+ * Flatten products into stock-keeping rows with their reorder threshold
+ * Sản phẩm có biến thể được theo dõi theo từng biến thể, ngưỡng lấy theo biến thể, sản phẩm rồi cài đặt
+ * @param {Object[]} products - Lean products
+ * @param {number} defaultThreshold
+ * @returns {Object[]}
+ */
+const getStockRows = (products, defaultThreshold) => products.flatMap((product) => {
+    const productThreshold = product.reorderThreshold !== undefined && product.reorderThreshold !== null
+        ? product.reorderThreshold
+        : defaultThreshold;
+    if (product.variants.length === 0) {
+        return [{
+            productId: product._id,
+            name: product.name,
+            variantId: null,
+            stock: product.stock,
+            soldCount: product.soldCount,
+            reorderThreshold: productThreshold,
+            lowStockAlertedAt: product.lowStockAlertedAt,
+            createdAt: product.createdAt,
+        }];
+    }
+    return product.variants.map((variant) => ({
+        productId: product._id,
+        name: product.name,
+        variantId: variant._id,
+        sku: variant.sku,
+        variantName: Product.getVariantName(variant),
+        stock: variant.stock,
+        soldCount: variant.soldCount,
+        reorderThreshold: variant.reorderThreshold !== undefined && variant.reorderThreshold !== null
+            ? variant.reorderThreshold
+            : productThreshold,
+        lowStockAlertedAt: variant.lowStockAlertedAt,
+        createdAt: product.createdAt,
+    }));
+});
+
+/**
+ * Load the stock rows of all visible products, bundles are tracked through their components
+ * @param {number} defaultThreshold
+ * @returns {Promise<Object[]>}
+ */
+const getVisibleStockRows = async (defaultThreshold) => {
+    const products = await Product.find({isVisible: true, productType: {$ne: 'bundle'}})
+        .select('name stock soldCount reorderThreshold lowStockAlertedAt createdAt variants._id variants.sku variants.options variants.stock variants.soldCount variants.reorderThreshold variants.lowStockAlertedAt')
+        .lean();
+    return getStockRows(products, defaultThreshold);
+};
+
+const getRowName = (row) => (row.variantName ? `${ row.name } (${ row.variantName })` : row.name);
+
+/**
+ * Set or clear the low-stock alert marker of a product or variant
+ * @param {Object} row
+ * @param {Date|null} alertedAt
+ * @returns {Promise}
+ */
+const setLowStockAlertedAt = (row, alertedAt) => (row.variantId
+    ? Product.updateOne(
+        {_id: row.productId, 'variants._id': row.variantId},
+        {'variants.$.lowStockAlertedAt': alertedAt}
+    )
+    : Product.updateOne({_id: row.productId}, {lowStockAlertedAt: alertedAt}));
+
+/**
+ * Get the products and variants whose stock is at or below their reorder threshold
+ * @param {number} [limit]
+ * @returns {Promise<Object[]>}
+ */
+const getLowStockItems = async (limit = 20) => {
+    const {defaultReorderThreshold} = await getInventorySettings();
+    const rows = await getVisibleStockRows(defaultReorderThreshold);
+
+    return rows
+        .filter((row) => row.stock <= row.reorderThreshold)
+        .sort((a, b) => a.stock - b.stock)
+        .slice(0, limit)
+        .map(({lowStockAlertedAt, createdAt, soldCount, ...row}) => row);
+};
+
+/**
+ * Notify staff about products and variants that fell to or below their reorder threshold
+ * Mỗi mặt hàng chỉ được cảnh báo một lần cho đến khi tồn kho vượt lại ngưỡng
+ * @returns {Promise<number>} - Number of newly alerted items
+ */
+const notifyLowStock = async () => {
+    const {lowStockAlertsEnabled, defaultReorderThreshold} = await getInventorySettings();
+    if (!lowStockAlertsEnabled) {
+        return 0;
+    }
+
+    const rows = await getVisibleStockRows(defaultReorderThreshold);
+    const recovered = rows.filter((row) => row.lowStockAlertedAt && row.stock > row.reorderThreshold);
+    const newlyLow = rows.filter((row) => !row.lowStockAlertedAt && row.stock <= row.reorderThreshold);
+
+    for (const row of recovered) {
+        await setLowStockAlertedAt(row, null);
+    }
+    if (newlyLow.length === 0) {
+        return 0;
+    }
+
+    // Nhân viên được cảnh báo là những vai trò có quyền xem báo cáo
+    const {roles} = await roleService.getRoles();
+    const staffRoles = roles.filter((role) => role.permissions.includes('reports:read')).map((role) => role.name);
+    const staff = await User.find({role: {$in: staffRoles}, isBanned: {$ne: true}, deletedAt: null}).select('_id');
+
+    const itemList = newlyLow
+        .slice(0, 3)
+        .map((row) => `${ getRowName(row) } (còn ${ row.stock })`)
+        .join(', ');
+    const body = newlyLow.length > 3
+        ? `${ itemList } và ${ newlyLow.length - 3 } mặt hàng khác sắp hết hàng.`
+        : `${ itemList } sắp hết hàng.`;
+
+    const results = await Promise.allSettled(staff.map((user) => sendNotification({
+        userId: user._id.toString(),
+        title: 'Cảnh báo tồn kho thấp',
+        body,
+        link: '/inventory'
+    })));
+    results
+        .filter((result) => result.status === 'rejected')
+        .forEach((result) => console.error('Error sending low stock notification:', result.reason));
+
+    const alertedAt = new Date();
+    for (const row of newlyLow) {
+        await setLowStockAlertedAt(row, alertedAt);
+    }
+    return newlyLow.length;
+};
+
+/**
+ * Suggest reorder quantities from the recent sales velocity of each product and variant
+ * Tốc độ bán lấy từ các đơn trong khoảng ngày gần nhất, khi không có đơn nào thì dùng soldCount
+ * chia cho số ngày kể từ khi tạo sản phẩm
+ * @param {Object} options
+ * @param {number} [options.days] - Sales velocity window, defaults to the setting
+ * @param {number} [options.limit]
+ * @returns {Promise<Object>}
+ */
+const getReorderSuggestions = async (options = {}) => {
+    const settings = await getInventorySettings();
+    const days = options.days || settings.salesVelocityDays;
+    const limit = options.limit || 50;
+    const {reorderLeadTimeDays: leadTimeDays, reorderCoverageDays: coverageDays} = settings;
+
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const [rows, sales] = await Promise.all([
+        getVisibleStockRows(settings.defaultReorderThreshold),
+        Order.aggregate([
+            {$match: {createdAt: {$gte: since}, status: {$in: ['pending', 'shipping', 'delivered']}}},
+            {$unwind: '$items'},
+            // Combo được tính vào số lượng bán của các thành phần
+            {
+                $project: {
+                    line: {
+                        $cond: [
+                            {$gt: [{$size: {$ifNull: ['$items.components', []]}}, 0]},
+                            '$items.components',
+                            ['$items']
+                        ]
+                    }
+                }
+            },
+            {$unwind: '$line'},
+            {
+                $group: {
+                    _id: {productId: '$line.productId', variantId: {$ifNull: ['$line.variantId', null]}},
+                    unitsSold: {$sum: '$line.quantity'},
+                }
+            },
+        ]),
+    ]);
+
+    const getKey = (productId, variantId) => `${ productId }:${ variantId || '' }`;
+    const unitsSoldByKey = new Map(sales.map((row) => [getKey(row._id.productId, row._id.variantId), row.unitsSold]));
+
+    const results = rows
+        .map(({lowStockAlertedAt, createdAt, soldCount, ...row}) => {
+            const unitsSold = unitsSoldByKey.get(getKey(row.productId, row.variantId)) || 0;
+            const ageDays = Math.max((Date.now() - new Date(createdAt)) / (24 * 60 * 60 * 1000), 1);
+            const velocitySource = unitsSold > 0 ? 'orders' : 'soldCount';
+            const dailyVelocity = unitsSold > 0 ? unitsSold / days : (soldCount || 0) / ageDays;
+            const daysOfStockLeft = dailyVelocity > 0 ? Math.floor(row.stock / dailyVelocity) : null;
+
+            // Nhập đủ để bán trong thời gian chờ hàng và số ngày cần đáp ứng, tối thiểu vượt ngưỡng cảnh báo
+            const targetStock = Math.max(
+                Math.ceil(dailyVelocity * (leadTimeDays + coverageDays)),
+                row.reorderThreshold + 1
+            );
+
+            return {
+                ...row,
+                unitsSold,
+                dailyVelocity: Math.round(dailyVelocity * 100) / 100,
+                velocitySource,
+                daysOfStockLeft,
+                suggestedQuantity: Math.max(targetStock - row.stock, 0),
+            };
+        })
+        .filter((row) => row.suggestedQuantity > 0
+            && (row.stock <= row.reorderThreshold
+                || (row.daysOfStockLeft !== null && row.daysOfStockLeft <= leadTimeDays)))
+        .sort((a, b) => (a.daysOfStockLeft === null ? Infinity : a.daysOfStockLeft)
+            - (b.daysOfStockLeft === null ? Infinity : b.daysOfStockLeft)
+            || a.stock - b.stock)
+        .slice(0, limit);
+
+    return {
+        days,
+        leadTimeDays,
+        coverageDays,
+        results,
+    };
+};
+
+module.exports = {
+    recordMovement,
+    getInventoryHistory,
+    getStockReconciliation,
+    getLowStockItems,
+    notifyLowStock,
+    getReorderSuggestions,
+};
@@ -0,0 +1,130 @@
+const {status} = require('http-status');
+const ApiError = require('../utils/ApiError');
+// Danh mục hành chính Tỉnh/Huyện/Xã của Tổng cục Thống kê (https://danhmuchanhchinh.gso.gov.vn/),
+// trích xuất từ gói hanhchinhvn (MIT)
+const provinces = require('../data/locations.json');
+
+const provincesByCode = new Map();
+const districtsByCode = new Map();
+const wardsByCode = new Map();
+
+provinces.forEach((province) => {
+    provincesByCode.set(province.code, province);
+    province.districts.forEach((district) => {
+        districtsByCode.set(district.code, {...district, provinceCode: province.code});
+        district.wards.forEach((ward) => {
+            wardsByCode.set(ward.code, {...ward, districtCode: district.code});
+        });
+    });
+});
+
+const TYPE_PREFIX = /^(thành phố|tỉnh|quận|huyện|thị xã|phường|xã|thị trấn)\s+/;
+
+/**
+ * Normalize a place name for comparison, with or without its type prefix
+ * @param {string} name
+ * @returns {string}
+ */
+const normalizeName = (name) => name.normalize('NFC').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Find a unit in a list by its display name, e.g. "Quận 1" or "1", "Thành phố Hà Nội" or "Hà Nội"
+ * @param {Object[]} units
+ * @param {string} name
+ * @returns {Object|undefined}
+ */
+const findByName = (units, name) => {
+    const target = normalizeName(name);
+    return units.find((unit) => {
+        const unitName = normalizeName(unit.name);
+        return unitName === target || unitName.replace(TYPE_PREFIX, '') === target.replace(TYPE_PREFIX, '');
+    });
+};
+
+/**
+ * Get all provinces
+ * @returns {Object[]}
+ */
+const getProvinces = () => provinces.map(({code, name}) => ({code, name}));
+
+/**
+ * Get the districts of a province
+ * @param {string} provinceCode
+ * @returns {Object[]}
+ */
+const getDistricts = (provinceCode) => {
+    const province = provincesByCode.get(provinceCode);
+    if (!province) {
+        throw new ApiError(status.NOT_FOUND, 'Province not found');
+    }
+    return province.districts.map(({code, name}) => ({code, name}));
+};
+
+/**
+ * Get the wards of a district
+ * @param {string} districtCode
+ * @returns {Object[]}
+ */
+const getWards = (districtCode) => {
+    const district = districtsByCode.get(districtCode);
+    if (!district) {
+        throw new ApiError(status.NOT_FOUND, 'District not found');
+    }
+    return district.wards.map(({code, name}) => ({code, name}));
+};
+
+/**
+ * Validate the administrative units of an address
+ * Ưu tiên mã đơn vị hành chính, nếu không có thì tìm theo tên
+ * @param {Object} address
+ * @param {string} [address.cityCode]
+ * @param {string} [address.districtCode]
+ * @param {string} [address.wardCode]
+ * @param {string} [address.city]
+ * @param {string} [address.district]
+ * @param {string} [address.ward]
+ * @returns {Object} - Codes and display names of the city, district and ward
+ */
+const resolveAddress = ({cityCode, districtCode, wardCode, city, district, ward}) => {
+    let province;
+    let districtUnit;
+    let wardUnit;
+
+    if (wardCode) {
+        province = provincesByCode.get(cityCode);
+        districtUnit = districtsByCode.get(districtCode);
+        wardUnit = wardsByCode.get(wardCode);
+    } else if (ward) {
+        province = findByName(provinces, city);
+        const districtMatch = province && findByName(province.districts, district);
+        const wardMatch = districtMatch && findByName(districtMatch.wards, ward);
+        districtUnit = districtMatch && districtsByCode.get(districtMatch.code);
+        wardUnit = wardMatch && wardsByCode.get(wardMatch.code);
+    }
+
+    if (!province) {
+        throw new ApiError(status.BAD_REQUEST, 'Invalid city');
+    }
+    if (!districtUnit || districtUnit.provinceCode !== province.code) {
+        throw new ApiError(status.BAD_REQUEST, 'District does not belong to the selected city');
+    }
+    if (!wardUnit || wardUnit.districtCode !== districtUnit.code) {
+        throw new ApiError(status.BAD_REQUEST, 'Ward does not belong to the selected district');
+    }
+
+    return {
+        cityCode: province.code,
+        city: province.name,
+        districtCode: districtUnit.code,
+        district: districtUnit.name,
+        wardCode: wardUnit.code,
+        ward: wardUnit.name,
+    };
+};
+
+module.exports = {
+    getProvinces,
+    getDistricts,
+    getWards,
+    resolveAddress,
+};
@@ -0,0 +1,136 @@
+const {status} = require('http-status');
+const User = require('../models/user.model');
+const LoginAttempt = require('../models/loginAttempt.model');
+const ApiError = require('../utils/ApiError');
+const config = require('../configs/config');
+const {sendNotification} = require('./firebase.service');
+
+/**
+ * Get the lock duration for the n-th consecutive lock (exponential backoff)
+ * @param {number} lockCount
+ * @returns {number} - Duration in minutes
+ */
+const getLockDurationMinutes = (lockCount) => {
+    const {lockBaseMinutes, lockMaxMinutes} = config.loginProtection;
+    return Math.min(lockBaseMinutes * (2 ** Math.max(lockCount - 1, 0)), lockMaxMinutes);
+};
+
+/**
+ * Throw if the IP has too many failed logins in the current window
+ * @param {string} ip
+ * @returns {Promise}
+ */
+const assertIpNotBlocked = async (ip) => {
+    if (!ip) {
+        return;
+    }
+
+    const attempt = await LoginAttempt.findOne({ip, expires: {$gt: new Date()}});
+    if (attempt && attempt.count >= config.loginProtection.ipMaxFailedAttempts) {
+        throw new ApiError(status.TOO_MANY_REQUESTS, 'Too many failed login attempts, please try again later');
+    }
+};
+
+/**
+ * Throw if the account is currently locked
+ * @param {User} user
+ */
+const assertUserNotLocked = (user) => {
+    if (user.lockUntil && user.lockUntil > new Date()) {
+        const minutesLeft = Math.ceil((user.lockUntil - new Date()) / (60 * 1000));
+        throw new ApiError(
+            status.LOCKED,
+            `Account is temporarily locked, please try again in ${ minutesLeft } minutes`
+        );
+    }
+};
+
+/**
+ * Count a failed login for an IP
+ * @param {string} ip
+ * @returns {Promise}
+ */
+const recordIpFailure = async (ip) => {
+    if (!ip) {
+        return;
+    }
+
+    const now = new Date();
+    const attempt = await LoginAttempt.findOneAndUpdate(
+        {ip, expires: {$gt: now}},
+        {$inc: {count: 1}},
+        {new: true}
+    );
+
+    // Bắt đầu cửa sổ mới nếu bộ đếm cũ đã hết hạn (TTL của MongoDB có thể xoá trễ)
+    if (!attempt) {
+        await LoginAttempt.findOneAndUpdate(
+            {ip},
+            {count: 1, expires: new Date(now.getTime() + config.loginProtection.ipWindowMinutes * 60 * 1000)},
+            {upsert: true}
+        );
+    }
+};
+
+/**
+ * Count a failed login for an account and an IP, locking the account once the threshold is reached
+ * @param {User} user
+ * @param {string} ip
+ * @returns {Promise<User>}
+ */
+const recordFailedLogin = async (user, ip) => {
+    await recordIpFailure(ip);
+
+    const updatedUser = await User.findByIdAndUpdate(
+        user._id,
+        {$inc: {failedLoginAttempts: 1}},
+        {new: true}
+    );
+
+    if (updatedUser.failedLoginAttempts < config.loginProtection.maxFailedAttempts) {
+        return updatedUser;
+    }
+
+    updatedUser.lockCount += 1;
+    updatedUser.failedLoginAttempts = 0;
+    const lockMinutes = getLockDurationMinutes(updatedUser.lockCount);
+    updatedUser.lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+    await updatedUser.save();
+
+    try {
+        await sendNotification({
+            userId: updatedUser._id.toString(),
+            title: 'Tài khoản tạm thời bị khoá',
+            body: `Tài khoản của bạn đã bị khoá ${ lockMinutes } phút do đăng nhập sai nhiều lần. Nếu không phải bạn, vui lòng đổi mật khẩu.`,
+        });
+    } catch (error) {
+        console.error('Error sending account lock notification:', error);
+    }
+
+    return updatedUser;
+};
+
+/**
+ * Clear the failed login counters of an account after a successful login
+ * @param {User} user
+ * @returns {Promise}
+ */
+const resetFailedLogins = async (user) => {
+    if (!user.failedLoginAttempts && !user.lockCount && !user.lockUntil) {
+        return;
+    }
+
+    await User.updateOne(
+        {_id: user._id},
+        {failedLoginAttempts: 0, lockCount: 0, lockUntil: null}
+    );
+};
+
+module.exports = {
+    getLockDurationMinutes,
+    assertIpNotBlocked,
+    assertUserNotLocked,
+    recordIpFailure,
+    recordFailedLogin,
+    resetFailedLogins,
+};
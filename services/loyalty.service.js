@@ -0,0 +1,359 @@
+const {status} = require('http-status');
+const LoyaltyTransaction = require('../models/loyaltyTransaction.model');
+const ApiError = require('../utils/ApiError');
+const settingService = require('./setting.service');
+const {sendNotification} = require('./firebase.service');
+
+/**
+ * Get the loyalty program settings
+ * @returns {Promise<Object>}
+ */
+const getLoyaltySettings = async () => {
+    const {loyalty} = await settingService.getSettings();
+    return loyalty;
+};
+
+/**
+ * Get the point balance of a user
+ * @param {ObjectId} userId
+ * @returns {Promise<number>}
+ */
+const getBalance = async (userId) => {
+    const [result] = await LoyaltyTransaction.aggregate([
+        {$match: {userId, type: 'earn', remainingPoints: {$gt: 0}, expiresAt: {$gt: new Date()}}},
+        {$group: {_id: null, balance: {$sum: '$remainingPoints'}}},
+    ]);
+    return result ? result.balance : 0;
+};
+
+/**
+ * Take points from the unexpired earn lots of a user, oldest expiry first
+ * Mỗi lô được trừ bằng một cập nhật có điều kiện để hai yêu cầu đồng thời không dùng trùng điểm
+ * @param {ObjectId} userId
+ * @param {number} points
+ * @param {ObjectId} [preferredLotId] - Lot to take from first
+ * @param {ClientSession} [session]
+ * @returns {Promise<Object[]>} - Consumed lots, may total less than points
+ */
+const consumeLots = async (userId, points, preferredLotId, session) => {
+    const lots = await LoyaltyTransaction.find({
+        userId,
+        type: 'earn',
+        remainingPoints: {$gt: 0},
+        expiresAt: {$gt: new Date()},
+    }).sort({expiresAt: 1}).session(session || null);
+
+    if (preferredLotId) {
+        lots.sort((a, b) => Number(b._id.equals(preferredLotId)) - Number(a._id.equals(preferredLotId)));
+    }
+
+    const consumed = [];
+    let needed = points;
+    for (const lot of lots) {
+        if (needed <= 0) {
+            break;
+        }
+        const take = Math.min(lot.remainingPoints, needed);
+        const updated = await LoyaltyTransaction.findOneAndUpdate(
+            {_id: lot._id, remainingPoints: {$gte: take}},
+            {$inc: {remainingPoints: -take}},
+            {session}
+        );
+        if (updated) {
+            consumed.push({lotId: lot._id, points: take});
+            needed -= take;
+        }
+    }
+    return consumed;
+};
+
+/**
+ * Give consumed points back to their lots
+ * @param {Object[]} lots
+ * @param {ClientSession} [session]
+ * @returns {Promise}
+ */
+const returnLots = async (lots, session) => {
+    for (const {lotId, points} of lots) {
+        await LoyaltyTransaction.updateOne(
+            {_id: lotId},
+            {$inc: {remainingPoints: points}},
+            {session}
+        );
+    }
+};
+
+/**
+ * Add an earn lot to the ledger and notify the user
+ * @param {ObjectId} userId
+ * @param {number} points
+ * @param {Object} source
+ * @param {Object} loyalty - Loyalty settings
+ * @returns {Promise<LoyaltyTransaction>}
+ */
+const createEarnLot = async (userId, points, {sourceType, sourceId, note}, loyalty) => {
+    const transaction = await LoyaltyTransaction.create({
+        userId,
+        type: 'earn',
+        points,
+        sourceType,
+        sourceId,
+        remainingPoints: points,
+        expiresAt: new Date(Date.now() + loyalty.pointsExpiryDays * 24 * 60 * 60 * 1000),
+        note,
+    });
+
+    try {
+        await sendNotification({
+            userId: userId.toString(),
+            title: 'Bạn vừa nhận được điểm thưởng',
+            body: `Bạn đã nhận được ${ points } điểm thưởng. Điểm có hạn sử dụng ${ loyalty.pointsExpiryDays } ngày.`,
+            link: '/loyalty'
+        });
+    } catch (error) {
+        console.error('Error sending loyalty notification:', error);
+    }
+
+    return transaction;
+};
+
+/**
+ * Award points for a completed order or booking
+ * @param {ObjectId} userId
+ * @param {number} amount - Amount paid (VND)
+ * @param {Object} source
+ * @param {string} source.sourceType - order or booking
+ * @param {ObjectId} source.sourceId
+ * @returns {Promise<LoyaltyTransaction|null>}
+ */
+const awardPoints = async (userId, amount, {sourceType, sourceId}) => {
+    const loyalty = await getLoyaltySettings();
+    if (!loyalty.enabled) {
+        return null;
+    }
+
+    // Mỗi đơn hàng/lịch hẹn chỉ được cộng điểm một lần
+    if (await LoyaltyTransaction.exists({sourceType, sourceId, type: 'earn'})) {
+        return null;
+    }
+
+    const points = Math.floor((amount / 1000) * loyalty.earnRate);
+    if (points <= 0) {
+        return null;
+    }
+
+    return createEarnLot(userId, points, {sourceType, sourceId}, loyalty);
+};
+
+/**
+ * Grant a fixed number of points, e.g. a referral reward
+ * @param {ObjectId} userId
+ * @param {number} points
+ * @param {Object} source
+ * @param {string} source.sourceType
+ * @param {ObjectId} source.sourceId
+ * @param {string} [source.note]
+ * @returns {Promise<LoyaltyTransaction|null>}
+ */
+const grantPoints = async (userId, points, {sourceType, sourceId, note}) => {
+    if (points <= 0) {
+        return null;
+    }
+
+    // Mỗi người chỉ được cộng điểm một lần cho cùng một nguồn
+    if (await LoyaltyTransaction.exists({userId, sourceType, sourceId, type: 'earn'})) {
+        return null;
+    }
+
+    const loyalty = await getLoyaltySettings();
+    return createEarnLot(userId, points, {sourceType, sourceId, note}, loyalty);
+};
+
+/**
+ * Redeem points as a discount on an order or booking
+ * @param {ObjectId} userId
+ * @param {number} points
+ * @param {number} amount - Amount the discount applies to (VND)
+ * @param {Object} source
+ * @param {string} source.sourceType - order or booking
+ * @param {ObjectId} source.sourceId
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Session of the checkout transaction
+ * @returns {Promise<number>} - Discount amount (VND)
+ */
+const redeemPoints = async (userId, points, amount, {sourceType, sourceId}, {session} = {}) => {
+    const loyalty = await getLoyaltySettings();
+    if (!loyalty.enabled) {
+        throw new ApiError(status.BAD_REQUEST, 'Loyalty program is disabled');
+    }
+
+    const discount = points * loyalty.redeemRate;
+    if (discount > (amount * loyalty.maxRedeemPercent) / 100) {
+        throw new ApiError(status.BAD_REQUEST, `Points can cover at most ${ loyalty.maxRedeemPercent }% of the amount`);
+    }
+
+    const lots = await consumeLots(userId, points, null, session);
+    const consumedPoints = lots.reduce((sum, lot) => sum + lot.points, 0);
+    if (consumedPoints < points) {
+        await returnLots(lots, session);
+        throw new ApiError(status.BAD_REQUEST, 'Not enough loyalty points');
+    }
+
+    await LoyaltyTransaction.create([{
+        userId,
+        type: 'redeem',
+        points: -points,
+        sourceType,
+        sourceId,
+        lots,
+    }], {session});
+
+    return discount;
+};
+
+/**
+ * Undo the points of a cancelled or refunded order or booking, or of a reversed referral
+ * Hoàn lại điểm đã dùng và thu hồi điểm đã cộng, gọi nhiều lần không bị trừ/cộng lặp
+ * @param {string} sourceType - order, booking or referral
+ * @param {ObjectId} sourceId
+ * @returns {Promise}
+ */
+const reversePoints = async (sourceType, sourceId) => {
+    const transactions = await LoyaltyTransaction.find({sourceType, sourceId});
+    const findByType = (type) => transactions.find((transaction) => transaction.type === type);
+
+    const redemption = findByType('redeem');
+    if (redemption && !findByType('restore')) {
+        await returnLots(redemption.lots);
+        await LoyaltyTransaction.create({
+            userId: redemption.userId,
+            type: 'restore',
+            points: -redemption.points,
+            sourceType,
+            sourceId,
+            lots: redemption.lots,
+        });
+    }
+
+    // Giới thiệu có hai lô điểm cho hai người, mỗi người bị thu hồi riêng
+    const earnings = transactions.filter((transaction) => transaction.type === 'earn');
+    for (const earning of earnings) {
+        const isClawedBack = transactions.some((transaction) => transaction.type === 'clawback'
+            && transaction.userId.equals(earning.userId));
+        if (isClawedBack) {
+            continue;
+        }
+        // Thu hồi tối đa số điểm còn lại của người dùng, ưu tiên lô điểm của chính nguồn này
+        const lots = await consumeLots(earning.userId, earning.points, earning._id);
+        const points = lots.reduce((sum, lot) => sum + lot.points, 0);
+        await LoyaltyTransaction.create({
+            userId: earning.userId,
+            type: 'clawback',
+            points: -points,
+            sourceType,
+            sourceId,
+            lots,
+            ...(points < earning.points && {note: `${ earning.points - points } points had already been used`}),
+        });
+    }
+};
+
+/**
+ * Expire the unused points of lots past their expiry date
+ * @returns {Promise<number>} - Number of expired lots
+ */
+const expirePoints = async () => {
+    const lots = await LoyaltyTransaction.find({
+        type: 'earn',
+        remainingPoints: {$gt: 0},
+        expiresAt: {$lte: new Date()},
+    });
+
+    let expiredCount = 0;
+    for (const lot of lots) {
+        const updated = await LoyaltyTransaction.findOneAndUpdate(
+            {_id: lot._id, remainingPoints: lot.remainingPoints},
+            {$set: {remainingPoints: 0}}
+        );
+        if (updated) {
+            await LoyaltyTransaction.create({
+                userId: lot.userId,
+                type: 'expire',
+                points: -lot.remainingPoints,
+                lots: [{lotId: lot._id, points: lot.remainingPoints}],
+            });
+            expiredCount++;
+        }
+    }
+    return expiredCount;
+};
+
+/**
+ * Get the loyalty summary of a user
+ * @param {ObjectId} userId
+ * @returns {Promise<Object>}
+ */
+const getLoyaltySummary = async (userId) => {
+    const [balance, loyalty, nextExpiringLot] = await Promise.all([
+        getBalance(userId),
+        getLoyaltySettings(),
+        LoyaltyTransaction.findOne({
+            userId,
+            type: 'earn',
+            remainingPoints: {$gt: 0},
+            expiresAt: {$gt: new Date()},
+        }).sort({expiresAt: 1}),
+    ]);
+
+    return {
+        balance,
+        pointValue: loyalty.redeemRate,
+        earnRate: loyalty.earnRate,
+        maxRedeemPercent: loyalty.maxRedeemPercent,
+        enabled: loyalty.enabled,
+        nextExpiration: nextExpiringLot
+            ? {points: nextExpiringLot.remainingPoints, expiresAt: nextExpiringLot.expiresAt}
+            : null,
+    };
+};
+
+/**
+ * Get the point transactions of a user
+ * @param {ObjectId} userId
+ * @param {Object} options
+ * @param {number} [options.page]
+ * @param {number} [options.limit]
+ * @returns {Promise<Object>} - Object containing transactions and pagination info
+ */
+const getTransactions = async (userId, options = {}) => {
+    const page = options.page || 1;
+    const limit = options.limit || 20;
+    const skip = (page - 1) * limit;
+
+    const transactions = await LoyaltyTransaction.find({userId})
+        .select('-lots')
+        .sort({createdAt: -1})
+        .skip(skip)
+        .limit(limit);
+
+    const totalResults = await LoyaltyTransaction.countDocuments({userId});
+
+    return {
+        results: transactions,
+        page,
+        limit,
+        totalPages: Math.ceil(totalResults / limit),
+        totalResults
+    };
+};
+
+module.exports = {
+    getBalance,
+    awardPoints,
+    grantPoints,
+    redeemPoints,
+    reversePoints,
+    expirePoints,
+    getLoyaltySummary,
+    getTransactions,
+};
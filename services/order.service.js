@@ -1,47 +1,230 @@
 const {status} = require('http-status');
+const mongoose = require('mongoose');
 const Order = require('../models/order.model');
 const Product = require('../models/product.model'); // Add import for Product model
 const ApiError = require('../utils/ApiError');
 const Review = require('../models/review.model');
 const Payment = require('../models/payment.model');
 const {sendNotification} = require('./firebase.service');
+const locationService = require('./location.service');
+const productService = require('./product.service');
+const loyaltyService = require('./loyalty.service');
+const couponService = require('./coupon.service');
+const referralService = require('./referral.service');
+const wishlistService = require('./wishlist.service');
+const inventoryService = require('./inventory.service');
+const priceHistoryService = require('./priceHistory.service');
+/**
+ * Return the points and coupon used by a cancelled order
+ * @param {ObjectId} orderId
+ * @returns {Promise}
+ */
+const releaseOrderDiscounts = async (orderId) => {
+    await loyaltyService.reversePoints('order', orderId);
+    await couponService.releaseCoupon(orderId);
+};
+
+/**
+ * Reward the referral of a delivered order
+ * Đơn đã được lưu là đã giao nên lỗi phát thưởng chỉ được ghi log, giới thiệu vẫn ở trạng thái chờ
+ * @param {Order} order
+ * @returns {Promise}
+ */
+const rewardReferral = async (order) => {
+    try {
+        await referralService.processDeliveredOrder(order);
+    } catch (error) {
+        console.error(`Error rewarding referral of order ${ order.orderNumber }:`, error);
+    }
+};
+
+/**
+ * Increment a counter (stock or soldCount) of the product and variant of an order item
+ * Tồn kho cấp sản phẩm là tổng của các biến thể nên được cập nhật cùng lúc
+ * @param {Object} item
+ * @param {string} field - stock or soldCount
+ * @param {number} amount
+ * @returns {Promise<Product|null>} - Updated product, null if the product or variant no longer exists
+ */
+const incrementItemCounter = (item, field, amount) => Product.findOneAndUpdate(
+    item.variantId ? {_id: item.productId, 'variants._id': item.variantId} : {_id: item.productId},
+    {$inc: {[field]: amount, ...(item.variantId && {[`variants.$.${ field }`]: amount})}},
+    {new: true}
+);
+
+/**
+ * Get the lines of an order item that hold stock: the components of a bundle, or the item itself
+ * @param {Object} item
+ * @returns {Object[]}
+ */
+const getStockLines = (item) => (item.components && item.components.length > 0 ? item.components : [item]);
+
+/**
+ * Add the items of a delivered order to the sold counts, bundles also count for their components
+ * @param {Order} order
+ * @returns {Promise}
+ */
+const incrementSoldCounts = async (order) => {
+    for (const item of order.items) {
+        await incrementItemCounter(item, 'soldCount', item.quantity);
+        for (const component of item.components || []) {
+            await incrementItemCounter(component, 'soldCount', component.quantity);
+        }
+    }
+};
+
+/**
+ * Snapshot the components of a bundle order item and allocate the item subtotal to them
+ * Doanh thu được chia theo giá bán lẻ của từng thành phần, phần dư do làm tròn dồn vào thành phần cuối
+ * @param {Product} bundle
+ * @param {number} quantity - Number of bundles ordered
+ * @param {number} subtotal - Subtotal of the bundle order item
+ * @returns {Promise<Object[]>}
+ */
+const getBundleComponentItems = async (bundle, quantity, subtotal) => {
+    const products = await Product.find({_id: {$in: bundle.bundleItems.map((bundleItem) => bundleItem.productId)}});
+    const components = bundle.bundleItems.map((bundleItem) => {
+        const product = products.find((candidate) => candidate._id.equals(bundleItem.productId));
+        const variant = product && bundleItem.variantId ? product.variants.id(bundleItem.variantId) : null;
+        if (!product || (bundleItem.variantId && !variant)) {
+            throw new ApiError(status.BAD_REQUEST, `Bundle ${ bundle.name } is no longer available`);
+        }
+        const purchaseInfo = productService.getPurchaseInfo(product, variant);
+        return {
+            productId: product._id,
+            variantId: bundleItem.variantId,
+            sku: purchaseInfo.sku || product.sku,
+            name: product.name,
+            variantName: purchaseInfo.variantName,
+            quantity: bundleItem.quantity * quantity,
+            retailValue: purchaseInfo.unitPrice * bundleItem.quantity * quantity,
+        };
+    });
+
+    const totalRetailValue = components.reduce((total, component) => total + component.retailValue, 0);
+    let allocated = 0;
+    return components.map(({retailValue, ...component}, index) => {
+        let componentSubtotal = subtotal - allocated;
+        if (index < components.length - 1) {
+            componentSubtotal = totalRetailValue > 0
+                ? Math.round(subtotal * retailValue / totalRetailValue)
+                : Math.round(subtotal / components.length);
+        }
+        allocated += componentSubtotal;
+        return {...component, subtotal: componentSubtotal};
+    });
+};
+
+/**
+ * Take the ordered quantity of an item out of stock only if enough is left
+ * Điều kiện tồn kho nằm trong câu lệnh cập nhật nên hai đơn đồng thời không thể bán vượt số lượng
+ * @param {Object} item
+ * @param {ClientSession} session
+ * @returns {Promise<Product|null>} - Updated product, null if the stock is insufficient
+ */
+const reserveItemStock = (item, session) => Product.findOneAndUpdate(
+    item.variantId
+        ? {_id: item.productId, variants: {$elemMatch: {_id: item.variantId, stock: {$gte: item.quantity}}}}
+        : {_id: item.productId, stock: {$gte: item.quantity}},
+    {$inc: {stock: -item.quantity, ...(item.variantId && {'variants.$.stock': -item.quantity})}},
+    {new: true, session}
+);
+
+/**
+ * Change the stock of an order item and record the movement in the inventory ledger
+ * @param {Object} item
+ * @param {number} quantity - Signed quantity delta
+ * @param {Object} movement
+ * @param {string} movement.type - sale or cancellation
+ * @param {ObjectId} movement.orderId
+ * @param {User} [movement.actor]
+ * @returns {Promise<Product|null>}
+ */
+const moveItemStock = async (item, quantity, {type, orderId, actor}) => {
+    const product = await incrementItemCounter(item, 'stock', quantity);
+    if (product) {
+        await inventoryService.recordMovement(product, {
+            type,
+            quantity,
+            variant: item.variantId ? product.variants.id(item.variantId) : null,
+            actor,
+            referenceType: 'order',
+            referenceId: orderId,
+        });
+    }
+    return product;
+};
+
+/**
+ * Put the items of a cancelled order back in stock
+ * @param {Order} order
+ * @param {User} [actor] - Null when cancelled by the system
+ * @returns {Promise<number>} - Number of items restored
+ */
+const restoreOrderStock = async (order, actor) => {
+    let restoredCount = 0;
+    for (const line of order.items.flatMap(getStockLines)) {
+        const product = await moveItemStock(line, line.quantity, {type: 'cancellation', orderId: order._id, actor});
+        if (product) {
+            restoredCount++;
+            await wishlistService.notifyWishlistItemChange(
+                'product',
+                {...product.toObject(), stock: product.stock - line.quantity},
+                product
+            );
+        }
+    }
+    return restoredCount;
+};
+
 /**
  * Create an order
  * @param {Object} orderBody
  * @returns {Promise<Order>}
  */
 const createOrder = async (orderBody) => {
-    // Check product availability and update quantities
+    orderBody.shippingAddress = {
+        ...orderBody.shippingAddress,
+        ...locationService.resolveAddress(orderBody.shippingAddress),
+    };
+
+    // Check product availability and calculate item prices
     for (const item of orderBody.items) {
         const product = await Product.findById(item.productId);
         if (!product) {
             throw new ApiError(status.NOT_FOUND, `Product ${ item.productId } not found`);
         }
-        if (product.stock < item.quantity) {
-            throw new ApiError(status.BAD_REQUEST, `Not enough stock for ${ product.name }`);
+        const variant = productService.getProductVariant(product, item.variantId);
+        const purchaseInfo = productService.getPurchaseInfo(product, variant);
+        const displayName = purchaseInfo.variantName ? `${ product.name } (${ purchaseInfo.variantName })` : product.name;
+        if (purchaseInfo.stock < item.quantity) {
+            throw new ApiError(
+                status.BAD_REQUEST,
+                `Not enough stock for ${ displayName }: requested ${ item.quantity }, available ${ Math.max(purchaseInfo.stock, 0) }`
+            );
         }
 
         // Calculate item price and subtotal
         item.name = product.name;
-        item.price = product.price;
-        item.onSale = product.onSale;
-        item.salePrice = product.salePrice;
-        item.subtotal = item.quantity * (product.onSale ? product.salePrice : product.price);
-        item.image = product.images && product.images.length > 0 ? product.images[0] : null;
-
-        // Update product stock
-        product.stock -= item.quantity;
-        await product.save();
+        item.sku = purchaseInfo.sku;
+        item.variantName = purchaseInfo.variantName;
+        item.price = purchaseInfo.price;
+        item.onSale = purchaseInfo.onSale;
+        item.salePrice = purchaseInfo.salePrice;
+        item.subtotal = item.quantity * purchaseInfo.unitPrice;
+        item.image = purchaseInfo.image;
+        if (product.productType === 'bundle') {
+            item.components = await getBundleComponentItems(product, item.quantity, item.subtotal);
+        }
     }
 
     // Calculate order totals
     orderBody.subtotal = orderBody.items.reduce((acc, item) => acc + item.subtotal, 0);
-    orderBody.totalAmount = orderBody.subtotal + (orderBody.subtotal >= 500000 ? 0 : 30000) - (orderBody.discount || 0);
-    if (orderBody.totalAmount >= 500000) {
-        orderBody.shippingFee = 0;
-    } else {
-        orderBody.shippingFee = 30000;
-    }
+    orderBody.shippingFee = orderBody.subtotal >= 500000 ? 0 : 30000;
+    orderBody._id = new mongoose.Types.ObjectId();
+
+    const {couponCode, redeemPoints} = orderBody;
+    delete orderBody.redeemPoints;
 
     // Add initial status history entry
     if (!orderBody.statusHistory && orderBody.status !== 'checkout') {
@@ -52,19 +235,83 @@ const createOrder = async (orderBody) => {
         }];
     }
 
-    const order = await Order.create(orderBody);
-    if (order) {
-        // Send notification to customer for all payment methods
-        await sendNotification({
-            userId: order.customerId._id.toString(),
-            title: 'Đơn hàng mới',
-            body: `Đơn hàng #${ order.orderNumber } đã được đặt thành công.`,
-            link: `/orders/${ order._id }`
+    // Mã giảm giá, điểm thưởng, tồn kho và đơn hàng được ghi trong cùng một transaction,
+    // lỗi ở bất kỳ bước nào sẽ hoàn tác toàn bộ (MongoDB cần chạy dạng replica set)
+    let order;
+    const session = await mongoose.startSession();
+    try {
+        // withTransaction có thể chạy lại callback nên các giá trị tính toán được đặt lại từ đầu
+        await session.withTransaction(async () => {
+            orderBody.discount = 0;
+
+            // Mã giảm giá áp dụng trước, điểm thưởng được đổi trên phần tiền hàng còn lại
+            if (couponCode) {
+                orderBody.discount = await couponService.applyCoupon(
+                    orderBody.customerId,
+                    couponCode,
+                    orderBody.subtotal,
+                    orderBody._id,
+                    {session}
+                );
+                orderBody.couponCode = couponCode.trim().toUpperCase();
+            }
+            if (redeemPoints) {
+                orderBody.discount += await loyaltyService.redeemPoints(
+                    orderBody.customerId,
+                    redeemPoints,
+                    orderBody.subtotal - orderBody.discount,
+                    {sourceType: 'order', sourceId: orderBody._id},
+                    {session}
+                );
+                orderBody.pointsRedeemed = redeemPoints;
+            }
+            orderBody.totalAmount = orderBody.subtotal + orderBody.shippingFee - orderBody.discount;
+
+            // Update product stock, combo trừ tồn kho của các thành phần
+            const shortages = [];
+            for (const item of orderBody.items.flatMap(getStockLines)) {
+                const product = await reserveItemStock(item, session);
+                if (!product) {
+                    shortages.push(item);
+                    continue;
+                }
+                await inventoryService.recordMovement(product, {
+                    type: 'sale',
+                    quantity: -item.quantity,
+                    variant: item.variantId ? product.variants.id(item.variantId) : null,
+                    actor: {_id: orderBody.customerId},
+                    referenceType: 'order',
+                    referenceId: orderBody._id,
+                }, {session});
+            }
+
+            if (shortages.length > 0) {
+                // Các thao tác trong một transaction phải chạy tuần tự
+                const messages = [];
+                for (const item of shortages) {
+                    const product = await Product.findById(item.productId).session(session);
+                    const stockHolder = product && item.variantId ? product.variants.id(item.variantId) : product;
+                    const available = stockHolder ? Math.max(stockHolder.stock, 0) : 0;
+                    const displayName = item.variantName ? `${ item.name } (${ item.variantName })` : item.name;
+                    messages.push(`${ displayName }: requested ${ item.quantity }, available ${ available }`);
+                }
+                throw new ApiError(status.BAD_REQUEST, `Not enough stock for ${ messages.join('; ') }`);
+            }
+
+            [order] = await Order.create([orderBody], {session});
         });
-        return order;
-    } else {
-        throw new ApiError(status.INTERNAL_SERVER_ERROR, 'Failed to create order');
+    } finally {
+        await session.endSession();
     }
+
+    // Send notification to customer for all payment methods
+    await sendNotification({
+        userId: order.customerId._id.toString(),
+        title: 'Đơn hàng mới',
+        body: `Đơn hàng #${ order.orderNumber } đã được đặt thành công.`,
+        link: `/orders/${ order._id }`
+    });
+    return order;
 };
 
 /**
@@ -149,14 +396,17 @@ const getOrdersByCustomerId = async (customerId, options = {}) => {
  * Update order by id
  * @param {ObjectId} orderId
  * @param {Object} updateBody
+ * @param {User} [actor]
  * @returns {Promise<Order>}
  */
-const updateOrderById = async (orderId, updateBody) => {
+const updateOrderById = async (orderId, updateBody, actor) => {
     const order = await getOrderById(orderId);
     if (!order) {
         throw new ApiError(status.NOT_FOUND, 'Order not found');
     }
 
+    const isDelivering = updateBody.status === 'delivered' && order.status !== 'delivered';
+
     // If status is being updated, add to status history
     if (updateBody.status && updateBody.status !== order.status) {
         if (!order.statusHistory) {
@@ -178,13 +428,8 @@ const updateOrderById = async (orderId, updateBody) => {
                 body: `Đơn hàng #${ order.orderNumber } đã bị hủy. Lý do: ${ updateBody.cancelReason || 'Khác' }`,
                 link: `/orders/${ order._id }`
             });
-            for (const item of order.items) {
-                const product = await Product.findById(item.productId);
-                if (product) {
-                    product.stock += item.quantity; // Deduct stock for shipping
-                    await product.save();
-                }
-            }
+            await restoreOrderStock(order, actor);
+            await releaseOrderDiscounts(order._id);
         }
         if (updateBody.status === 'delivered') {
             order.statusHistory.push({
@@ -199,13 +444,7 @@ const updateOrderById = async (orderId, updateBody) => {
                 body: `Đơn hàng #${ order.orderNumber } đã được giao thành công. Vui lòng xác nhận đã nhận hàng.`,
                 link: `/orders/${ order._id }`
             });
-            for (const item of order.items) {
-                const product = await Product.findById(item.productId);
-                if (product) {
-                    product.soldCount += item.quantity; // Deduct stock for shipping
-                    await product.save();
-                }
-            }
+            await incrementSoldCounts(order);
         }
         if (updateBody.status === 'shipping') {
             order.statusHistory.push({
@@ -225,6 +464,9 @@ const updateOrderById = async (orderId, updateBody) => {
 
     Object.assign(order, updateBody);
     await order.save();
+    if (isDelivering) {
+        await rewardReferral(order);
+    }
     return order;
 };
 
@@ -232,9 +474,11 @@ const updateOrderById = async (orderId, updateBody) => {
  * Cancel order
  * @param {ObjectId} orderId
  * @param {string} cancellationReason
+ * @param {string} cancelledBy
+ * @param {User} [actor]
  * @returns {Promise<Order>}
  */
-const cancelOrder = async (orderId, cancelReason, cancelledBy) => {
+const cancelOrder = async (orderId, cancelReason, cancelledBy, actor) => {
     const order = await getOrderById(orderId);
     if (!order) {
         throw new ApiError(status.NOT_FOUND, 'Order not found');
@@ -254,13 +498,8 @@ const cancelOrder = async (orderId, cancelReason, cancelledBy) => {
         note: "Đơn hàng đã bị huỷ"
     });
 
-    for (const item of order.items) {
-        const product = await Product.findById(item.productId);
-        if (product) {
-            product.stock += item.quantity; // Restore stock
-            await product.save();
-        }
-    }
+    await restoreOrderStock(order, actor);
+    await releaseOrderDiscounts(order._id);
 
     // Send notification to customer about cancellation
     const notificationBody = cancelledBy === 'customer'
@@ -439,13 +678,7 @@ const confirmOrderDelivery = async (orderId, userId) => {
     });
 
     // Update product sold count when order is confirmed as delivered
-    for (const item of order.items) {
-        const product = await Product.findById(item.productId);
-        if (product) {
-            product.soldCount += item.quantity;
-            await product.save();
-        }
-    }
+    await incrementSoldCounts(order);
 
     // Send notification to customer about delivery confirmation
     await sendNotification({
@@ -456,6 +689,14 @@ const confirmOrderDelivery = async (orderId, userId) => {
     });
 
     await order.save();
+
+    // Cộng điểm thưởng trên số tiền hàng đã thanh toán, không tính phí vận chuyển
+    await loyaltyService.awardPoints(
+        order.customerId._id,
+        order.totalAmount - order.shippingFee,
+        {sourceType: 'order', sourceId: order._id}
+    );
+    await rewardReferral(order);
     return order;
 };
 
@@ -491,6 +732,60 @@ const getDateRanges = (period, year, month, day) => {
     return {startDate, endDate, prevStartDate, prevEndDate};
 };
 
+/**
+ * Get the products with the highest revenue from delivered orders in a date range
+ * Doanh thu của combo được tính cho các thành phần theo phần đã phân bổ lúc đặt hàng, chưa trừ giảm giá của đơn
+ * Giá bán trung bình được so với khoảng giá niêm yết trong kỳ theo lịch sử giá
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @param {number} [limit]
+ * @returns {Promise<Object[]>}
+ */
+const getProductRevenue = async (startDate, endDate, limit = 10) => {
+    const products = await Order.aggregate([
+        {$match: {createdAt: {$gte: startDate, $lte: endDate}, status: 'delivered'}},
+        {$unwind: '$items'},
+        {
+            $project: {
+                line: {
+                    $cond: [
+                        {$gt: [{$size: {$ifNull: ['$items.components', []]}}, 0]},
+                        '$items.components',
+                        ['$items']
+                    ]
+                }
+            }
+        },
+        {$unwind: '$line'},
+        {
+            $group: {
+                _id: '$line.productId',
+                name: {$first: '$line.name'},
+                unitsSold: {$sum: '$line.quantity'},
+                revenue: {$sum: '$line.subtotal'},
+            }
+        },
+        {$sort: {revenue: -1}},
+        {$limit: limit},
+        {$project: {_id: 0, productId: '$_id', name: 1, unitsSold: 1, revenue: 1}},
+    ]);
+
+    const priceSummaries = await priceHistoryService.getPriceSummaries(
+        'product',
+        products.map((product) => product.productId),
+        {from: startDate, to: endDate}
+    );
+    return products.map((product) => {
+        const priceSummary = priceSummaries.get(product.productId.toString());
+        return {
+            ...product,
+            averageUnitPrice: product.unitsSold > 0 ? Math.round(product.revenue / product.unitsSold) : 0,
+            lowestPrice: priceSummary ? priceSummary.lowestPrice : null,
+            highestPrice: priceSummary ? priceSummary.highestPrice : null,
+        };
+    });
+};
+
 const getOrderAnalytics = async (period, year, month, day) => {
     const {startDate, endDate, prevStartDate, prevEndDate} = getDateRanges(period, year, month, day);
 
@@ -544,13 +839,16 @@ const getOrderAnalytics = async (period, year, month, day) => {
         }
     ]);
 
+    const topProducts = await getProductRevenue(startDate, endDate);
+
     const current = currentStats[0] || {totalOrders: 0, totalRevenue: 0};
     const previous = prevStats[0] || {totalOrders: 0, totalRevenue: 0};
 
     return {
         current: {
             totalOrders: current.totalOrders,
-            totalRevenue: current.totalRevenue
+            totalRevenue: current.totalRevenue,
+            topProducts
         },
         previous: {
             totalOrders: previous.totalOrders,
@@ -576,7 +874,7 @@ const deleteExpiredOrders = async () => {
         const expiredOrders = await Order.find({
             status: 'checkout',
             createdAt: {$lt: expirationTime}
-        }).populate('items.productId');
+        });
 
         let deletedCount = 0;
         let restoredProducts = 0;
@@ -585,16 +883,10 @@ const deleteExpiredOrders = async () => {
         for (const order of expiredOrders) {
             try {
                 // Restore product stock
-                for (const item of order.items) {
-                    if (item.productId) {
-                        const product = await Product.findById(item.productId._id);
-                        if (product) {
-                            product.stock += item.quantity;
-                            await product.save();
-                            restoredProducts++;
-                        }
-                    }
-                }
+                restoredProducts += await restoreOrderStock(order);
+
+                // Return redeemed points
+                await releaseOrderDiscounts(order._id);
 
                 // Delete related payment if exists
                 if (order.paymentId) {
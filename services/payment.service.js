@@ -3,6 +3,9 @@ const Payment = require('../models/payment.model');
 const Order = require('../models/order.model');
 const Booking = require('../models/booking.model');
 const ApiError = require('../utils/ApiError');
+const loyaltyService = require('./loyalty.service');
+const couponService = require('./coupon.service');
+const referralService = require('./referral.service');
 const config = require('../configs/config');
 const Stripe = require('stripe');
 const stripe = new Stripe(config.stripe.secretKey);
@@ -187,6 +190,14 @@ const processRefund = async (paymentId, refundData = {}) => {
     }
 
     await payment.save();
+
+    // Hoàn tiền thì hoàn lại điểm, mã giảm giá đã dùng và thu hồi điểm đã cộng,
+    // kể cả thưởng giới thiệu nếu đây là đơn đầu tiên đã dùng để phát thưởng
+    await loyaltyService.reversePoints(payment.targetType, payment.targetId);
+    if (payment.targetType === 'order') {
+        await couponService.releaseCoupon(payment.targetId);
+        await referralService.reverseReferralRewards(payment.targetId);
+    }
     return payment;
 };
 
@@ -0,0 +1,277 @@
+const mongoose = require('mongoose');
+const PriceHistory = require('../models/priceHistory.model');
+
+// Số ngày dùng để tính giá thấp nhất hiển thị cùng giá khuyến mãi
+const LOWEST_PRICE_DAYS = 30;
+
+/**
+ * Get the price a customer pays for a price point
+ * @param {Object} point
+ * @returns {number}
+ */
+const getEffectivePrice = (point) => (point.onSale && point.salePrice ? point.salePrice : point.price);
+
+/**
+ * Get the current price points of a product or service, one for the item and one per variant
+ * @param {Product|Service} item
+ * @returns {Object[]}
+ */
+const getPricePoints = (item) => [item, ...(item.variants || [])].map((source, index) => ({
+    variantId: index === 0 ? null : source._id,
+    price: source.price,
+    salePrice: source.salePrice !== undefined ? source.salePrice : null,
+    onSale: Boolean(source.onSale),
+}));
+
+/**
+ * Record the prices of a product or service that changed since the last record
+ * Được gọi sau mỗi lần lưu có thể đổi giá, chỉ các điểm giá khác bản ghi gần nhất mới được ghi
+ * @param {string} itemType - product or service
+ * @param {Product|Service} item - Item after the change
+ * @param {Object} [options]
+ * @param {User} [options.actor] - Null for system changes
+ * @param {string} [options.source] - manual or schedule
+ * @returns {Promise<number>} - Number of recorded price points
+ */
+const recordPriceChange = async (itemType, item, {actor, source = 'manual'} = {}) => {
+    const latest = await PriceHistory.aggregate([
+        {$match: {itemType, itemId: item._id}},
+        {$sort: {createdAt: -1, _id: -1}},
+        {
+            $group: {
+                _id: '$variantId',
+                price: {$first: '$price'},
+                salePrice: {$first: '$salePrice'},
+                onSale: {$first: '$onSale'},
+            }
+        },
+    ]);
+    const latestByVariant = new Map(latest.map((row) => [String(row._id), row]));
+
+    const changed = getPricePoints(item).filter((point) => {
+        const previous = latestByVariant.get(String(point.variantId));
+        return !previous
+            || previous.price !== point.price
+            || previous.salePrice !== point.salePrice
+            || previous.onSale !== point.onSale;
+    });
+    if (changed.length > 0) {
+        await PriceHistory.insertMany(changed.map((point) => ({
+            ...point,
+            itemType,
+            itemId: item._id,
+            effectivePrice: getEffectivePrice(point),
+            source,
+            actorId: actor ? actor._id : null,
+        })));
+    }
+    return changed.length;
+};
+
+/**
+ * Get the price history of a product, variant or service as a time series
+ * Khi có from, điểm giá đang áp dụng tại from được thêm vào đầu chuỗi
+ * @param {string} itemType - product or service
+ * @param {ObjectId} itemId
+ * @param {Object} [filter]
+ * @param {ObjectId} [filter.variantId]
+ * @param {Date} [filter.from]
+ * @param {Date} [filter.to]
+ * @returns {Promise<Object>}
+ */
+const getPriceHistory = async (itemType, itemId, {variantId, from, to} = {}) => {
+    const filter = {itemType, itemId, variantId: variantId || null};
+    const rangeFilter = {...filter};
+    if (from || to) {
+        rangeFilter.createdAt = {
+            ...(from && {$gte: new Date(from)}),
+            ...(to && {$lte: new Date(to)}),
+        };
+    }
+
+    const [previous, records] = await Promise.all([
+        from
+            ? PriceHistory.findOne({...filter, createdAt: {$lt: new Date(from)}}).sort({createdAt: -1, _id: -1}).lean()
+            : null,
+        PriceHistory.find(rangeFilter).sort({createdAt: 1, _id: 1}).lean(),
+    ]);
+
+    const points = [...(previous ? [previous] : []), ...records].map((record) => ({
+        at: record.createdAt,
+        price: record.price,
+        salePrice: record.salePrice,
+        onSale: record.onSale,
+        effectivePrice: record.effectivePrice,
+        source: record.source,
+    }));
+    const effectivePrices = points.map((point) => point.effectivePrice);
+
+    return {
+        itemType,
+        itemId,
+        variantId: variantId || null,
+        lowestPrice: effectivePrices.length > 0 ? Math.min(...effectivePrices) : null,
+        highestPrice: effectivePrices.length > 0 ? Math.max(...effectivePrices) : null,
+        points,
+    };
+};
+
+/**
+ * Get the lowest and highest price and the number of price changes of items over a period
+ * Tính cả giá đang áp dụng tại đầu kỳ, chỉ dùng giá cấp sản phẩm hoặc dịch vụ
+ * @param {string} itemType - product or service
+ * @param {ObjectId[]} itemIds
+ * @param {Object} period
+ * @param {Date} period.from
+ * @param {Date} [period.to]
+ * @returns {Promise<Map<string, Object>>} - Summaries keyed by item id
+ */
+const getPriceSummaries = async (itemType, itemIds, {from, to = new Date()}) => {
+    if (itemIds.length === 0) {
+        return new Map();
+    }
+
+    const match = {itemType, itemId: {$in: itemIds.map((id) => new mongoose.Types.ObjectId(id))}, variantId: null};
+    const [periodStats, openingPrices] = await Promise.all([
+        PriceHistory.aggregate([
+            {$match: {...match, createdAt: {$gte: from, $lte: to}}},
+            {
+                $group: {
+                    _id: '$itemId',
+                    lowestPrice: {$min: '$effectivePrice'},
+                    highestPrice: {$max: '$effectivePrice'},
+                    changeCount: {$sum: 1},
+                }
+            },
+        ]),
+        PriceHistory.aggregate([
+            {$match: {...match, createdAt: {$lt: from}}},
+            {$sort: {createdAt: -1, _id: -1}},
+            {$group: {_id: '$itemId', effectivePrice: {$first: '$effectivePrice'}}},
+        ]),
+    ]);
+
+    const summaries = new Map();
+    openingPrices.forEach((row) => {
+        summaries.set(row._id.toString(), {lowestPrice: row.effectivePrice, highestPrice: row.effectivePrice, changeCount: 0});
+    });
+    periodStats.forEach((row) => {
+        const opening = summaries.get(row._id.toString());
+        summaries.set(row._id.toString(), {
+            lowestPrice: opening ? Math.min(opening.lowestPrice, row.lowestPrice) : row.lowestPrice,
+            highestPrice: opening ? Math.max(opening.highestPrice, row.highestPrice) : row.highestPrice,
+            changeCount: row.changeCount,
+        });
+    });
+    return summaries;
+};
+
+/**
+ * Get the lowest price of items in the 30 days before their current sale started
+ * Đợt giảm giá bắt đầu từ bản ghi đang giảm giá đầu tiên sau lần cuối giá thường được ghi,
+ * các bản ghi của chính đợt đó không được tính, giá đang áp dụng tại đầu khoảng được tính
+ * @param {string} itemType - product or service
+ * @param {ObjectId[]} itemIds
+ * @returns {Promise<Map<string, number>>} - Lowest prices keyed by item id, items without history before the sale are left out
+ */
+const getLowestPricesBeforeSale = async (itemType, itemIds) => {
+    if (itemIds.length === 0) {
+        return new Map();
+    }
+
+    // Các bản ghi thỏa điều kiện, theo thứ tự thời gian
+    const filterRecords = (cond) => ({$filter: {input: '$records', cond}});
+    const pricesOf = (records) => ({$map: {input: records, in: '$$this.effectivePrice'}});
+
+    const rows = await PriceHistory.aggregate([
+        {
+            $match: {
+                itemType,
+                itemId: {$in: itemIds.map((id) => new mongoose.Types.ObjectId(id))},
+                variantId: null,
+            }
+        },
+        {$sort: {createdAt: 1, _id: 1}},
+        {
+            $group: {
+                _id: '$itemId',
+                records: {$push: {createdAt: '$createdAt', onSale: '$onSale', effectivePrice: '$effectivePrice'}},
+                lastRegularAt: {$max: {$cond: ['$onSale', null, '$createdAt']}},
+            }
+        },
+        {
+            $addFields: {
+                // Đợt giảm giá chưa được ghi lại thì coi như bắt đầu từ bây giờ
+                saleStart: {
+                    $ifNull: [
+                        {
+                            $min: {
+                                $map: {
+                                    input: filterRecords({
+                                        $and: [
+                                            '$$this.onSale',
+                                            {$gt: ['$$this.createdAt', {$ifNull: ['$lastRegularAt', new Date(0)]}]},
+                                        ]
+                                    }),
+                                    in: '$$this.createdAt',
+                                }
+                            }
+                        },
+                        '$$NOW',
+                    ]
+                },
+            }
+        },
+        // Chỉ giữ các bản ghi trước đợt giảm giá
+        {
+            $addFields: {
+                records: filterRecords({$lt: ['$$this.createdAt', '$saleStart']}),
+                windowStart: {$subtract: ['$saleStart', LOWEST_PRICE_DAYS * 24 * 60 * 60 * 1000]},
+            }
+        },
+        {
+            $project: {
+                lowestPrice: {
+                    $min: {
+                        $concatArrays: [
+                            pricesOf(filterRecords({$gte: ['$$this.createdAt', '$windowStart']})),
+                            [{$arrayElemAt: [pricesOf(filterRecords({$lt: ['$$this.createdAt', '$windowStart']})), -1]}],
+                        ]
+                    }
+                },
+            }
+        },
+    ]);
+
+    return new Map(rows
+        .filter((row) => row.lowestPrice !== null && row.lowestPrice !== undefined)
+        .map((row) => [row._id.toString(), row.lowestPrice]));
+};
+
+/**
+ * Add the lowest price of the 30 days before the current sale to the items that are on sale
+ * Không có lịch sử trước đợt giảm giá thì dùng giá thường
+ * @param {string} itemType - product or service
+ * @param {Object[]} items - Documents or lean objects
+ * @returns {Promise<Object[]>} - Plain objects
+ */
+const addLowestPrices = async (itemType, items) => {
+    const onSaleItems = items.filter((item) => item.onSale);
+    const lowestPrices = await getLowestPricesBeforeSale(itemType, onSaleItems.map((item) => item._id));
+
+    return items.map((item) => {
+        const plainItem = typeof item.toObject === 'function' ? item.toObject() : item;
+        if (!item.onSale) {
+            return plainItem;
+        }
+        const lowestPrice = lowestPrices.get(item._id.toString());
+        return {...plainItem, lowestPrice30Days: lowestPrice !== undefined ? lowestPrice : item.price};
+    });
+};
+
+module.exports = {
+    recordPriceChange,
+    getPriceHistory,
+    getPriceSummaries,
+    addLowestPrices,
+};
@@ -0,0 +1,408 @@
+const {status} = require('http-status');
+const PriceSchedule = require('../models/priceSchedule.model');
+const Product = require('../models/product.model');
+const Service = require('../models/service.model');
+const Category = require('../models/category.model');
+const ApiError = require('../utils/ApiError');
+const wishlistService = require('./wishlist.service');
+const priceHistoryService = require('./priceHistory.service');
+
+const targetModels = {
+    product: Product,
+    category: Category,
+    service: Service,
+};
+
+/**
+ * Check the time range and targets of a schedule
+ * @param {Object} scheduleBody
+ * @returns {Promise}
+ */
+const assertValidSchedule = async (scheduleBody) => {
+    if (new Date(scheduleBody.endsAt) <= new Date(scheduleBody.startsAt)) {
+        throw new ApiError(status.BAD_REQUEST, 'End time must be after start time');
+    }
+    if (scheduleBody.discountType === 'percent' && scheduleBody.value > 100) {
+        throw new ApiError(status.BAD_REQUEST, 'Percent discount cannot exceed 100');
+    }
+
+    if (scheduleBody.targetType === 'petType') {
+        if (!scheduleBody.petTypes || scheduleBody.petTypes.length === 0) {
+            throw new ApiError(status.BAD_REQUEST, 'Pet types are required for a pet type schedule');
+        }
+        return;
+    }
+
+    const targetIds = [...new Set((scheduleBody.targetIds || []).map((id) => id.toString()))];
+    if (targetIds.length === 0) {
+        throw new ApiError(status.BAD_REQUEST, 'Targets are required');
+    }
+    const count = await targetModels[scheduleBody.targetType].countDocuments({_id: {$in: targetIds}});
+    if (count !== targetIds.length) {
+        throw new ApiError(status.BAD_REQUEST, 'Some schedule targets were not found');
+    }
+};
+
+/**
+ * Calculate the sale price of a schedule on a regular price
+ * @param {PriceSchedule} schedule
+ * @param {number} price
+ * @returns {number}
+ */
+const getSchedulePrice = (schedule, price) => {
+    const discount = schedule.discountType === 'percent'
+        ? (price * schedule.value) / 100
+        : schedule.value;
+    return Math.max(Math.round(price - discount), 0);
+};
+
+/**
+ * Check whether a schedule targets a product or service
+ * @param {PriceSchedule} schedule
+ * @param {string} itemType - product or service
+ * @param {Product|Service} item
+ * @returns {boolean}
+ */
+const scheduleTargetsItem = (schedule, itemType, item) => {
+    const hasTarget = (id) => schedule.targetIds.some((targetId) => targetId.equals(id));
+    switch (schedule.targetType) {
+        case 'product':
+            return itemType === 'product' && hasTarget(item._id);
+        case 'category':
+            return itemType === 'product' && Boolean(item.categoryId) && hasTarget(item.categoryId._id || item.categoryId);
+        case 'service':
+            return itemType === 'service' && hasTarget(item._id);
+        case 'petType':
+            return (item.petTypes || []).some((petType) => schedule.petTypes.includes(petType));
+        default:
+            return false;
+    }
+};
+
+/**
+ * Get the ids of the products and services a schedule applies to
+ * @param {PriceSchedule} schedule
+ * @returns {Promise<{product: ObjectId[], service: ObjectId[]}>}
+ */
+const getScheduleItemIds = async (schedule) => {
+    switch (schedule.targetType) {
+        case 'product':
+            return {product: schedule.targetIds, service: []};
+        case 'category':
+            return {product: await Product.distinct('_id', {categoryId: {$in: schedule.targetIds}}), service: []};
+        case 'service':
+            return {product: [], service: schedule.targetIds};
+        case 'petType': {
+            const [productIds, serviceIds] = await Promise.all([
+                Product.distinct('_id', {petTypes: {$in: schedule.petTypes}}),
+                Service.distinct('_id', {petTypes: {$in: schedule.petTypes}}),
+            ]);
+            return {product: productIds, service: serviceIds};
+        }
+        default:
+            return {product: [], service: []};
+    }
+};
+
+/**
+ * Get the parts of an item that carry a price: its variants, or the item itself
+ * @param {Product|Service} item
+ * @returns {Object[]}
+ */
+const getPricedParts = (item) => (item.variants && item.variants.length > 0 ? item.variants : [item]);
+
+/**
+ * Set the sale price of a schedule on an item, saving the manual sale state first
+ * @param {Product|Service} item
+ * @param {PriceSchedule} schedule
+ */
+const applyScheduleToItem = (item, schedule) => {
+    getPricedParts(item).forEach((part) => {
+        if (!part.manualSale || !part.manualSale.savedAt) {
+            part.manualSale = {onSale: part.onSale, salePrice: part.salePrice, savedAt: new Date()};
+        }
+        part.onSale = true;
+        part.salePrice = getSchedulePrice(schedule, part.price);
+    });
+    item.priceScheduleId = schedule._id;
+};
+
+/**
+ * Restore the manual sale state of an item once no schedule applies
+ * @param {Product|Service} item
+ */
+const revertScheduleFromItem = (item) => {
+    getPricedParts(item).forEach((part) => {
+        if (part.manualSale && part.manualSale.savedAt) {
+            part.onSale = part.manualSale.onSale;
+            part.salePrice = part.manualSale.salePrice;
+        }
+        part.manualSale = undefined;
+    });
+    item.priceScheduleId = undefined;
+};
+
+/**
+ * Activate and revert scheduled sale prices
+ * Mỗi mặt hàng nhận giá của lịch có độ ưu tiên cao nhất đang chạy; giá giảm thủ công trong thời gian
+ * lịch chạy sẽ bị ghi đè và được khôi phục về trạng thái trước lịch khi lịch kết thúc
+ * @param {Date} [now]
+ * @returns {Promise<Object>} - Number of items applied and reverted
+ */
+const applyPriceSchedules = async (now = new Date()) => {
+    const runningSchedules = await PriceSchedule.find({
+        status: {$in: ['scheduled', 'active']},
+        startsAt: {$lte: now},
+        endsAt: {$gt: now},
+    }).sort({priority: -1, createdAt: 1});
+
+    const winners = {product: new Map(), service: new Map()};
+    const itemCounts = new Map();
+    for (const schedule of runningSchedules) {
+        const itemIds = await getScheduleItemIds(schedule);
+        let itemCount = 0;
+        Object.entries(itemIds).forEach(([itemType, ids]) => {
+            ids.forEach((id) => {
+                if (!winners[itemType].has(id.toString())) {
+                    winners[itemType].set(id.toString(), schedule);
+                    itemCount++;
+                }
+            });
+        });
+        itemCounts.set(schedule._id.toString(), itemCount);
+    }
+
+    let applied = 0;
+    let reverted = 0;
+    for (const [itemType, Model] of [['product', Product], ['service', Service]]) {
+        const items = await Model.find({
+            $or: [
+                {_id: {$in: [...winners[itemType].keys()]}},
+                {priceScheduleId: {$ne: null}},
+            ]
+        });
+        for (const item of items) {
+            const schedule = winners[itemType].get(item._id.toString());
+            const previous = {onSale: item.onSale, salePrice: item.salePrice, stock: item.stock};
+            if (schedule) {
+                applyScheduleToItem(item, schedule);
+            } else {
+                revertScheduleFromItem(item);
+            }
+            if (!item.isModified()) {
+                continue;
+            }
+
+            await item.save();
+            await priceHistoryService.recordPriceChange(itemType, item, {source: 'schedule'});
+            if (schedule) {
+                applied++;
+            } else {
+                reverted++;
+            }
+            await wishlistService.notifyWishlistItemChange(itemType, previous, item);
+        }
+    }
+
+    // Cập nhật trạng thái lịch và ghi lại các lần bật/tắt
+    for (const schedule of runningSchedules.filter((item) => item.status === 'scheduled')) {
+        schedule.status = 'active';
+        schedule.history.push({action: 'activated', at: now, itemCount: itemCounts.get(schedule._id.toString())});
+        await schedule.save();
+    }
+    const finishedSchedules = await PriceSchedule.find({status: {$in: ['scheduled', 'active']}, endsAt: {$lte: now}});
+    for (const schedule of finishedSchedules) {
+        schedule.status = 'ended';
+        schedule.history.push({action: 'ended', at: now});
+        await schedule.save();
+    }
+    // Lịch đang chạy bị dời giờ bắt đầu về sau
+    await PriceSchedule.updateMany({status: 'active', startsAt: {$gt: now}}, {status: 'scheduled'});
+
+    return {applied, reverted};
+};
+
+/**
+ * Create a price schedule and apply it if it is already running
+ * @param {Object} scheduleBody
+ * @param {User} actor
+ * @returns {Promise<PriceSchedule>}
+ */
+const createPriceSchedule = async (scheduleBody, actor) => {
+    await assertValidSchedule(scheduleBody);
+
+    const schedule = await PriceSchedule.create({
+        ...scheduleBody,
+        createdBy: actor._id,
+        history: [{action: 'created', actorId: actor._id}],
+    });
+    await applyPriceSchedules();
+    return getPriceScheduleById(schedule._id);
+};
+
+/**
+ * Get price schedule by id
+ * @param {ObjectId} scheduleId
+ * @returns {Promise<PriceSchedule>}
+ */
+const getPriceScheduleById = async (scheduleId) => {
+    return PriceSchedule.findById(scheduleId);
+};
+
+/**
+ * Query price schedules
+ * @param {Object} filter
+ * @param {Object} options
+ * @param {number} [options.page]
+ * @param {number} [options.limit]
+ * @returns {Promise<Object>} - Object containing schedules and pagination info
+ */
+const getPriceSchedules = async (filter, options = {}) => {
+    const page = options.page || 1;
+    const limit = options.limit || 20;
+    const skip = (page - 1) * limit;
+
+    const schedules = await PriceSchedule.find(filter)
+        .sort({startsAt: -1})
+        .skip(skip)
+        .limit(limit)
+        .populate('createdBy', 'fullname email');
+
+    const totalResults = await PriceSchedule.countDocuments(filter);
+
+    return {
+        results: schedules,
+        page,
+        limit,
+        totalPages: Math.ceil(totalResults / limit),
+        totalResults
+    };
+};
+
+/**
+ * Update a price schedule that has not ended
+ * @param {ObjectId} scheduleId
+ * @param {Object} updateBody
+ * @param {User} actor
+ * @returns {Promise<PriceSchedule>}
+ */
+const updatePriceSchedule = async (scheduleId, updateBody, actor) => {
+    const schedule = await getPriceScheduleById(scheduleId);
+    if (!schedule) {
+        throw new ApiError(status.NOT_FOUND, 'Price schedule not found');
+    }
+    if (['ended', 'cancelled'].includes(schedule.status)) {
+        throw new ApiError(status.BAD_REQUEST, `Cannot update a schedule that is ${ schedule.status }`);
+    }
+
+    await assertValidSchedule({...schedule.toObject(), ...updateBody});
+    Object.assign(schedule, updateBody);
+    // Chỉ giữ danh sách mục tiêu ứng với phạm vi hiện tại
+    if (schedule.targetType === 'petType') {
+        schedule.targetIds = [];
+    } else {
+        schedule.petTypes = [];
+    }
+    schedule.history.push({action: 'updated', actorId: actor._id});
+    await schedule.save();
+
+    await applyPriceSchedules();
+    return getPriceScheduleById(schedule._id);
+};
+
+/**
+ * Cancel a price schedule and revert the prices it set
+ * @param {ObjectId} scheduleId
+ * @param {User} actor
+ * @returns {Promise<PriceSchedule>}
+ */
+const cancelPriceSchedule = async (scheduleId, actor) => {
+    const schedule = await getPriceScheduleById(scheduleId);
+    if (!schedule) {
+        throw new ApiError(status.NOT_FOUND, 'Price schedule not found');
+    }
+    if (['ended', 'cancelled'].includes(schedule.status)) {
+        throw new ApiError(status.BAD_REQUEST, `Cannot cancel a schedule that is ${ schedule.status }`);
+    }
+
+    schedule.status = 'cancelled';
+    schedule.history.push({action: 'cancelled', actorId: actor._id});
+    await schedule.save();
+
+    await applyPriceSchedules();
+    return schedule;
+};
+
+/**
+ * Preview the effective price of a product or service at a given moment
+ * @param {string} itemType - product or service
+ * @param {ObjectId} itemId
+ * @param {Date} [at]
+ * @returns {Promise<Object>}
+ */
+const getEffectivePrice = async (itemType, itemId, at = new Date()) => {
+    const Model = itemType === 'product' ? Product : Service;
+    const item = await Model.findById(itemId);
+    if (!item) {
+        throw new ApiError(status.NOT_FOUND, `${ itemType === 'product' ? 'Product' : 'Service' } not found`);
+    }
+
+    const schedules = await PriceSchedule.find({
+        status: {$ne: 'cancelled'},
+        startsAt: {$lte: at},
+        endsAt: {$gt: at},
+    }).sort({priority: -1, createdAt: 1});
+    const schedule = schedules.find((candidate) => scheduleTargetsItem(candidate, itemType, item)) || null;
+
+    // Giá thủ công là trạng thái trước khi lịch hiện tại áp dụng
+    const getPartPrice = (part) => {
+        const manual = part.manualSale && part.manualSale.savedAt ? part.manualSale : part;
+        const salePrice = schedule ? getSchedulePrice(schedule, part.price) : manual.salePrice;
+        const onSale = schedule ? true : Boolean(manual.onSale);
+        return {
+            price: part.price,
+            onSale,
+            salePrice,
+            effectivePrice: onSale && salePrice !== undefined && salePrice !== null ? salePrice : part.price,
+        };
+    };
+
+    const hasVariants = itemType === 'product' && item.variants.length > 0;
+    const variants = hasVariants
+        ? item.variants.map((variant) => ({
+            variantId: variant._id,
+            sku: variant.sku,
+            variantName: Product.getVariantName(variant),
+            ...getPartPrice(variant),
+        }))
+        : undefined;
+
+    return {
+        itemType,
+        itemId: item._id,
+        name: item.name,
+        at,
+        schedule: schedule && {
+            _id: schedule._id,
+            name: schedule.name,
+            priority: schedule.priority,
+            discountType: schedule.discountType,
+            value: schedule.value,
+            startsAt: schedule.startsAt,
+            endsAt: schedule.endsAt,
+        },
+        ...(hasVariants
+            ? {effectivePrice: Math.min(...variants.map((variant) => variant.effectivePrice)), variants}
+            : getPartPrice(item)),
+    };
+};
+
+module.exports = {
+    applyPriceSchedules,
+    createPriceSchedule,
+    getPriceScheduleById,
+    getPriceSchedules,
+    updatePriceSchedule,
+    cancelPriceSchedule,
+    getEffectivePrice,
+};
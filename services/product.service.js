@@ -3,14 +3,41 @@ const Product = require('../models/product.model');
 const ApiError = require('../utils/ApiError');
 const Review = require('../models/review.model');
 const User = require('../models/user.model');
+const wishlistService = require('./wishlist.service');
+const inventoryService = require('./inventory.service');
+const searchService = require('./search.service');
+const recommendationService = require('./recommendation.service');
+const bundleService = require('./bundle.service');
+const priceHistoryService = require('./priceHistory.service');
 
 /**
  * Create a product
  * @param {Object} productBody
+ * @param {User} [actor]
  * @returns {Promise<Product>}
  */
-const createProduct = async (productBody) => {
-    return Product.create(productBody);
+const createProduct = async (productBody, actor) => {
+    if (productBody.sku) {
+        await assertSkuAvailable(productBody.sku);
+    }
+    if (productBody.productType === 'bundle') {
+        await bundleService.assertValidBundleItems(productBody.bundleItems);
+        productBody.stock = await bundleService.calculateBundleStock(productBody.bundleItems);
+    }
+
+    const product = await Product.create(productBody);
+    // Combo không có tồn kho riêng trong sổ kho
+    if (product.productType !== 'bundle') {
+        await inventoryService.recordMovement(product, {
+            type: 'receipt',
+            quantity: product.stock,
+            actor,
+            note: 'Initial stock',
+        });
+    }
+    await priceHistoryService.recordPriceChange('product', product, {actor});
+    await searchService.indexItem('product', product);
+    return product;
 };
 
 /**
@@ -21,6 +48,7 @@ const createProduct = async (productBody) => {
 const getProductById = async (id) => {
     return Product.findById(id)
         .populate('categoryId')
+        .populate('bundleItems.productId', 'name images price salePrice onSale stock variants')
         .populate({
             path: 'recentReviews',
             populate: {
@@ -29,6 +57,99 @@ const getProductById = async (id) => {
         });
 };
 
+/**
+ * Get the variant of a product being bought
+ * Sản phẩm có biến thể bắt buộc chọn biến thể, sản phẩm không có biến thể không nhận variantId
+ * @param {Product} product
+ * @param {ObjectId} [variantId]
+ * @returns {Object|null} - Variant, null for products without variants
+ */
+const getProductVariant = (product, variantId) => {
+    if (product.variants.length === 0) {
+        if (variantId) {
+            throw new ApiError(status.BAD_REQUEST, `Product ${ product.name } has no variants`);
+        }
+        return null;
+    }
+    if (!variantId) {
+        throw new ApiError(status.BAD_REQUEST, `Please select a variant of ${ product.name }`);
+    }
+
+    const variant = product.variants.id(variantId);
+    if (!variant) {
+        throw new ApiError(status.NOT_FOUND, 'Product variant not found');
+    }
+    return variant;
+};
+
+/**
+ * Get the price, stock and display info of a product or one of its variants
+ * @param {Product} product
+ * @param {Object|null} variant
+ * @returns {Object}
+ */
+const getPurchaseInfo = (product, variant) => {
+    const source = variant || product;
+    const images = variant && variant.images.length > 0 ? variant.images : product.images;
+    return {
+        name: product.name,
+        price: source.price,
+        onSale: source.onSale,
+        salePrice: source.salePrice,
+        unitPrice: source.onSale && source.salePrice ? source.salePrice : source.price,
+        stock: source.stock,
+        image: images && images.length > 0 ? images[0] : null,
+        ...(variant && {
+            variantId: variant._id,
+            sku: variant.sku,
+            variantName: Product.getVariantName(variant),
+        }),
+    };
+};
+
+/**
+ * Check that the variants of a product share the same option axes and are distinct
+ * @param {Object[]} variants
+ */
+const assertValidVariants = (variants) => {
+    const axesOf = (variant) => ['size', 'flavor', 'color'].filter((axis) => variant.options && variant.options[axis]).join(',');
+    if (variants.some((variant) => !axesOf(variant))) {
+        throw new ApiError(status.BAD_REQUEST, 'Variants must have at least one option');
+    }
+    if (variants.some((variant) => axesOf(variant) !== axesOf(variants[0]))) {
+        throw new ApiError(status.BAD_REQUEST, 'All variants must use the same options');
+    }
+
+    const names = variants.map((variant) => Product.getVariantName(variant).toLowerCase());
+    if (new Set(names).size !== names.length) {
+        throw new ApiError(status.BAD_REQUEST, 'Variants must have distinct option values');
+    }
+    const skus = variants.map((variant) => variant.sku.trim().toUpperCase());
+    if (new Set(skus).size !== skus.length) {
+        throw new ApiError(status.BAD_REQUEST, 'Variant SKUs must be unique');
+    }
+};
+
+/**
+ * Check that a SKU is not used by another product or variant
+ * @param {string} sku
+ * @param {ObjectId} [productId] - Product allowed to use the SKU
+ * @returns {Promise}
+ */
+const assertSkuAvailable = async (sku, productId) => {
+    const normalizedSku = sku.trim().toUpperCase();
+    if (await Product.exists({$or: [{sku: normalizedSku}, {'variants.sku': normalizedSku}], _id: {$ne: productId}})) {
+        throw new ApiError(status.BAD_REQUEST, 'SKU already taken');
+    }
+};
+
+/**
+ * Snapshot of the fields watched by wishlist notifications
+ * @param {Product} product
+ * @returns {Object}
+ */
+const getWishlistState = (product) => ({onSale: product.onSale, salePrice: product.salePrice, stock: product.stock});
+
 /**
  * Get all products
  * @param {Object} filter - MongoDB filter
@@ -155,16 +276,47 @@ const getProductReviews = async (productId, options = {}) => {
  * Update product by id
  * @param {ObjectId} productId
  * @param {Object} updateBody
+ * @param {User} [actor]
  * @returns {Promise<Product>}
  */
-const updateProductById = async (productId, updateBody) => {
+const updateProductById = async (productId, updateBody, actor) => {
     const product = await getProductById(productId);
     if (!product) {
         throw new ApiError(status.NOT_FOUND, 'Product not found');
     }
 
+    if (updateBody.sku) {
+        await assertSkuAvailable(updateBody.sku, productId);
+    }
+
+    const isBundle = product.productType === 'bundle';
+    if (!isBundle && updateBody.bundleItems) {
+        throw new ApiError(status.BAD_REQUEST, 'Only bundles have components');
+    }
+    if (isBundle && updateBody.stock !== undefined) {
+        throw new ApiError(status.BAD_REQUEST, 'Bundle stock is derived from its components');
+    }
+    if (isBundle && updateBody.bundleItems) {
+        await bundleService.assertValidBundleItems(updateBody.bundleItems, product._id);
+    }
+
+    const previous = getWishlistState(product);
     Object.assign(product, updateBody);
+    if (isBundle && updateBody.bundleItems) {
+        product.stock = await bundleService.calculateBundleStock(updateBody.bundleItems);
+    }
     await product.save();
+    // Tồn kho của sản phẩm có biến thể và combo được tính lại nên không ghi vào sổ kho
+    if (product.variants.length === 0 && !isBundle) {
+        await inventoryService.recordMovement(product, {
+            type: 'adjustment',
+            quantity: product.stock - previous.stock,
+            actor,
+        });
+    }
+    await priceHistoryService.recordPriceChange('product', product, {actor});
+    await searchService.indexItem('product', product);
+    await wishlistService.notifyWishlistItemChange('product', previous, product);
     return product;
 };
 
@@ -179,7 +331,10 @@ const deleteProductById = async (productId) => {
         throw new ApiError(status.NOT_FOUND, 'Product not found');
     }
 
+    await bundleService.assertNotInBundle(product._id);
     await product.deleteOne();
+    await searchService.removeItem('product', product._id);
+    await recommendationService.removeProductAssociations(product._id);
     return product;
 };
 
@@ -208,24 +363,275 @@ const searchProducts = async (query, options = {}) => {
     return getAllProducts(filter, options);
 };
 
+// Các mốc giá (VNĐ) của facet giá, nhóm cuối gồm mọi giá từ mốc cuối trở lên
+const PRICE_FACET_BOUNDARIES = [0, 100000, 200000, 500000, 1000000];
+// Facet đánh giá đếm theo kiểu "từ N sao trở lên"
+const RATING_FACET_THRESHOLDS = [4, 3, 2, 1];
+
+/**
+ * Count the products matching each value of the brand, category, pet type, price, rating,
+ * on-sale and in-stock facets in a single aggregation
+ * Mỗi nhóm được đếm theo tất cả bộ lọc đang áp dụng trừ bộ lọc của chính nhóm đó,
+ * để người dùng thấy số kết quả khi chọn thêm hoặc đổi giá trị trong nhóm
+ * @param {Object} baseFilter - Filters that are not facets, including the text search
+ * @param {Object} facetFilters - Active facet filters keyed by brand, category, petType, price, rating, onSale or inStock
+ * @returns {Promise<Object>}
+ */
+const getProductFacets = async (baseFilter = {}, facetFilters = {}) => {
+    // Aggregate không tự ép kiểu như find nên dùng cast của query
+    const castFilter = (filter) => Product.find().cast(Product, filter);
+    const matchOtherFacets = (facet) => {
+        const filters = Object.entries(facetFilters)
+            .filter(([name]) => name !== facet)
+            .map(([, filter]) => castFilter(filter));
+        return {$match: filters.length > 0 ? {$and: filters} : {}};
+    };
+    const effectivePrice = {$cond: [{$and: ['$onSale', '$salePrice']}, '$salePrice', '$price']};
+
+    const [result] = await Product.aggregate([
+        {$match: castFilter(baseFilter)},
+        {
+            $facet: {
+                brand: [
+                    matchOtherFacets('brand'),
+                    {$match: {brand: {$nin: [null, '']}}},
+                    {$group: {_id: '$brand', count: {$sum: 1}}},
+                    {$sort: {count: -1, _id: 1}},
+                    {$project: {_id: 0, value: '$_id', count: 1}},
+                ],
+                category: [
+                    matchOtherFacets('category'),
+                    {$group: {_id: '$categoryId', count: {$sum: 1}}},
+                    {
+                        $lookup: {
+                            from: 'categories',
+                            localField: '_id',
+                            foreignField: '_id',
+                            pipeline: [{$project: {name: 1}}],
+                            as: 'category'
+                        }
+                    },
+                    {$unwind: '$category'},
+                    {$sort: {count: -1, 'category.name': 1}},
+                    {$project: {_id: 0, value: '$_id', name: '$category.name', count: 1}},
+                ],
+                petType: [
+                    matchOtherFacets('petType'),
+                    {$unwind: '$petTypes'},
+                    {$group: {_id: '$petTypes', count: {$sum: 1}}},
+                    {$sort: {count: -1, _id: 1}},
+                    {$project: {_id: 0, value: '$_id', count: 1}},
+                ],
+                price: [
+                    matchOtherFacets('price'),
+                    {
+                        $bucket: {
+                            groupBy: effectivePrice,
+                            boundaries: PRICE_FACET_BOUNDARIES,
+                            default: 'max',
+                            output: {count: {$sum: 1}}
+                        }
+                    },
+                ],
+                rating: [
+                    matchOtherFacets('rating'),
+                    {
+                        $group: {
+                            _id: null,
+                            ...Object.fromEntries(RATING_FACET_THRESHOLDS.map((threshold) => [
+                                `min${ threshold }`,
+                                {$sum: {$cond: [{$gte: ['$ratings.average', threshold]}, 1, 0]}}
+                            ])),
+                        }
+                    },
+                ],
+                onSale: [
+                    matchOtherFacets('onSale'),
+                    {$group: {_id: {$eq: ['$onSale', true]}, count: {$sum: 1}}},
+                ],
+                inStock: [
+                    matchOtherFacets('inStock'),
+                    {$group: {_id: {$gt: ['$stock', 0]}, count: {$sum: 1}}},
+                ],
+            }
+        },
+    ]);
+
+    const countOf = (groups, value) => (groups.find((group) => group._id === value) || {count: 0}).count;
+    const ratingCounts = result.rating[0] || {};
+
+    return {
+        brand: result.brand,
+        category: result.category,
+        petType: result.petType,
+        // Trả về đủ các khoảng giá, kể cả khoảng không có sản phẩm
+        price: PRICE_FACET_BOUNDARIES.map((min, index) => {
+            const max = index < PRICE_FACET_BOUNDARIES.length - 1 ? PRICE_FACET_BOUNDARIES[index + 1] : null;
+            return {min, max, count: countOf(result.price, max === null ? 'max' : min)};
+        }),
+        rating: RATING_FACET_THRESHOLDS.map((threshold) => ({
+            minRating: threshold,
+            count: ratingCounts[`min${ threshold }`] || 0,
+        })),
+        onSale: {true: countOf(result.onSale, true), false: countOf(result.onSale, false)},
+        inStock: {true: countOf(result.inStock, true), false: countOf(result.inStock, false)},
+    };
+};
+
 /**
  * Update product stock
  * @param {ObjectId} productId
  * @param {number} quantity - Amount to adjust (positive or negative)
+ * @param {Object} [options]
+ * @param {ObjectId} [options.variantId] - Required for products with variants
+ * @param {string} [options.type] - adjustment, receipt or return
+ * @param {string} [options.note]
+ * @param {User} [options.actor]
  * @returns {Promise<Product>}
  */
-const updateProductStock = async (productId, quantity) => {
+const updateProductStock = async (productId, quantity, {variantId, type = 'adjustment', note, actor} = {}) => {
     const product = await getProductById(productId);
     if (!product) {
         throw new ApiError(status.NOT_FOUND, 'Product not found');
     }
 
-    product.stock += quantity;
-    if (product.stock < 0) {
+    if (product.productType === 'bundle') {
+        throw new ApiError(status.BAD_REQUEST, 'Bundle stock is derived from its components');
+    }
+
+    const previous = getWishlistState(product);
+    const variant = getProductVariant(product, variantId);
+    const stockHolder = variant || product;
+    stockHolder.stock += quantity;
+    if (stockHolder.stock < 0) {
         throw new ApiError(status.BAD_REQUEST, 'Insufficient stock');
     }
 
     await product.save();
+    await inventoryService.recordMovement(product, {type, quantity, variant, actor, note});
+    await wishlistService.notifyWishlistItemChange('product', previous, product);
+    return product;
+};
+
+/**
+ * Add a variant to a product
+ * @param {ObjectId} productId
+ * @param {Object} variantBody
+ * @param {User} [actor]
+ * @returns {Promise<Product>}
+ */
+const addProductVariant = async (productId, variantBody, actor) => {
+    const product = await getProductById(productId);
+    if (!product) {
+        throw new ApiError(status.NOT_FOUND, 'Product not found');
+    }
+
+    if (product.productType === 'bundle') {
+        throw new ApiError(status.BAD_REQUEST, 'Bundles cannot have variants');
+    }
+    assertValidVariants([...product.variants, variantBody]);
+    await assertSkuAvailable(variantBody.sku, productId);
+
+    const previous = getWishlistState(product);
+    const isFirstVariant = product.variants.length === 0;
+    product.variants.push(variantBody);
+    await product.save();
+
+    // Tồn kho cũ của sản phẩm được thay bằng tồn kho của các biến thể
+    if (isFirstVariant) {
+        await inventoryService.recordMovement(product, {
+            type: 'adjustment',
+            quantity: -previous.stock,
+            balance: 0,
+            actor,
+            note: 'Stock moved to variants',
+        });
+    }
+    const variant = product.variants[product.variants.length - 1];
+    await inventoryService.recordMovement(product, {
+        type: 'receipt',
+        quantity: variant.stock,
+        variant,
+        actor,
+        note: 'Initial stock',
+    });
+    await priceHistoryService.recordPriceChange('product', product, {actor});
+    await wishlistService.notifyWishlistItemChange('product', previous, product);
+    return product;
+};
+
+/**
+ * Update a variant of a product
+ * @param {ObjectId} productId
+ * @param {ObjectId} variantId
+ * @param {Object} updateBody
+ * @param {User} [actor]
+ * @returns {Promise<Product>}
+ */
+const updateProductVariant = async (productId, variantId, updateBody, actor) => {
+    const product = await getProductById(productId);
+    if (!product) {
+        throw new ApiError(status.NOT_FOUND, 'Product not found');
+    }
+    const variant = product.variants.id(variantId);
+    if (!variant) {
+        throw new ApiError(status.NOT_FOUND, 'Product variant not found');
+    }
+
+    const updatedVariant = {...variant.toObject(), ...updateBody};
+    assertValidVariants(product.variants.map((item) => (item._id.equals(variantId) ? updatedVariant : item)));
+    if (updateBody.sku) {
+        await assertSkuAvailable(updateBody.sku, productId);
+    }
+
+    const previous = getWishlistState(product);
+    const previousStock = variant.stock;
+    variant.set(updateBody);
+    await product.save();
+    await inventoryService.recordMovement(product, {
+        type: 'adjustment',
+        quantity: variant.stock - previousStock,
+        variant,
+        actor,
+    });
+    await priceHistoryService.recordPriceChange('product', product, {actor});
+    await wishlistService.notifyWishlistItemChange('product', previous, product);
+    return product;
+};
+
+/**
+ * Delete a variant of a product
+ * @param {ObjectId} productId
+ * @param {ObjectId} variantId
+ * @param {User} [actor]
+ * @returns {Promise<Product>}
+ */
+const deleteProductVariant = async (productId, variantId, actor) => {
+    const product = await getProductById(productId);
+    if (!product) {
+        throw new ApiError(status.NOT_FOUND, 'Product not found');
+    }
+    const variant = product.variants.id(variantId);
+    if (!variant) {
+        throw new ApiError(status.NOT_FOUND, 'Product variant not found');
+    }
+
+    await bundleService.assertNotInBundle(product._id, variant._id);
+    variant.deleteOne();
+    // Xoá biến thể cuối cùng thì sản phẩm không còn tồn kho
+    if (product.variants.length === 0) {
+        product.stock = 0;
+    }
+    await product.save();
+    await inventoryService.recordMovement(product, {
+        type: 'adjustment',
+        quantity: -variant.stock,
+        variant,
+        balance: 0,
+        actor,
+        note: 'Variant deleted',
+    });
+    await priceHistoryService.recordPriceChange('product', product, {actor});
     return product;
 };
 
@@ -295,9 +701,10 @@ const createReview = async (productId, reviewBody) => {
         throw new ApiError(status.FORBIDDEN, 'You are not authorized to review this order');
     }
 
-    // Kiểm tra xem đơn hàng có chứa sản phẩm không
-    const hasProduct = order.items.some(item => item.productId.toString() === productId.toString());
-    if (!hasProduct) {
+    // Kiểm tra xem đơn hàng có chứa sản phẩm (và biến thể được chọn) không
+    const orderItem = order.items.find(item => item.productId.toString() === productId.toString()
+        && (!reviewBody.variantId || (item.variantId && item.variantId.toString() === reviewBody.variantId.toString())));
+    if (!orderItem) {
         throw new ApiError(status.FORBIDDEN, 'This order does not contain this product');
     }
 
@@ -317,6 +724,7 @@ const createReview = async (productId, reviewBody) => {
         photos: reviewBody.photos,
         customerName: user.fullname,
         customerAvatar: user.avatar,
+        ...(orderItem.variantId && {variantId: orderItem.variantId, variantName: orderItem.variantName}),
     });
 
     // Cập nhật thông tin đánh giá của sản phẩm
@@ -409,19 +817,25 @@ const getProductDistributionByPetTypes = async () => {
 };
 
 /**
- * Get best selling products
+ * Get best selling products with their price range over the last 30 days
  * @param {number} limit - Number of products to return
  * @returns {Promise<Array>}
  */
 const getBestSellingProducts = async (limit = 10) => {
     const products = await Product.find({isVisible: true})
-        .select('name brand soldCount stock price images ratings')
+        .select('name brand soldCount stock price salePrice onSale images ratings variants.sku variants.options variants.soldCount variants.stock')
         .sort({soldCount: -1})
         .limit(limit)
         .populate('categoryId', 'name')
         .lean();
 
-    return products;
+    const priceSummaries = await priceHistoryService.getPriceSummaries('product', products.map((product) => product._id), {
+        from: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+    });
+    return products.map((product) => ({
+        ...product,
+        priceStats: priceSummaries.get(product._id.toString()) || null,
+    }));
 };
 
 /**
@@ -430,8 +844,9 @@ const getBestSellingProducts = async (limit = 10) => {
  * @returns {Promise<Array>}
  */
 const getOutOfStockProducts = async (limit = 20) => {
-    const products = await Product.find({stock: 0, isVisible: true})
-        .select('name brand stock price images categoryId updatedAt')
+    // Bao gồm cả sản phẩm còn hàng nhưng có biến thể đã hết
+    const products = await Product.find({$or: [{stock: 0}, {'variants.stock': 0}], isVisible: true})
+        .select('name brand stock price images categoryId updatedAt variants.sku variants.options variants.stock')
         .populate('categoryId', 'name')
         .sort({updatedAt: -1})
         .limit(limit)
@@ -477,7 +892,13 @@ module.exports = {
     updateProductById,
     deleteProductById,
     searchProducts,
+    getProductFacets,
     updateProductStock,
+    getProductVariant,
+    getPurchaseInfo,
+    addProductVariant,
+    updateProductVariant,
+    deleteProductVariant,
     getProductsOnSale,
     toggleProductFeatured,
     createReview,
@@ -140,7 +140,7 @@ const indexDocument = async (file) => {
             })
         );
 
-        await Document.create({
+        const document = await Document.create({
             fileUrl: getFilePath(file),
             fileName: fileName,
             docIds: docIds,
@@ -149,6 +149,7 @@ const indexDocument = async (file) => {
 
         return {
             success: true,
+            documentId: document._id,
             fileName: fileName,
             documentCount: splitDocs.length,
             message: `Successfully indexed ${ splitDocs.length } document chunks from ${ fileName }`
@@ -1036,6 +1037,10 @@ const getDocuments = async () => {
     return Document.find({}).select("-docIds")
 };
 
+const getDocumentById = async (documentId) => {
+    return Document.findById(documentId).select("-docIds");
+};
+
 const deleteDocument = async (documentId) => {
     try {
         console.log(`Deleting document with ID: ${ documentId }`);
@@ -1062,5 +1067,6 @@ module.exports = {
     chat,
     clearChatHistory,
     getDocuments,
+    getDocumentById,
     deleteDocument,
 };
\ No newline at end of file
@@ -0,0 +1,198 @@
+const {status} = require('http-status');
+const Product = require('../models/product.model');
+const Order = require('../models/order.model');
+const ProductAssociation = require('../models/productAssociation.model');
+const ApiError = require('../utils/ApiError');
+
+// Số đơn xử lý mỗi lượt khi cập nhật thống kê mua kèm
+const ORDER_BATCH_SIZE = 500;
+// Số lần mua kèm tối thiểu để được coi là "thường mua cùng"
+const MIN_CO_PURCHASES = 2;
+// Số ứng viên lấy theo danh mục, thương hiệu, loại thú cưng trước khi chấm điểm
+const CANDIDATE_LIMIT = 100;
+
+// Trọng số khi chấm điểm sản phẩm liên quan, mua kèm được chuẩn hoá theo cặp mua kèm nhiều nhất
+const RELATED_WEIGHTS = {
+    coPurchase: 4,
+    category: 3,
+    brand: 2,
+    petType: 1,
+};
+
+const PRODUCT_SUMMARY_FIELDS = 'name images price salePrice onSale stock brand categoryId petTypes ratings soldCount';
+
+/**
+ * Get the next batch of delivered orders not counted in the co-purchase statistics
+ * @returns {Promise<Order[]>}
+ */
+const getUnrecordedOrders = () => Order.find({status: 'delivered', coPurchaseRecordedAt: null})
+    .select('items.productId createdAt')
+    .limit(ORDER_BATCH_SIZE)
+    .lean();
+
+/**
+ * Add delivered orders that are not counted yet to the co-purchase statistics
+ * Mỗi đơn chỉ được cộng một lần, đánh dấu bằng coPurchaseRecordedAt
+ * @returns {Promise<number>} - Number of orders recorded
+ */
+const updateCoPurchaseStats = async () => {
+    let recordedCount = 0;
+    let orders = await getUnrecordedOrders();
+    while (orders.length > 0) {
+        // Gộp số lần mua kèm của cả lượt trước khi ghi
+        const pairs = new Map();
+        orders.forEach((order) => {
+            const productIds = [...new Set(order.items.map((item) => item.productId.toString()))];
+            productIds.forEach((productId) => {
+                productIds.forEach((relatedProductId) => {
+                    if (productId === relatedProductId) {
+                        return;
+                    }
+                    const key = `${ productId }:${ relatedProductId }`;
+                    const pair = pairs.get(key) || {productId, relatedProductId, orderCount: 0, lastOrderedAt: order.createdAt};
+                    pair.orderCount++;
+                    if (order.createdAt > pair.lastOrderedAt) {
+                        pair.lastOrderedAt = order.createdAt;
+                    }
+                    pairs.set(key, pair);
+                });
+            });
+        });
+
+        if (pairs.size > 0) {
+            await ProductAssociation.bulkWrite([...pairs.values()].map((pair) => ({
+                updateOne: {
+                    filter: {productId: pair.productId, relatedProductId: pair.relatedProductId},
+                    update: {$inc: {orderCount: pair.orderCount}, $max: {lastOrderedAt: pair.lastOrderedAt}},
+                    upsert: true,
+                }
+            })));
+        }
+        await Order.updateMany(
+            {_id: {$in: orders.map((order) => order._id)}},
+            {coPurchaseRecordedAt: new Date()}
+        );
+        recordedCount += orders.length;
+        orders = await getUnrecordedOrders();
+    }
+    return recordedCount;
+};
+
+/**
+ * Remove the co-purchase statistics of a deleted product
+ * @param {ObjectId} productId
+ * @returns {Promise}
+ */
+const removeProductAssociations = async (productId) => {
+    await ProductAssociation.deleteMany({$or: [{productId}, {relatedProductId: productId}]});
+};
+
+/**
+ * Get a visible product or throw
+ * @param {ObjectId} productId
+ * @returns {Promise<Product>}
+ */
+const getVisibleProduct = async (productId) => {
+    const product = await Product.findOne({_id: productId, isVisible: true}).select(PRODUCT_SUMMARY_FIELDS).lean();
+    if (!product) {
+        throw new ApiError(status.NOT_FOUND, 'Product not found');
+    }
+    return product;
+};
+
+/**
+ * Get the products most often bought together with a product, in stock only
+ * @param {ObjectId} productId
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Promise<Object[]>}
+ */
+const getFrequentlyBoughtTogether = async (productId, {limit = 4} = {}) => {
+    await getVisibleProduct(productId);
+
+    const associations = await ProductAssociation.find({productId, orderCount: {$gte: MIN_CO_PURCHASES}})
+        .sort({orderCount: -1, lastOrderedAt: -1})
+        .limit(limit * 3)
+        .lean();
+    const products = await Product.find({
+        _id: {$in: associations.map((association) => association.relatedProductId)},
+        isVisible: true,
+        stock: {$gt: 0},
+    }).select(PRODUCT_SUMMARY_FIELDS).lean();
+    const productsById = new Map(products.map((product) => [product._id.toString(), product]));
+
+    return associations
+        .filter((association) => productsById.has(association.relatedProductId.toString()))
+        .slice(0, limit)
+        .map((association) => ({
+            ...productsById.get(association.relatedProductId.toString()),
+            coPurchaseCount: association.orderCount,
+        }));
+};
+
+/**
+ * Get products related to a product
+ * Điểm = mua kèm + cùng danh mục + cùng thương hiệu + tỉ lệ loại thú cưng trùng nhau
+ * @param {ObjectId} productId
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Promise<Object[]>}
+ */
+const getRelatedProducts = async (productId, {limit = 8} = {}) => {
+    const product = await getVisibleProduct(productId);
+
+    const similarityConditions = [
+        {categoryId: product.categoryId},
+        ...(product.brand ? [{brand: product.brand}] : []),
+        ...(product.petTypes.length > 0 ? [{petTypes: {$in: product.petTypes}}] : []),
+    ];
+    const [associations, similarProducts] = await Promise.all([
+        ProductAssociation.find({productId: product._id})
+            .sort({orderCount: -1})
+            .limit(CANDIDATE_LIMIT)
+            .lean(),
+        Product.find({_id: {$ne: product._id}, isVisible: true, $or: similarityConditions})
+            .sort({soldCount: -1})
+            .limit(CANDIDATE_LIMIT)
+            .select(PRODUCT_SUMMARY_FIELDS)
+            .lean(),
+    ]);
+
+    const coPurchasedIds = associations
+        .map((association) => association.relatedProductId)
+        .filter((id) => !similarProducts.some((similarProduct) => similarProduct._id.equals(id)));
+    const coPurchasedProducts = coPurchasedIds.length > 0
+        ? await Product.find({_id: {$in: coPurchasedIds}, isVisible: true}).select(PRODUCT_SUMMARY_FIELDS).lean()
+        : [];
+
+    const coPurchaseCounts = new Map(associations.map((association) => [
+        association.relatedProductId.toString(),
+        association.orderCount,
+    ]));
+    const maxCoPurchaseCount = associations.length > 0 ? associations[0].orderCount : 0;
+
+    return [...similarProducts, ...coPurchasedProducts]
+        .map((candidate) => {
+            const coPurchaseCount = coPurchaseCounts.get(candidate._id.toString()) || 0;
+            const sharedPetTypes = candidate.petTypes.filter((petType) => product.petTypes.includes(petType));
+            const score = (maxCoPurchaseCount > 0 ? RELATED_WEIGHTS.coPurchase * coPurchaseCount / maxCoPurchaseCount : 0)
+                + (candidate.categoryId.equals(product.categoryId) ? RELATED_WEIGHTS.category : 0)
+                + (product.brand && candidate.brand === product.brand ? RELATED_WEIGHTS.brand : 0)
+                + (product.petTypes.length > 0
+                    ? RELATED_WEIGHTS.petType * sharedPetTypes.length / product.petTypes.length
+                    : 0);
+            return {...candidate, coPurchaseCount, score: Math.round(score * 100) / 100};
+        })
+        .sort((a, b) => b.score - a.score
+            || (b.stock > 0) - (a.stock > 0)
+            || b.ratings.average - a.ratings.average
+            || b.soldCount - a.soldCount)
+        .slice(0, limit);
+};
+
+module.exports = {
+    updateCoPurchaseStats,
+    removeProductAssociations,
+    getFrequentlyBoughtTogether,
+    getRelatedProducts,
+};
@@ -0,0 +1,358 @@
+const {status} = require('http-status');
+const mongoose = require('mongoose');
+const Referral = require('../models/referral.model');
+const User = require('../models/user.model');
+const Order = require('../models/order.model');
+const ApiError = require('../utils/ApiError');
+const settingService = require('./setting.service');
+const loyaltyService = require('./loyalty.service');
+const couponService = require('./coupon.service');
+const {sendNotification} = require('./firebase.service');
+
+/**
+ * Get the referral program settings
+ * @returns {Promise<Object>}
+ */
+const getReferralSettings = async () => {
+    const {referral} = await settingService.getSettings();
+    return referral;
+};
+
+/**
+ * Find the referrer owning a referral code
+ * @param {string} referralCode
+ * @returns {Promise<User>}
+ */
+const getReferrerByCode = async (referralCode) => {
+    const referral = await getReferralSettings();
+    if (!referral.enabled) {
+        throw new ApiError(status.BAD_REQUEST, 'Referral program is disabled');
+    }
+
+    const referrer = await User.findOne({referralCode: referralCode.trim().toUpperCase()});
+    if (!referrer || referrer.isBanned || referrer.deletedAt) {
+        throw new ApiError(status.BAD_REQUEST, 'Invalid referral code');
+    }
+    return referrer;
+};
+
+/**
+ * Record that a new user was referred
+ * @param {ObjectId} referrerId
+ * @param {ObjectId} refereeId
+ * @returns {Promise<Referral>}
+ */
+const createReferral = async (referrerId, refereeId) => {
+    return Referral.create({referrerId, refereeId});
+};
+
+const normalizePhone = (phone) => (phone || '').replace(/\D/g, '');
+
+const normalizeText = (text) => (text || '').normalize('NFC').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Key identifying a delivery address, ward code when available
+ * @param {Object} address
+ * @returns {string}
+ */
+const getAddressKey = (address) => [
+    address.wardCode || normalizeText(address.ward),
+    normalizeText(address.streetAddress),
+].join('|');
+
+/**
+ * Collect the phone numbers and address keys a user is known by
+ * @param {User} user
+ * @param {Object[]} [extraAddresses]
+ * @returns {{phones: Set<string>, addresses: Set<string>}}
+ */
+const getContactFingerprint = (user, extraAddresses = []) => {
+    const addresses = [...(user.addresses || []), ...extraAddresses];
+    return {
+        phones: new Set([user.phone, ...addresses.map((address) => address.phone)].map(normalizePhone).filter(Boolean)),
+        addresses: new Set(addresses.map(getAddressKey)),
+    };
+};
+
+const intersects = (a, b) => [...a].some((value) => b.has(value));
+
+/**
+ * Check a referral for signs of self-referral
+ * Người giới thiệu và người được giới thiệu, hoặc các người được giới thiệu khác đã nhận thưởng,
+ * không được dùng chung số điện thoại hay địa chỉ giao hàng
+ * @param {Referral} referral
+ * @param {Order} order - First delivered order of the referee
+ * @returns {Promise<string[]>} - Rejection reasons, empty if none
+ */
+const detectFraud = async (referral, order) => {
+    const [referrer, referee, otherReferrals] = await Promise.all([
+        User.findById(referral.referrerId),
+        User.findById(referral.refereeId),
+        Referral.find({
+            referrerId: referral.referrerId,
+            status: {$in: ['rewarded', 'reversed']},
+            _id: {$ne: referral._id},
+        }).populate('refereeId', 'phone addresses'),
+    ]);
+
+    const refereeFingerprint = getContactFingerprint(referee, [order.shippingAddress]);
+    const referrerFingerprint = getContactFingerprint(referrer);
+    const otherFingerprints = otherReferrals
+        .filter((otherReferral) => otherReferral.refereeId)
+        .map((otherReferral) => getContactFingerprint(otherReferral.refereeId));
+
+    const reasons = [];
+    if (intersects(refereeFingerprint.phones, referrerFingerprint.phones)) {
+        reasons.push('Referee shares a phone number with the referrer');
+    }
+    if (intersects(refereeFingerprint.addresses, referrerFingerprint.addresses)) {
+        reasons.push('Referee shares an address with the referrer');
+    }
+    if (otherFingerprints.some((fingerprint) => intersects(refereeFingerprint.phones, fingerprint.phones))) {
+        reasons.push('Referee shares a phone number with another rewarded referee');
+    }
+    if (otherFingerprints.some((fingerprint) => intersects(refereeFingerprint.addresses, fingerprint.addresses))) {
+        reasons.push('Referee shares an address with another rewarded referee');
+    }
+    return reasons;
+};
+
+/**
+ * Issue the configured reward to one side of a referral
+ * @param {ObjectId} userId
+ * @param {Object} settings - Referral settings
+ * @param {string} side - referrer or referee
+ * @param {Referral} referral
+ * @returns {Promise<Object>} - Reward summary stored on the referral
+ */
+const issueReward = async (userId, settings, side, referral) => {
+    if (settings.rewardType === 'coupon') {
+        const coupon = await couponService.issueCoupon({
+            userId,
+            discountType: settings.couponDiscountType,
+            value: side === 'referrer' ? settings.referrerCouponValue : settings.refereeCouponValue,
+            minOrderAmount: settings.couponMinOrderAmount,
+            expiryDays: settings.couponExpiryDays,
+            source: 'referral',
+            sourceId: referral._id,
+        });
+        return {couponId: coupon._id, code: coupon.code, discountType: coupon.discountType, value: coupon.value};
+    }
+
+    const points = side === 'referrer' ? settings.referrerPoints : settings.refereePoints;
+    await loyaltyService.grantPoints(userId, points, {
+        sourceType: 'referral',
+        sourceId: referral._id,
+        note: side === 'referrer' ? 'Referral reward' : 'Welcome reward for referred customer',
+    });
+    return {points};
+};
+
+/**
+ * Reward both sides of a referral when the referee's first order is delivered
+ * Lỗi khi phát thưởng đưa giới thiệu về pending và được ném lại cho nơi gọi
+ * @param {Order} order
+ * @returns {Promise<Referral|null>}
+ */
+const processDeliveredOrder = async (order) => {
+    const customerId = order.customerId._id || order.customerId;
+    const pendingReferral = await Referral.findOne({refereeId: customerId, status: 'pending'});
+    if (!pendingReferral) {
+        return null;
+    }
+
+    const settings = await getReferralSettings();
+    if (!settings.enabled) {
+        return null;
+    }
+
+    // Giữ chỗ bằng cập nhật có điều kiện để phần thưởng chỉ được phát một lần
+    const referral = await Referral.findOneAndUpdate(
+        {_id: pendingReferral._id, status: 'pending'},
+        {status: 'processing', orderId: order._id, convertedAt: new Date()},
+        {new: true}
+    );
+    if (!referral) {
+        return null;
+    }
+
+    try {
+        const deliveredOrders = await Order.countDocuments({customerId, status: 'delivered', _id: {$ne: order._id}});
+        const reasons = deliveredOrders > 0
+            ? ['Referee already had a delivered order']
+            : await detectFraud(referral, order);
+        if (reasons.length > 0) {
+            referral.status = 'rejected';
+            referral.rejectionReasons = reasons;
+            await referral.save();
+            return referral;
+        }
+
+        referral.rewardType = settings.rewardType;
+        referral.referrerReward = await issueReward(referral.referrerId, settings, 'referrer', referral);
+        referral.refereeReward = await issueReward(referral.refereeId, settings, 'referee', referral);
+        referral.status = 'rewarded';
+        await referral.save();
+    } catch (error) {
+        // Trả về pending để lần sau phát lại, mã giảm giá đã phát bị vô hiệu,
+        // điểm đã cộng được giữ vì grantPoints không cộng lặp cho cùng nguồn
+        await couponService.voidCoupons('referral', referral._id);
+        await Referral.updateOne(
+            {_id: referral._id, status: 'processing'},
+            {status: 'pending', $unset: {orderId: 1, convertedAt: 1, rewardType: 1, referrerReward: 1, refereeReward: 1}}
+        );
+        throw error;
+    }
+
+    try {
+        await sendNotification({
+            userId: referral.referrerId.toString(),
+            title: 'Bạn nhận được thưởng giới thiệu',
+            body: 'Người bạn giới thiệu đã hoàn thành đơn hàng đầu tiên. Phần thưởng đã được gửi vào tài khoản của bạn.',
+            link: '/referrals'
+        });
+        await sendNotification({
+            userId: referral.refereeId.toString(),
+            title: 'Bạn nhận được quà chào mừng',
+            body: 'Cảm ơn bạn đã hoàn thành đơn hàng đầu tiên. Phần thưởng đã được gửi vào tài khoản của bạn.',
+            link: '/referrals'
+        });
+    } catch (error) {
+        console.error('Error sending referral notification:', error);
+    }
+
+    return referral;
+};
+
+/**
+ * Take back the rewards of a referral whose qualifying order was refunded
+ * Điểm thưởng bị thu hồi và mã giảm giá chưa dùng bị vô hiệu, gọi nhiều lần không thu hồi lặp
+ * @param {ObjectId} orderId - Refunded order
+ * @returns {Promise<Referral|null>}
+ */
+const reverseReferralRewards = async (orderId) => {
+    const referral = await Referral.findOneAndUpdate(
+        {orderId, status: 'rewarded'},
+        {status: 'reversed', reversedAt: new Date()},
+        {new: true}
+    );
+    if (!referral) {
+        return null;
+    }
+
+    if (referral.rewardType === 'coupon') {
+        await couponService.voidCoupons('referral', referral._id);
+    } else {
+        await loyaltyService.reversePoints('referral', referral._id);
+    }
+    return referral;
+};
+
+/**
+ * Get the referral code and referral counts of a user
+ * @param {User} user
+ * @returns {Promise<Object>}
+ */
+const getReferralSummary = async (user) => {
+    // Người dùng tạo trước khi có chương trình giới thiệu sẽ được cấp mã khi lưu
+    if (!user.referralCode) {
+        await user.save();
+    }
+
+    const counts = await Referral.aggregate([
+        {$match: {referrerId: user._id}},
+        {$group: {_id: '$status', count: {$sum: 1}}},
+    ]);
+    const byStatus = Object.fromEntries(counts.map(({_id, count}) => [_id, count]));
+
+    return {
+        referralCode: user.referralCode,
+        totalReferrals: counts.reduce((sum, {count}) => sum + count, 0),
+        pending: byStatus.pending || 0,
+        rewarded: byStatus.rewarded || 0,
+        rejected: byStatus.rejected || 0,
+        reversed: byStatus.reversed || 0,
+    };
+};
+
+/**
+ * Get the referral conversion report
+ * @param {Object} filter - Mongo filter on referrals
+ * @param {Object} options
+ * @param {number} [options.page]
+ * @param {number} [options.limit]
+ * @returns {Promise<Object>}
+ */
+const getReferralReport = async (filter, options = {}) => {
+    const page = options.page || 1;
+    const limit = options.limit || 20;
+    const skip = (page - 1) * limit;
+
+    // Aggregate không tự ép kiểu như find nên cần chuyển id sang ObjectId
+    const matchStage = {
+        ...filter,
+        ...(filter.referrerId && {referrerId: new mongoose.Types.ObjectId(filter.referrerId)}),
+    };
+
+    const [statusCounts, topReferrers, referrals, totalResults] = await Promise.all([
+        Referral.aggregate([
+            {$match: matchStage},
+            {$group: {_id: '$status', count: {$sum: 1}}},
+        ]),
+        Referral.aggregate([
+            {$match: {...matchStage, status: 'rewarded'}},
+            {$group: {_id: '$referrerId', conversions: {$sum: 1}}},
+            {$sort: {conversions: -1}},
+            {$limit: 10},
+            {
+                $lookup: {
+                    from: 'users',
+                    localField: '_id',
+                    foreignField: '_id',
+                    pipeline: [{$project: {fullname: 1, email: 1}}],
+                    as: 'referrer'
+                }
+            },
+            {$unwind: '$referrer'},
+            {$project: {_id: 0, referrerId: '$_id', fullname: '$referrer.fullname', email: '$referrer.email', conversions: 1}},
+        ]),
+        Referral.find(filter)
+            .sort({createdAt: -1})
+            .skip(skip)
+            .limit(limit)
+            .populate('referrerId', 'fullname email')
+            .populate('refereeId', 'fullname email')
+            .populate('orderId', 'orderNumber totalAmount'),
+        Referral.countDocuments(filter),
+    ]);
+
+    const byStatus = Object.fromEntries(statusCounts.map(({_id, count}) => [_id, count]));
+    const total = statusCounts.reduce((sum, {count}) => sum + count, 0);
+    const rewarded = byStatus.rewarded || 0;
+
+    return {
+        summary: {
+            totalReferrals: total,
+            pending: byStatus.pending || 0,
+            rewarded,
+            rejected: byStatus.rejected || 0,
+            reversed: byStatus.reversed || 0,
+            conversionRate: total > 0 ? Math.round((rewarded / total) * 10000) / 100 : 0,
+        },
+        topReferrers,
+        results: referrals,
+        page,
+        limit,
+        totalPages: Math.ceil(totalResults / limit),
+        totalResults
+    };
+};
+
+module.exports = {
+    getReferrerByCode,
+    createReferral,
+    processDeliveredOrder,
+    reverseReferralRewards,
+    getReferralSummary,
+    getReferralReport,
+};
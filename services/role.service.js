@@ -0,0 +1,97 @@
+const {status} = require('http-status');
+const Role = require('../models/role.model');
+const ApiError = require('../utils/ApiError');
+const {roles, permissions, defaultRolePermissions} = require('../configs/roles');
+
+// Quyền của vai trò được đọc ở mỗi request có phân quyền nên được giữ trong bộ nhớ,
+// hết hạn sau một phút để thay đổi từ instance khác cũng được áp dụng
+const ROLE_CACHE_TTL_MS = 60 * 1000;
+const roleCache = new Map();
+
+/**
+ * Create missing roles with the default permissions and give admin every permission
+ * Chạy một lần khi khởi động server, admin nhận cả các quyền được bổ sung sau này
+ * @returns {Promise}
+ */
+const syncRoles = async () => {
+    await Role.bulkWrite(roles.map((name) => ({
+        updateOne: {
+            filter: {name},
+            update: name === 'admin'
+                ? {$set: {permissions: defaultRolePermissions.admin}}
+                : {$setOnInsert: {permissions: defaultRolePermissions[name]}},
+            upsert: true,
+        }
+    })));
+    roleCache.clear();
+};
+
+/**
+ * Get a role
+ * @param {string} name
+ * @returns {Promise<Object>}
+ */
+const getRoleByName = async (name) => {
+    if (!roles.includes(name)) {
+        throw new ApiError(status.NOT_FOUND, 'Role not found');
+    }
+
+    const cached = roleCache.get(name);
+    if (cached && cached.expires > Date.now()) {
+        return cached.role;
+    }
+
+    const role = await Role.findOne({name}).lean();
+    if (!role) {
+        throw new ApiError(status.NOT_FOUND, 'Role not found');
+    }
+    roleCache.set(name, {role, expires: Date.now() + ROLE_CACHE_TTL_MS});
+    return role;
+};
+
+/**
+ * Get all roles with their permissions
+ * @returns {Promise<Object>}
+ */
+const getRoles = async () => {
+    const results = await Promise.all(roles.map(getRoleByName));
+    return {roles: results, permissions};
+};
+
+/**
+ * Check whether a role has all the given permissions
+ * @param {string} name
+ * @param {string[]} requiredPermissions
+ * @returns {Promise<boolean>}
+ */
+const hasPermissions = async (name, requiredPermissions) => {
+    const role = await getRoleByName(name);
+    return requiredPermissions.every((permission) => role.permissions.includes(permission));
+};
+
+/**
+ * Replace the permissions of a role
+ * @param {string} name
+ * @param {string[]} rolePermissions
+ * @returns {Promise<Role>}
+ */
+const updateRolePermissions = async (name, rolePermissions) => {
+    if (name === 'admin') {
+        throw new ApiError(status.BAD_REQUEST, 'Admin role always has all permissions');
+    }
+
+    const role = await Role.findOneAndUpdate({name}, {permissions: rolePermissions}, {new: true, runValidators: true});
+    if (!role) {
+        throw new ApiError(status.NOT_FOUND, 'Role not found');
+    }
+    roleCache.delete(name);
+    return role;
+};
+
+module.exports = {
+    syncRoles,
+    getRoleByName,
+    getRoles,
+    hasPermissions,
+    updateRolePermissions,
+};
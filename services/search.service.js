@@ -0,0 +1,181 @@
+const SearchIndex = require('../models/searchIndex.model');
+const Product = require('../models/product.model');
+const Service = require('../models/service.model');
+const Category = require('../models/category.model');
+const {foldText, getNgrams, getEditDistance} = require('../utils/textSearch');
+
+const itemModels = {
+    product: Product,
+    service: Service,
+    category: Category,
+};
+
+// Số ứng viên lấy từ chỉ mục trước khi chấm điểm
+const CANDIDATE_LIMIT = 100;
+
+/**
+ * Get the indexed text of an item, product brands are searchable too
+ * @param {Object} item
+ * @returns {string}
+ */
+const getIndexText = (item) => foldText([item.name, item.brand].filter(Boolean).join(' '));
+
+/**
+ * Add or refresh an item in the search index
+ * @param {string} itemType - product, service or category
+ * @param {Product|Service|Category} item
+ * @returns {Promise}
+ */
+const indexItem = async (itemType, item) => {
+    const text = getIndexText(item);
+    await SearchIndex.updateOne(
+        {itemType, itemId: item._id},
+        {name: item.name, text, ngrams: getNgrams(text)},
+        {upsert: true}
+    );
+};
+
+/**
+ * Remove an item from the search index
+ * @param {string} itemType - product, service or category
+ * @param {ObjectId} itemId
+ * @returns {Promise}
+ */
+const removeItem = async (itemType, itemId) => {
+    await SearchIndex.deleteOne({itemType, itemId});
+};
+
+/**
+ * Rebuild the whole search index from products, services and categories
+ * Chạy định kỳ để sửa các thay đổi không đi qua indexItem
+ * @returns {Promise<number>} - Number of indexed items
+ */
+const rebuildSearchIndex = async () => {
+    let indexedCount = 0;
+    for (const [itemType, Model] of Object.entries(itemModels)) {
+        const items = await Model.find().select('name brand').lean();
+        if (items.length > 0) {
+            await SearchIndex.bulkWrite(items.map((item) => {
+                const text = getIndexText(item);
+                return {
+                    updateOne: {
+                        filter: {itemType, itemId: item._id},
+                        update: {name: item.name, text, ngrams: getNgrams(text)},
+                        upsert: true,
+                    }
+                };
+            }));
+        }
+        await SearchIndex.deleteMany({itemType, itemId: {$nin: items.map((item) => item._id)}});
+        indexedCount += items.length;
+    }
+    return indexedCount;
+};
+
+/**
+ * Score how well a query word matches the words of an indexed text
+ * Khớp nguyên từ > khớp tiền tố > sai chính tả nhỏ (1 ký tự với từ từ 4 ký tự, 2 ký tự với từ từ 7 ký tự)
+ * @param {string} queryWord
+ * @param {string[]} words
+ * @param {boolean} isPrefix - Query word may be incomplete
+ * @returns {number} - 0 when nothing matches
+ */
+const scoreWord = (queryWord, words, isPrefix) => {
+    const maxEdits = queryWord.length >= 7 ? 2 : queryWord.length >= 4 ? 1 : 0;
+    return words.reduce((best, word) => {
+        if (word === queryWord) {
+            return Math.max(best, 1);
+        }
+        if (isPrefix && word.startsWith(queryWord)) {
+            return Math.max(best, 0.9);
+        }
+        if (maxEdits === 0) {
+            return best;
+        }
+        const distance = Math.min(
+            getEditDistance(queryWord, word, maxEdits),
+            isPrefix ? getEditDistance(queryWord, word.slice(0, queryWord.length), maxEdits) : maxEdits + 1
+        );
+        return distance <= maxEdits ? Math.max(best, 0.8 - 0.1 * distance) : best;
+    }, 0);
+};
+
+/**
+ * Suggest products, services and categories for a partially typed query
+ * Ứng viên được lấy theo số n-gram trùng, sau đó chấm điểm theo từng từ; mọi từ của truy vấn đều phải khớp
+ * @param {string} query
+ * @param {Object} options
+ * @param {number} [options.limit]
+ * @param {string[]} [options.types] - Item types to include
+ * @returns {Promise<Object[]>}
+ */
+const suggest = async (query, {limit = 10, types = Object.keys(itemModels)} = {}) => {
+    const folded = foldText(query);
+    if (!folded) {
+        return [];
+    }
+
+    // Chỉ mục được tạo lần đầu khi chưa có dữ liệu
+    if (!(await SearchIndex.exists({}))) {
+        await rebuildSearchIndex();
+    }
+
+    const queryNgrams = getNgrams(folded, {prefix: true});
+    const candidates = await SearchIndex.aggregate([
+        {$match: {ngrams: {$in: queryNgrams}, itemType: {$in: types}}},
+        {$addFields: {matchedNgrams: {$size: {$setIntersection: ['$ngrams', queryNgrams]}}}},
+        {$sort: {matchedNgrams: -1}},
+        {$limit: CANDIDATE_LIMIT},
+        {$project: {itemType: 1, itemId: 1, name: 1, text: 1}},
+    ]);
+
+    const queryWords = folded.split(' ');
+    const scored = candidates
+        .map((candidate) => {
+            const words = candidate.text.split(' ');
+            const wordScores = queryWords.map((queryWord, index) => scoreWord(queryWord, words, index === queryWords.length - 1));
+            if (wordScores.some((score) => score === 0)) {
+                return null;
+            }
+            const score = wordScores.reduce((sum, wordScore) => sum + wordScore, 0) / wordScores.length
+                + (candidate.text.startsWith(folded) ? 0.2 : 0);
+            return {...candidate, score};
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score || a.name.length - b.name.length);
+
+    // Ẩn các mục không hiển thị, chỉ lấy chi tiết cho số mục cần trả về
+    const idsByType = (itemType) => scored.filter((item) => item.itemType === itemType).map((item) => item.itemId);
+    const [products, services, categories] = await Promise.all([
+        Product.find({_id: {$in: idsByType('product')}, isVisible: true}).select('images price salePrice onSale stock').lean(),
+        Service.find({_id: {$in: idsByType('service')}, isVisible: true}).select('images price salePrice onSale').lean(),
+        Category.find({_id: {$in: idsByType('category')}, isVisible: true}).select('image').lean(),
+    ]);
+    const detailsById = new Map([...products, ...services, ...categories].map((item) => [item._id.toString(), item]));
+
+    return scored
+        .filter((item) => detailsById.has(item.itemId.toString()))
+        .slice(0, limit)
+        .map(({itemType, itemId, name, score}) => {
+            const details = detailsById.get(itemId.toString());
+            return {
+                itemType,
+                itemId,
+                name,
+                image: itemType === 'category'
+                    ? details.image || null
+                    : (details.images && details.images.length > 0 ? details.images[0] : null),
+                ...(itemType !== 'category' && {
+                    price: details.onSale && details.salePrice ? details.salePrice : details.price,
+                }),
+                score: Math.round(score * 100) / 100,
+            };
+        });
+};
+
+module.exports = {
+    indexItem,
+    removeItem,
+    rebuildSearchIndex,
+    suggest,
+};
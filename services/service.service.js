@@ -4,14 +4,21 @@ const ApiError = require('../utils/ApiError');
 const Review = require('../models/review.model');
 const User = require('../models/user.model');
 const Booking = require('../models/booking.model');
+const wishlistService = require('./wishlist.service');
+const searchService = require('./search.service');
+const priceHistoryService = require('./priceHistory.service');
 
 /**
  * Create a service
  * @param {Object} serviceBody
+ * @param {User} [actor]
  * @returns {Promise<Service>}
  */
-const createService = async (serviceBody) => {
-    return Service.create(serviceBody);
+const createService = async (serviceBody, actor) => {
+    const service = await Service.create(serviceBody);
+    await priceHistoryService.recordPriceChange('service', service, {actor});
+    await searchService.indexItem('service', service);
+    return service;
 };
 
 /**
@@ -130,16 +137,21 @@ const getServicesByCategory = async (categoryId, options = {}) => {
  * Update service by id
  * @param {ObjectId} serviceId
  * @param {Object} updateBody
+ * @param {User} [actor]
  * @returns {Promise<Service>}
  */
-const updateServiceById = async (serviceId, updateBody) => {
+const updateServiceById = async (serviceId, updateBody, actor) => {
     const service = await getServiceById(serviceId);
     if (!service) {
         throw new ApiError(status.NOT_FOUND, 'Service not found');
     }
 
+    const previous = {onSale: service.onSale, salePrice: service.salePrice};
     Object.assign(service, updateBody);
     await service.save();
+    await priceHistoryService.recordPriceChange('service', service, {actor});
+    await searchService.indexItem('service', service);
+    await wishlistService.notifyWishlistItemChange('service', previous, service);
     return service;
 };
 
@@ -155,6 +167,7 @@ const deleteServiceById = async (serviceId) => {
     }
 
     await service.deleteOne();
+    await searchService.removeItem('service', service._id);
     return service;
 };
 
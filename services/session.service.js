@@ -0,0 +1,59 @@
+const {status} = require('http-status');
+const Session = require('../models/session.model');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Get active sessions of a user, most recently used first
+ * @param {ObjectId} userId
+ * @returns {Promise<Session[]>}
+ */
+const getSessionsByUserId = async (userId) => {
+    return Session.find({userId, expires: {$gt: new Date()}})
+        .select('-refreshTokenHash')
+        .sort({lastUsedAt: -1});
+};
+
+/**
+ * Check whether a session is still active for the user
+ * @param {ObjectId} sessionId
+ * @param {ObjectId} userId
+ * @returns {Promise<boolean>}
+ */
+const isSessionActive = async (sessionId, userId) => {
+    if (!sessionId) {
+        return false;
+    }
+    const session = await Session.exists({_id: sessionId, userId, expires: {$gt: new Date()}});
+    return !!session;
+};
+
+/**
+ * Revoke a single session of a user
+ * @param {ObjectId} userId
+ * @param {ObjectId} sessionId
+ * @returns {Promise<Session>}
+ */
+const revokeSession = async (userId, sessionId) => {
+    const session = await Session.findOneAndDelete({_id: sessionId, userId});
+    if (!session) {
+        throw new ApiError(status.NOT_FOUND, 'Session not found');
+    }
+    return session;
+};
+
+/**
+ * Revoke all sessions of a user
+ * @param {ObjectId} userId
+ * @returns {Promise<number>} - Number of revoked sessions
+ */
+const revokeAllSessions = async (userId) => {
+    const result = await Session.deleteMany({userId});
+    return result.deletedCount;
+};
+
+module.exports = {
+    getSessionsByUserId,
+    isSessionActive,
+    revokeSession,
+    revokeAllSessions,
+};
@@ -0,0 +1,35 @@
+const Setting = require('../models/setting.model');
+
+/**
+ * Get system settings, creating them with default values on first access
+ * @returns {Promise<Setting>}
+ */
+const getSettings = async () => {
+    return Setting.findOneAndUpdate(
+        {key: 'global'},
+        {$setOnInsert: {key: 'global'}},
+        {new: true, upsert: true, setDefaultsOnInsert: true}
+    );
+};
+
+/**
+ * Update system settings
+ * Các nhóm cấu hình được gộp với giá trị hiện tại, chỉ ghi đè các trường được gửi lên
+ * @param {Object} updateBody
+ * @returns {Promise<Setting>}
+ */
+const updateSettings = async (updateBody) => {
+    const settings = await getSettings();
+
+    Object.keys(updateBody).forEach((group) => {
+        settings.set(group, updateBody[group], {merge: true});
+    });
+
+    await settings.save();
+    return settings;
+};
+
+module.exports = {
+    getSettings,
+    updateSettings,
+};
@@ -0,0 +1,193 @@
+const {status} = require('http-status');
+const StockSubscription = require('../models/stockSubscription.model');
+const Product = require('../models/product.model');
+const ApiError = require('../utils/ApiError');
+const settingService = require('./setting.service');
+const {sendNotification} = require('./firebase.service');
+
+/**
+ * Get the restock subscription settings
+ * @returns {Promise<Object>}
+ */
+const getInventorySettings = async () => {
+    const {inventory} = await settingService.getSettings();
+    return inventory;
+};
+
+/**
+ * Get the part of a product that holds the stock: its variant, or the product itself
+ * @param {Product} product
+ * @param {ObjectId} [variantId]
+ * @returns {Object|null}
+ */
+const getStockHolder = (product, variantId) => (variantId ? product.variants.id(variantId) : product);
+
+/**
+ * Subscribe a user to the restock alert of an out-of-stock product or variant
+ * Đăng ký lại khi đang chờ chỉ cập nhật số lượng và gia hạn, giữ nguyên thứ tự trong hàng đợi
+ * @param {ObjectId} userId
+ * @param {ObjectId} productId
+ * @param {Object} [options]
+ * @param {ObjectId} [options.variantId] - Required for products with variants
+ * @param {number} [options.quantity]
+ * @returns {Promise<StockSubscription>}
+ */
+const subscribe = async (userId, productId, {variantId, quantity = 1} = {}) => {
+    const product = await Product.findById(productId);
+    if (!product || !product.isVisible) {
+        throw new ApiError(status.NOT_FOUND, 'Product not found');
+    }
+    if (product.variants.length > 0 && !variantId) {
+        throw new ApiError(status.BAD_REQUEST, `Please select a variant of ${ product.name }`);
+    }
+    if (product.variants.length === 0 && variantId) {
+        throw new ApiError(status.BAD_REQUEST, `Product ${ product.name } has no variants`);
+    }
+    const stockHolder = getStockHolder(product, variantId);
+    if (!stockHolder) {
+        throw new ApiError(status.NOT_FOUND, 'Product variant not found');
+    }
+    if (stockHolder.stock > 0) {
+        throw new ApiError(status.BAD_REQUEST, 'Product is in stock');
+    }
+
+    const {restockSubscriptionDays} = await getInventorySettings();
+    return StockSubscription.findOneAndUpdate(
+        {userId, productId: product._id, variantId: variantId || null, status: 'waiting'},
+        {quantity, expiresAt: new Date(Date.now() + restockSubscriptionDays * 24 * 60 * 60 * 1000)},
+        {new: true, upsert: true, setDefaultsOnInsert: true}
+    );
+};
+
+/**
+ * Get the waiting and notified restock subscriptions of a user
+ * @param {ObjectId} userId
+ * @returns {Promise<StockSubscription[]>}
+ */
+const getUserSubscriptions = async (userId) => {
+    return StockSubscription.find({userId, status: {$in: ['waiting', 'notified']}})
+        .sort({createdAt: -1})
+        .populate('productId', 'name images price salePrice onSale stock variants._id variants.options variants.stock');
+};
+
+/**
+ * Cancel a waiting restock subscription of a user
+ * @param {ObjectId} userId
+ * @param {ObjectId} subscriptionId
+ * @returns {Promise<StockSubscription>}
+ */
+const cancelSubscription = async (userId, subscriptionId) => {
+    const subscription = await StockSubscription.findOneAndUpdate(
+        {_id: subscriptionId, userId, status: 'waiting'},
+        {status: 'cancelled'},
+        {new: true}
+    );
+    if (!subscription) {
+        throw new ApiError(status.NOT_FOUND, 'Subscription not found');
+    }
+    return subscription;
+};
+
+/**
+ * Notify the next subscribers waiting for a product or variant, oldest first
+ * Mỗi đợt chỉ gồm số người có tổng số lượng muốn mua vừa với tồn kho hiện có, luôn có ít nhất một người
+ * @param {ObjectId} productId
+ * @param {ObjectId} [variantId]
+ * @returns {Promise<number>} - Number of notified subscribers
+ */
+const notifyNextBatch = async (productId, variantId = null) => {
+    if (!(await StockSubscription.exists({productId, variantId, status: 'waiting'}))) {
+        return 0;
+    }
+
+    const product = await Product.findById(productId);
+    const stockHolder = product && product.isVisible ? getStockHolder(product, variantId) : null;
+    if (!stockHolder || stockHolder.stock <= 0) {
+        return 0;
+    }
+
+    const now = new Date();
+    const waiting = await StockSubscription.find({productId, variantId, status: 'waiting', expiresAt: {$gt: now}})
+        .sort({createdAt: 1, _id: 1})
+        .limit(stockHolder.stock)
+        .select('userId quantity');
+
+    const batch = [];
+    let requestedQuantity = 0;
+    for (const subscription of waiting) {
+        if (batch.length > 0 && requestedQuantity + subscription.quantity > stockHolder.stock) {
+            break;
+        }
+        batch.push(subscription);
+        requestedQuantity += subscription.quantity;
+    }
+
+    // Đánh dấu từng đăng ký trước khi gửi để hai lần chạy đồng thời không báo trùng
+    const claimed = [];
+    for (const subscription of batch) {
+        const claimedSubscription = await StockSubscription.findOneAndUpdate(
+            {_id: subscription._id, status: 'waiting'},
+            {status: 'notified', notifiedAt: now}
+        );
+        if (claimedSubscription) {
+            claimed.push(claimedSubscription);
+        }
+    }
+
+    const itemName = variantId ? `${ product.name } (${ Product.getVariantName(stockHolder) })` : product.name;
+    const results = await Promise.allSettled(claimed.map((subscription) => sendNotification({
+        userId: subscription.userId.toString(),
+        title: 'Sản phẩm đã có hàng trở lại',
+        body: `${ itemName } đã có hàng trở lại. Số lượng có hạn, đặt hàng ngay!`,
+        link: `/products/${ productId }`
+    })));
+    results
+        .filter((result) => result.status === 'rejected')
+        .forEach((result) => console.error('Error sending restock notification:', result.reason));
+
+    return claimed.length;
+};
+
+/**
+ * Expire old subscriptions and notify the next batch of every product still in stock
+ * Một đợt mới chỉ được gửi khi đợt trước đã qua khoảng cách cài đặt mà hàng vẫn còn,
+ * cũng là cách combo được báo khi tồn kho tính từ thành phần có lại
+ * @returns {Promise<Object>} - Number of expired and notified subscriptions
+ */
+const processRestockSubscriptions = async () => {
+    const {restockBatchIntervalHours} = await getInventorySettings();
+    const now = new Date();
+
+    const {modifiedCount: expired} = await StockSubscription.updateMany(
+        {status: 'waiting', expiresAt: {$lte: now}},
+        {status: 'expired'}
+    );
+
+    const queues = await StockSubscription.aggregate([
+        {$match: {status: 'waiting'}},
+        {$group: {_id: {productId: '$productId', variantId: '$variantId'}}},
+    ]);
+    const batchCutoff = new Date(now.getTime() - restockBatchIntervalHours * 60 * 60 * 1000);
+
+    let notified = 0;
+    for (const {_id: {productId, variantId}} of queues) {
+        const hasRecentBatch = await StockSubscription.exists({
+            productId,
+            variantId,
+            status: 'notified',
+            notifiedAt: {$gt: batchCutoff},
+        });
+        if (!hasRecentBatch) {
+            notified += await notifyNextBatch(productId, variantId);
+        }
+    }
+    return {expired, notified};
+};
+
+module.exports = {
+    subscribe,
+    getUserSubscriptions,
+    cancelSubscription,
+    notifyNextBatch,
+    processRestockSubscriptions,
+};
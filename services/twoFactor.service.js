@@ -0,0 +1,222 @@
+const {status} = require('http-status');
+const crypto = require('crypto');
+const {generateSecret, generateURI, verifySync} = require('otplib');
+const User = require('../models/user.model');
+const ApiError = require('../utils/ApiError');
+const config = require('../configs/config');
+const settingService = require('./setting.service');
+const userService = require('./user.service');
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Hash a recovery code before it is persisted
+ * @param {string} code
+ * @returns {string}
+ */
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(code.trim().toLowerCase()).digest('hex');
+
+/**
+ * Generate a new set of recovery codes
+ * @returns {{codes: string[], hashes: string[]}}
+ */
+const generateRecoveryCodes = () => {
+    const codes = Array.from({length: RECOVERY_CODE_COUNT}, () => crypto.randomBytes(5).toString('hex'));
+    return {codes, hashes: codes.map(hashRecoveryCode)};
+};
+
+/**
+ * Get user with the two-factor secrets selected
+ * @param {ObjectId} userId
+ * @returns {Promise<User>}
+ */
+const getUserWithTwoFactorSecrets = async (userId) => {
+    const user = await User.findById(userId)
+        .select('+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedTimeStep');
+    if (!user) {
+        throw new ApiError(status.NOT_FOUND, 'User not found');
+    }
+    return user;
+};
+
+/**
+ * Check a TOTP code against a secret
+ * Cho phép lệch một bước thời gian, từ chối mã đã dùng (timeStep <= afterTimeStep)
+ * @param {string} secret
+ * @param {string} code
+ * @param {number} [afterTimeStep]
+ * @returns {number|null} - Time step of the accepted code, null if invalid
+ */
+const verifyTotpCode = (secret, code, afterTimeStep) => {
+    try {
+        const result = verifySync({
+            secret,
+            token: code,
+            epochTolerance: 30,
+            ...(afterTimeStep !== undefined && {afterTimeStep}),
+        });
+        return result.valid ? result.timeStep : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Check whether the two-factor policy makes 2FA mandatory for a role
+ * @param {string} role
+ * @returns {Promise<boolean>}
+ */
+const isTwoFactorRequired = async (role) => {
+    const {twoFactor} = await settingService.getSettings();
+    return twoFactor.requiredRoles.includes(role);
+};
+
+/**
+ * Start enrollment: create a pending secret and its provisioning URI
+ * @param {ObjectId} userId
+ * @returns {Promise<Object>}
+ */
+const setupTwoFactor = async (userId) => {
+    const user = await getUserWithTwoFactorSecrets(userId);
+    if (user.twoFactor.enabled) {
+        throw new ApiError(status.BAD_REQUEST, 'Two-factor authentication is already enabled');
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    return {
+        secret,
+        otpauthUrl: generateURI({issuer: config.totp.issuer, label: user.email, secret}),
+    };
+};
+
+/**
+ * Finish enrollment by confirming a code from the authenticator app
+ * @param {ObjectId} userId
+ * @param {string} code
+ * @returns {Promise<Object>} - Recovery codes, shown only once
+ */
+const enableTwoFactor = async (userId, code) => {
+    const user = await getUserWithTwoFactorSecrets(userId);
+    if (user.twoFactor.enabled) {
+        throw new ApiError(status.BAD_REQUEST, 'Two-factor authentication is already enabled');
+    }
+    if (!user.twoFactor.pendingSecret) {
+        throw new ApiError(status.BAD_REQUEST, 'Two-factor setup has not been started');
+    }
+
+    const timeStep = verifyTotpCode(user.twoFactor.pendingSecret, code);
+    if (timeStep === null) {
+        throw new ApiError(status.BAD_REQUEST, 'Invalid two-factor code');
+    }
+
+    const {codes, hashes} = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedTimeStep = timeStep;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    return {recoveryCodes: codes};
+};
+
+/**
+ * Verify a TOTP code or consume a recovery code for a user with 2FA enabled
+ * @param {ObjectId} userId
+ * @param {Object} credentials
+ * @param {string} [credentials.code]
+ * @param {string} [credentials.recoveryCode]
+ * @returns {Promise<boolean>}
+ */
+const verifyTwoFactor = async (userId, {code, recoveryCode}) => {
+    const user = await getUserWithTwoFactorSecrets(userId);
+    if (!user.twoFactor.enabled) {
+        return false;
+    }
+
+    if (code) {
+        const timeStep = verifyTotpCode(user.twoFactor.secret, code, user.twoFactor.lastUsedTimeStep);
+        if (timeStep === null) {
+            return false;
+        }
+        user.twoFactor.lastUsedTimeStep = timeStep;
+        await user.save();
+        return true;
+    }
+
+    if (recoveryCode) {
+        const recoveryCodeHash = hashRecoveryCode(recoveryCode);
+        // Xoá mã khôi phục một cách nguyên tử để không thể dùng lại
+        const result = await User.updateOne(
+            {_id: user._id, 'twoFactor.recoveryCodes': recoveryCodeHash},
+            {$pull: {'twoFactor.recoveryCodes': recoveryCodeHash}}
+        );
+        return result.modifiedCount === 1;
+    }
+
+    return false;
+};
+
+/**
+ * Disable 2FA, unless the policy makes it mandatory for the user's role
+ * @param {User} user
+ * @param {Object} credentials
+ * @param {string} credentials.password
+ * @param {string} [credentials.code]
+ * @param {string} [credentials.recoveryCode]
+ * @returns {Promise}
+ */
+const disableTwoFactor = async (user, {password, code, recoveryCode}) => {
+    if (await isTwoFactorRequired(user.role)) {
+        throw new ApiError(status.FORBIDDEN, 'Two-factor authentication is mandatory for your role');
+    }
+    if (!(await userService.isPasswordMatch(user, password))) {
+        throw new ApiError(status.UNAUTHORIZED, 'Incorrect password');
+    }
+    if (!(await verifyTwoFactor(user._id, {code, recoveryCode}))) {
+        throw new ApiError(status.BAD_REQUEST, 'Invalid two-factor code');
+    }
+
+    await User.updateOne(
+        {_id: user._id},
+        {
+            $set: {'twoFactor.enabled': false},
+            $unset: {
+                'twoFactor.secret': '',
+                'twoFactor.pendingSecret': '',
+                'twoFactor.recoveryCodes': '',
+                'twoFactor.lastUsedTimeStep': '',
+                'twoFactor.enabledAt': '',
+            },
+        }
+    );
+};
+
+/**
+ * Replace the recovery codes after confirming a TOTP code
+ * @param {ObjectId} userId
+ * @param {string} code
+ * @returns {Promise<Object>} - New recovery codes, shown only once
+ */
+const regenerateRecoveryCodes = async (userId, code) => {
+    if (!(await verifyTwoFactor(userId, {code}))) {
+        throw new ApiError(status.BAD_REQUEST, 'Invalid two-factor code');
+    }
+
+    const {codes, hashes} = generateRecoveryCodes();
+    await User.updateOne({_id: userId}, {'twoFactor.recoveryCodes': hashes});
+    return {recoveryCodes: codes};
+};
+
+module.exports = {
+    isTwoFactorRequired,
+    setupTwoFactor,
+    enableTwoFactor,
+    verifyTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+};
@@ -1,7 +1,10 @@
 const {status} = require('http-status');
+const mongoose = require('mongoose');
 const User = require('../models/user.model');
+const Order = require('../models/order.model');
 const ApiError = require('../utils/ApiError');
 const bcrypt = require('bcrypt');
+const locationService = require('./location.service');
 
 /**
  * Create a user
@@ -56,6 +59,210 @@ const getUsers = async (filter, options) => {
     };
 };
 
+// Đơn hàng được tính vào số đơn và tổng chi tiêu: bỏ qua đơn chưa thanh toán xong (checkout) và đơn đã huỷ
+const COUNTED_ORDER_STATUSES = ['pending', 'shipping', 'delivered'];
+
+// Các trường sắp xếp có sẵn trên user, không cần thống kê đơn hàng để phân trang
+const USER_SORT_FIELDS = ['createdAt', 'fullname', 'email'];
+
+// Tính số đơn, tổng chi tiêu và lần mua gần nhất của từng user, bỏ các trường bí mật
+const orderStatsStages = [
+    {
+        $lookup: {
+            from: Order.collection.name,
+            let: {userId: '$_id'},
+            pipeline: [
+                {$match: {$expr: {$eq: ['$customerId', '$$userId']}, status: {$in: COUNTED_ORDER_STATUSES}}},
+                {
+                    $group: {
+                        _id: null,
+                        orderCount: {$sum: 1},
+                        totalSpent: {$sum: '$totalAmount'},
+                        lastOrderAt: {$max: '$createdAt'},
+                    },
+                },
+            ],
+            as: 'orderStats',
+        },
+    },
+    {
+        $addFields: {
+            orderCount: {$ifNull: [{$first: '$orderStats.orderCount'}, 0]},
+            totalSpent: {$ifNull: [{$first: '$orderStats.totalSpent'}, 0]},
+            lastOrderAt: {$first: '$orderStats.lastOrderAt'},
+        },
+    },
+    {
+        $project: {
+            orderStats: 0,
+            passwordHash: 0,
+            twoFactor: 0,
+            addresses: 0,
+            failedLoginAttempts: 0,
+            lockCount: 0,
+            __v: 0,
+        },
+    },
+];
+
+/**
+ * Build the filter on the order statistics of the user directory
+ * @param {Object} statsFilter
+ * @param {number} [statsFilter.minOrders]
+ * @param {number} [statsFilter.maxOrders]
+ * @param {number} [statsFilter.minSpent]
+ * @param {number} [statsFilter.maxSpent]
+ * @returns {Object|null} - Null when no statistics filter is given
+ */
+const buildStatsMatch = ({minOrders, maxOrders, minSpent, maxSpent}) => {
+    const statsMatch = {};
+    if (minOrders !== undefined || maxOrders !== undefined) {
+        statsMatch.orderCount = {
+            ...(minOrders !== undefined && {$gte: minOrders}),
+            ...(maxOrders !== undefined && {$lte: maxOrders}),
+        };
+    }
+    if (minSpent !== undefined || maxSpent !== undefined) {
+        statsMatch.totalSpent = {
+            ...(minSpent !== undefined && {$gte: minSpent}),
+            ...(maxSpent !== undefined && {$lte: maxSpent}),
+        };
+    }
+    return Object.keys(statsMatch).length > 0 ? statsMatch : null;
+};
+
+/**
+ * Build the aggregation stages of the user directory
+ * @param {Object} filter - Filter on user fields
+ * @param {Object} statsFilter - See buildStatsMatch
+ * @returns {Object[]}
+ */
+const buildUserDirectoryPipeline = (filter, statsFilter) => {
+    const statsMatch = buildStatsMatch(statsFilter);
+    return [
+        {$match: filter},
+        ...orderStatsStages,
+        ...(statsMatch ? [{$match: statsMatch}] : []),
+    ];
+};
+
+/**
+ * Encode the position of the last returned user
+ * @param {Object} user
+ * @param {string} sortBy
+ * @returns {string}
+ */
+const encodeCursor = (user, sortBy) => Buffer.from(JSON.stringify({value: user[sortBy], id: user._id})).toString('base64url');
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor
+ * @param {string} sortBy
+ * @returns {Object}
+ */
+const decodeCursor = (cursor, sortBy) => {
+    try {
+        const {value, id} = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        return {
+            value: sortBy === 'createdAt' ? new Date(value) : value,
+            id: new mongoose.Types.ObjectId(id),
+        };
+    } catch (error) {
+        throw new ApiError(status.BAD_REQUEST, 'Invalid cursor');
+    }
+};
+
+/**
+ * Query the user directory with order statistics, by page or by cursor
+ * @param {Object} filter - Filter on user fields
+ * @param {Object} options
+ * @param {string} [options.sortBy] - createdAt, fullname, email, orderCount or totalSpent
+ * @param {string} [options.sortOrder] - asc or desc
+ * @param {number} [options.limit]
+ * @param {number} [options.page] - Ignored when a cursor is given
+ * @param {string} [options.cursor] - nextCursor of the previous page
+ * @param {number} [options.minOrders]
+ * @param {number} [options.maxOrders]
+ * @param {number} [options.minSpent]
+ * @param {number} [options.maxSpent]
+ * @returns {Promise<Object>}
+ */
+const queryUserDirectory = async (filter, options = {}) => {
+    const {
+        sortBy = 'createdAt', sortOrder = 'asc', limit = 10, page = 1, cursor
+    } = options;
+    const direction = sortOrder === 'asc' ? 1 : -1;
+
+    // Phân trang theo con trỏ: lấy các bản ghi đứng sau (giá trị sắp xếp, _id) của bản ghi cuối trang trước
+    const pageStages = [];
+    if (cursor) {
+        const {value, id} = decodeCursor(cursor, sortBy);
+        const operator = direction === 1 ? '$gt' : '$lt';
+        pageStages.push({
+            $match: {
+                $or: [
+                    {[sortBy]: {[operator]: value}},
+                    {[sortBy]: value, _id: {[operator]: id}},
+                ],
+            },
+        });
+    }
+    pageStages.push(
+        {$sort: {[sortBy]: direction, _id: direction}},
+        ...(cursor ? [] : [{$skip: (page - 1) * limit}]),
+        {$limit: limit + 1}
+    );
+
+    let pageUsers;
+    let totalResults;
+    const statsMatch = buildStatsMatch(options);
+    if (USER_SORT_FIELDS.includes(sortBy) && !statsMatch) {
+        // Không lọc hay sắp xếp theo thống kê: phân trang trước, chỉ tính thống kê cho các user của trang
+        [pageUsers, totalResults] = await Promise.all([
+            User.aggregate([{$match: filter}, ...pageStages, ...orderStatsStages]),
+            User.countDocuments(filter),
+        ]);
+    } else {
+        const [result] = await User.aggregate([
+            ...buildUserDirectoryPipeline(filter, options),
+            {
+                $facet: {
+                    users: pageStages,
+                    total: [{$count: 'count'}],
+                },
+            },
+        ]);
+        pageUsers = result.users;
+        totalResults = result.total.length > 0 ? result.total[0].count : 0;
+    }
+
+    const hasMore = pageUsers.length > limit;
+    const users = pageUsers.slice(0, limit);
+
+    return {
+        users,
+        nextCursor: hasMore ? encodeCursor(users[users.length - 1], sortBy) : null,
+        totalPages: Math.ceil(totalResults / limit),
+        ...(!cursor && {currentPage: page}),
+        totalResults,
+    };
+};
+
+/**
+ * Get every user of the directory matching the filter, for export
+ * @param {Object} filter
+ * @param {Object} options
+ * @returns {Promise<Object[]>}
+ */
+const getUserDirectory = async (filter, options = {}) => {
+    const {sortBy = 'createdAt', sortOrder = 'asc'} = options;
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    return User.aggregate([
+        ...buildUserDirectoryPipeline(filter, options),
+        {$sort: {[sortBy]: direction, _id: direction}},
+    ]);
+};
+
 /**
  * Get user by id
  * @param {ObjectId} id
@@ -142,9 +349,7 @@ const addUserAddress = async (userId, addressData) => {
         fullName: addressData.fullName,
         phone: addressData.phone,
         streetAddress: addressData.streetAddress,
-        ward: addressData.ward,
-        district: addressData.district,
-        city: addressData.city,
+        ...locationService.resolveAddress(addressData),
         isDefault: addressData.isDefault || false
     };
 
@@ -178,6 +383,11 @@ const updateUserAddress = async (userId, addressId, updateBody) => {
         });
     }
 
+    // Đổi đơn vị hành chính thì đối chiếu lại với danh mục và lưu cả mã lẫn tên
+    if (updateBody.wardCode || updateBody.ward) {
+        Object.assign(updateBody, locationService.resolveAddress(updateBody));
+    }
+
     Object.assign(user.addresses[addressIndex], updateBody);
     await user.save();
     return user;
@@ -243,6 +453,23 @@ const banOrUnbanUser = async (userId, isBanned) => {
     return user;
 };
 
+/**
+ * Unlock an account locked after too many failed logins
+ * @param {ObjectId} userId
+ * @returns {Promise<User>}
+ */
+const unlockUser = async (userId) => {
+    const user = await getUserById(userId);
+    if (!user) {
+        throw new ApiError(status.NOT_FOUND, 'User not found');
+    }
+    user.failedLoginAttempts = 0;
+    user.lockCount = 0;
+    user.lockUntil = null;
+    await user.save();
+    return user;
+};
+
 /**
  * Thống kê số lượng người dùng mới theo ngày/tháng/năm
  * @param {Object} options - Các tùy chọn thống kê
@@ -590,6 +817,8 @@ const getUserPreferencesForAgent = async (userId) => {
 module.exports = {
     createUser,
     getUsers,
+    queryUserDirectory,
+    getUserDirectory,
     getUserById,
     getUserByEmail,
     updateUserById,
@@ -600,6 +829,7 @@ module.exports = {
     getAddressById,
     isPasswordMatch,
     banOrUnbanUser,
+    unlockUser,
     getUserStatistics,
     analyzeUserGrowth,
     getUserAnalytics,
@@ -0,0 +1,158 @@
+const {status} = require('http-status');
+const Wishlist = require('../models/wishlist.model');
+const Product = require('../models/product.model');
+const Service = require('../models/service.model');
+const StockSubscription = require('../models/stockSubscription.model');
+const ApiError = require('../utils/ApiError');
+const {sendNotification} = require('./firebase.service');
+
+const itemModels = {
+    product: Product,
+    service: Service,
+};
+
+/**
+ * Get the wishlist of a user with the current price and sale state of each item
+ * Sản phẩm/dịch vụ đã bị xoá không được trả về
+ * @param {ObjectId} userId
+ * @returns {Promise<Object>}
+ */
+const getWishlist = async (userId) => {
+    const wishlist = await Wishlist.findOne({userId});
+    const items = wishlist ? wishlist.items : [];
+
+    const idsByType = (itemType) => items.filter((item) => item.itemType === itemType).map((item) => item.itemId);
+    const [products, services] = await Promise.all([
+        Product.find({_id: {$in: idsByType('product')}}).select('name images price salePrice onSale stock isVisible'),
+        Service.find({_id: {$in: idsByType('service')}}).select('name images price salePrice onSale isVisible'),
+    ]);
+
+    const itemsById = new Map([...products, ...services].map((item) => [item._id.toString(), item]));
+
+    const results = items
+        .filter((item) => itemsById.has(item.itemId.toString()))
+        .sort((a, b) => b.addedAt - a.addedAt)
+        .map(({itemType, itemId, addedAt}) => {
+            const item = itemsById.get(itemId.toString());
+            return {
+                itemType,
+                itemId,
+                addedAt,
+                name: item.name,
+                image: item.images && item.images.length > 0 ? item.images[0] : null,
+                price: item.price,
+                onSale: item.onSale,
+                salePrice: item.salePrice,
+                currentPrice: item.onSale && item.salePrice ? item.salePrice : item.price,
+                isVisible: item.isVisible,
+                ...(itemType === 'product' && {stock: item.stock, inStock: item.stock > 0}),
+            };
+        });
+
+    return {
+        items: results,
+        totalItems: results.length,
+    };
+};
+
+/**
+ * Add a product or service to the wishlist of a user
+ * @param {ObjectId} userId
+ * @param {string} itemType - product or service
+ * @param {ObjectId} itemId
+ * @returns {Promise<Object>}
+ */
+const addWishlistItem = async (userId, itemType, itemId) => {
+    const item = await itemModels[itemType].findById(itemId);
+    if (!item || !item.isVisible) {
+        throw new ApiError(status.NOT_FOUND, `${ itemType === 'product' ? 'Product' : 'Service' } not found`);
+    }
+
+    // Tạo danh sách nếu chưa có, chỉ thêm khi mục chưa nằm trong danh sách
+    await Wishlist.updateOne({userId}, {$setOnInsert: {userId, items: []}}, {upsert: true});
+    await Wishlist.updateOne(
+        {userId, items: {$not: {$elemMatch: {itemType, itemId}}}},
+        {$push: {items: {itemType, itemId, addedAt: new Date()}}}
+    );
+
+    return getWishlist(userId);
+};
+
+/**
+ * Remove a product or service from the wishlist of a user
+ * @param {ObjectId} userId
+ * @param {string} itemType - product or service
+ * @param {ObjectId} itemId
+ * @returns {Promise<Object>}
+ */
+const removeWishlistItem = async (userId, itemType, itemId) => {
+    const result = await Wishlist.updateOne(
+        {userId},
+        {$pull: {items: {itemType, itemId}}}
+    );
+    if (result.modifiedCount === 0) {
+        throw new ApiError(status.NOT_FOUND, 'Item not found in wishlist');
+    }
+
+    return getWishlist(userId);
+};
+
+/**
+ * Notify the users who wishlisted an item when it goes on sale or comes back in stock
+ * @param {string} itemType - product or service
+ * @param {Object} previous - State before the update
+ * @param {boolean} previous.onSale
+ * @param {number} [previous.salePrice]
+ * @param {number} [previous.stock]
+ * @param {Product|Service} item - State after the update
+ * @returns {Promise}
+ */
+const notifyWishlistItemChange = async (itemType, previous, item) => {
+    if (!item.isVisible) {
+        return;
+    }
+
+    const wentOnSale = item.onSale && item.salePrice
+        && (!previous.onSale || !previous.salePrice || item.salePrice < previous.salePrice);
+    const backInStock = itemType === 'product' && previous.stock <= 0 && item.stock > 0;
+    if (!wentOnSale && !backInStock) {
+        return;
+    }
+
+    let wishlists = await Wishlist.find({items: {$elemMatch: {itemType, itemId: item._id}}}).select('userId');
+
+    // Người đang chờ trong danh sách báo có hàng được báo theo đợt ở đó, không báo trùng từ danh sách yêu thích
+    if (!wentOnSale && wishlists.length > 0) {
+        const subscriberIds = await StockSubscription.distinct('userId', {productId: item._id, status: 'waiting'});
+        wishlists = wishlists.filter((wishlist) => !subscriberIds.some((userId) => userId.equals(wishlist.userId)));
+    }
+    if (wishlists.length === 0) {
+        return;
+    }
+
+    const notification = wentOnSale
+        ? {
+            title: 'Sản phẩm yêu thích đang giảm giá',
+            body: `${ item.name } đang được giảm giá chỉ còn ${ item.salePrice.toLocaleString('vi-VN') }đ.`,
+        }
+        : {
+            title: 'Sản phẩm yêu thích đã có hàng trở lại',
+            body: `${ item.name } đã có hàng trở lại. Đặt hàng ngay trước khi hết!`,
+        };
+
+    const results = await Promise.allSettled(wishlists.map((wishlist) => sendNotification({
+        userId: wishlist.userId.toString(),
+        ...notification,
+        link: `/${ itemType }s/${ item._id }`
+    })));
+    results
+        .filter((result) => result.status === 'rejected')
+        .forEach((result) => console.error('Error sending wishlist notification:', result.reason));
+};
+
+module.exports = {
+    getWishlist,
+    addWishlistItem,
+    removeWishlistItem,
+    notifyWishlistItemChange,
+};
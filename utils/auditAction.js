@@ -0,0 +1,31 @@
+const catchAsync = require('./catchAsync');
+const getDeviceInfo = require('./getDeviceInfo');
+const {auditLogService} = require('../services');
+
+/**
+ * Wrap a privileged controller so that the change it makes is recorded in the audit log
+ * Controller thực hiện thay đổi, gửi phản hồi và trả về trạng thái sau thay đổi (null khi đã xoá).
+ * Nhật ký được ghi sau khi thay đổi thành công; lỗi ghi nhật ký được xử lý trong recordAuditLog
+ * @param {Object} audit
+ * @param {string|Function} audit.action - Action name, or a function of the request returning it
+ * @param {string} audit.targetType
+ * @param {Function} [audit.loadBefore] - Loads the state of the target before the change
+ * @param {Function} controller - async (req, res) => state of the target after the change
+ * @returns {Function}
+ */
+const auditAction = ({action, targetType, loadBefore}, controller) => catchAsync(async (req, res) => {
+    const before = loadBefore ? await loadBefore(req) : null;
+    const after = await controller(req, res);
+    const target = after || before;
+    await auditLogService.recordAuditLog({
+        actor: req.user,
+        action: typeof action === 'function' ? action(req) : action,
+        targetType,
+        targetId: target && target._id,
+        before,
+        after,
+        ...getDeviceInfo(req),
+    });
+});
+
+module.exports = auditAction;
@@ -1,6 +1,12 @@
 const cron = require('node-cron');
 const {deleteExpiredBookings} = require('../services/booking.service');
 const {deleteExpiredOrders} = require('../services/order.service');
+const {expirePoints} = require('../services/loyalty.service');
+const {notifyLowStock} = require('../services/inventory.service');
+const {rebuildSearchIndex} = require('../services/search.service');
+const {applyPriceSchedules} = require('../services/priceSchedule.service');
+const {updateCoPurchaseStats} = require('../services/recommendation.service');
+const {processRestockSubscriptions} = require('../services/stockSubscription.service');
 
 cron.schedule('* * * * *', async () => {
     await deleteExpiredBookings();
@@ -9,5 +15,44 @@ cron.schedule('* * * * *', async () => {
     timezone: "Asia/Ho_Chi_Minh"
 });
 
+// Áp dụng và kết thúc lịch giá mỗi phút, tách riêng để lỗi dọn dẹp đơn không chặn đổi giá
+cron.schedule('* * * * *', async () => {
+    await applyPriceSchedules();
+}, {
+    timezone: "Asia/Ho_Chi_Minh"
+});
+
+// Hết hạn điểm thưởng mỗi ngày lúc 00:10
+cron.schedule('10 0 * * *', async () => {
+    await expirePoints();
+}, {
+    timezone: "Asia/Ho_Chi_Minh"
+});
+
+// Kiểm tra tồn kho thấp mỗi giờ
+cron.schedule('0 * * * *', async () => {
+    await notifyLowStock();
+}, {
+    timezone: "Asia/Ho_Chi_Minh"
+});
 
+// Dựng lại chỉ mục gợi ý tìm kiếm mỗi ngày lúc 03:00
+cron.schedule('0 3 * * *', async () => {
+    await rebuildSearchIndex();
+}, {
+    timezone: "Asia/Ho_Chi_Minh"
+});
 
+// Cộng các đơn đã giao mới vào thống kê mua kèm mỗi giờ
+cron.schedule('30 * * * *', async () => {
+    await updateCoPurchaseStats();
+}, {
+    timezone: "Asia/Ho_Chi_Minh"
+});
+
+// Hết hạn đăng ký báo có hàng và gửi đợt báo tiếp theo mỗi giờ
+cron.schedule('15 * * * *', async () => {
+    await processRestockSubscriptions();
+}, {
+    timezone: "Asia/Ho_Chi_Minh"
+});
@@ -0,0 +1,41 @@
+/**
+ * Escape a value for a CSV cell
+ * Giá trị bắt đầu bằng = + - @ được thêm dấu ' để Excel không hiểu là công thức
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && Number.isNaN(Number(text))) {
+        text = `'${ text }`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        text = `"${ text.replace(/"/g, '""') }"`;
+    }
+    return text;
+};
+
+/**
+ * Convert rows to CSV
+ * @param {Object[]} rows
+ * @param {Object[]} columns - [{header, value}] where value is a field name or a function of the row
+ * @returns {string}
+ */
+const toCsv = (rows, columns) => {
+    const header = columns.map((column) => escapeCsvValue(column.header)).join(',');
+    const lines = rows.map((row) => columns
+        .map((column) => escapeCsvValue(typeof column.value === 'function' ? column.value(row) : row[column.value]))
+        .join(','));
+
+    // BOM để Excel đọc đúng tiếng Việt
+    return `\uFEFF${ [header, ...lines].join('\r\n') }\r\n`;
+};
+
+module.exports = {
+    escapeCsvValue,
+    toCsv,
+};
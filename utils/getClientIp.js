@@ -0,0 +1,9 @@
+/**
+ * Get the client address of a request, resolved through the trusted proxies
+ * Địa chỉ IPv4 dạng ::ffff:x.x.x.x được đưa về x.x.x.x để một client chỉ có một bộ đếm
+ * @param {Object} req
+ * @returns {string|undefined}
+ */
+const getClientIp = (req) => (req.ip ? req.ip.replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1') : req.ip);
+
+module.exports = getClientIp;
@@ -0,0 +1,13 @@
+const getClientIp = require('./getClientIp');
+
+/**
+ * Get the device information of a request, stored with sessions and audit logs
+ * @param {Object} req
+ * @returns {Object}
+ */
+const getDeviceInfo = (req) => ({
+    userAgent: req.get('user-agent'),
+    ip: getClientIp(req),
+});
+
+module.exports = getDeviceInfo;
@@ -0,0 +1,84 @@
+const NGRAM_SIZE = 3;
+
+/**
+ * Lowercase a text and strip Vietnamese diacritics and punctuation
+ * "Thức ăn cho chó" -> "thuc an cho cho"
+ * @param {string} text
+ * @returns {string}
+ */
+const foldText = (text) => (text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+/**
+ * Get the character n-grams of a folded text, each word padded with spaces
+ * Với truy vấn, từ cuối chỉ được đệm phía trước để khớp cả khi người dùng chưa gõ xong
+ * @param {string} text - Folded text
+ * @param {Object} [options]
+ * @param {boolean} [options.prefix] - Treat the last word as a prefix
+ * @returns {string[]}
+ */
+const getNgrams = (text, {prefix = false} = {}) => {
+    const words = text.split(' ').filter(Boolean);
+    const ngrams = new Set();
+    words.forEach((word, index) => {
+        const padded = prefix && index === words.length - 1 ? ` ${ word }` : ` ${ word } `;
+        if (padded.length <= NGRAM_SIZE) {
+            ngrams.add(padded);
+            return;
+        }
+        for (let start = 0; start + NGRAM_SIZE <= padded.length; start++) {
+            ngrams.add(padded.slice(start, start + NGRAM_SIZE));
+        }
+    });
+    return [...ngrams];
+};
+
+/**
+ * Edit distance where swapping two adjacent characters counts as one edit,
+ * giving up once it exceeds maxDistance
+ * @param {string} a
+ * @param {string} b
+ * @param {number} maxDistance
+ * @returns {number} - Distance, or maxDistance + 1 when further apart
+ */
+const getEditDistance = (a, b, maxDistance) => {
+    if (Math.abs(a.length - b.length) > maxDistance) {
+        return maxDistance + 1;
+    }
+
+    let beforePrevious = [];
+    let previous = Array.from({length: b.length + 1}, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            // Gõ đảo hai ký tự liền nhau, ví dụ "thcu" thay cho "thuc"
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) {
+            return maxDistance + 1;
+        }
+        beforePrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+module.exports = {
+    foldText,
+    getNgrams,
+    getEditDistance,
+};
@@ -1,5 +1,6 @@
 const Joi = require('joi');
 const {objectId} = require('./custom.validation');
+const {roles, permissions} = require('../configs/roles');
 const {default: status} = require('http-status');
 
 // Auth validations
@@ -9,6 +10,7 @@ const register = {
         password: Joi.string().required().min(8),
         fullname: Joi.string().required(),
         phone: Joi.string().pattern(/^[0-9]{10}$/),
+        referralCode: Joi.string().trim().max(20),
     }),
 };
 
@@ -25,6 +27,28 @@ const refreshTokens = {
     }),
 };
 
+const loginWithTwoFactor = {
+    body: Joi.object().keys({
+        challengeToken: Joi.string().required(),
+        code: Joi.string().pattern(/^[0-9]{6}$/),
+        recoveryCode: Joi.string(),
+    }).xor('code', 'recoveryCode'),
+};
+
+const twoFactorCode = {
+    body: Joi.object().keys({
+        code: Joi.string().required().pattern(/^[0-9]{6}$/),
+    }),
+};
+
+const disableTwoFactor = {
+    body: Joi.object().keys({
+        password: Joi.string().required(),
+        code: Joi.string().pattern(/^[0-9]{6}$/),
+        recoveryCode: Joi.string(),
+    }).xor('code', 'recoveryCode'),
+};
+
 const forgotPassword = {
     body: Joi.object().keys({
         email: Joi.string().email().required(),
@@ -62,10 +86,17 @@ const getUsers = {
         search: Joi.string(),
         role: Joi.string().valid('user', 'staff', 'admin'),
         banned: Joi.boolean(),
-        sort: Joi.string(),
-        limit: Joi.number().integer(),
-        page: Joi.number().integer(),
-    }),
+        registeredFrom: Joi.date().iso(),
+        registeredTo: Joi.date().iso(),
+        minOrders: Joi.number().integer().min(0),
+        maxOrders: Joi.number().integer().min(0),
+        minSpent: Joi.number().min(0),
+        maxSpent: Joi.number().min(0),
+        sort: Joi.string().pattern(/^(createdAt|fullname|email|orderCount|totalSpent)(:(asc|desc))?$/),
+        limit: Joi.number().integer().min(1).max(100),
+        page: Joi.number().integer().min(1),
+        cursor: Joi.string(),
+    }).oxor('page', 'cursor'),
 };
 
 const getUser = {
@@ -111,10 +142,35 @@ const updateRole = {
     }),
 };
 
+const exportUserData = {
+    query: Joi.object().keys({
+        format: Joi.string().valid('json', 'zip').default('json'),
+    }),
+};
+
+const deleteAccount = {
+    body: Joi.object().keys({
+        password: Joi.string().required(),
+    }),
+};
+
+const revokeSession = {
+    params: Joi.object().keys({
+        sessionId: Joi.custom(objectId),
+    }),
+};
+
 // Product validations
+const bundleItem = Joi.object().keys({
+    productId: Joi.custom(objectId).required(),
+    variantId: Joi.custom(objectId),
+    quantity: Joi.number().integer().min(1).required(),
+});
+
 const createProduct = {
     body: Joi.object().keys({
         name: Joi.string().required(),
+        sku: Joi.string().trim(),
         description: Joi.string(),
         price: Joi.number().positive().required(),
         costPrice: Joi.number().positive(),
@@ -123,11 +179,23 @@ const createProduct = {
         highlights: Joi.array().items(Joi.string()),
         tags: Joi.array().items(Joi.string()),
         categoryId: Joi.custom(objectId).required(),
-        stock: Joi.number().integer().min(0).required(),
+        // Tồn kho của combo được tính từ các thành phần
+        stock: Joi.number().integer().min(0).when('productType', {
+            is: 'bundle',
+            then: Joi.forbidden(),
+            otherwise: Joi.required(),
+        }),
+        reorderThreshold: Joi.number().integer().min(0),
         isVisible: Joi.boolean(),
         isFeatured: Joi.boolean(),
         onSale: Joi.boolean(),
-        petTypes: Joi.array().items(Joi.string())
+        petTypes: Joi.array().items(Joi.string()),
+        productType: Joi.string().valid('standard', 'bundle'),
+        bundleItems: Joi.array().items(bundleItem).when('productType', {
+            is: 'bundle',
+            then: Joi.array().min(1).required(),
+            otherwise: Joi.forbidden(),
+        }),
     }),
     files: Joi.object().keys({
         images: Joi.array().items(Joi.string().uri()).required(),
@@ -178,6 +246,7 @@ const updateProduct = {
     body: Joi.object()
         .keys({
             name: Joi.string(),
+            sku: Joi.string().trim(),
             description: Joi.string(),
             highlights: Joi.array().items(Joi.string()),
             price: Joi.number().positive(),
@@ -187,14 +256,150 @@ const updateProduct = {
             tags: Joi.array().items(Joi.string()),
             categoryId: Joi.custom(objectId),
             stock: Joi.number().integer().min(0),
+            reorderThreshold: Joi.number().integer().min(0),
             isVisible: Joi.boolean(),
             isFeatured: Joi.boolean(),
             onSale: Joi.boolean(),
             petTypes: Joi.array().items(Joi.string()),
+            bundleItems: Joi.array().items(bundleItem).min(1),
             existingImages: Joi.array().items(Joi.string()),
         })
 };
 
+const updateProductStock = {
+    body: Joi.object().keys({
+        stock: Joi.number().integer().required(),
+        variantId: Joi.custom(objectId),
+        type: Joi.string().valid('adjustment', 'receipt', 'return'),
+        note: Joi.string().max(500),
+    }),
+};
+
+const getInventoryHistory = {
+    params: Joi.object().keys({
+        productId: Joi.custom(objectId),
+    }),
+    query: Joi.object().keys({
+        variantId: Joi.custom(objectId),
+        type: Joi.string().valid('sale', 'cancellation', 'adjustment', 'return', 'receipt'),
+        from: Joi.date().iso(),
+        to: Joi.date().iso().min(Joi.ref('from')),
+        page: Joi.number().integer().min(1),
+        limit: Joi.number().integer().min(1).max(100),
+    }),
+};
+
+const getStockReconciliation = {
+    query: Joi.object().keys({
+        productId: Joi.custom(objectId),
+        includeMatched: Joi.boolean(),
+    }),
+};
+
+const getReorderSuggestions = {
+    query: Joi.object().keys({
+        days: Joi.number().integer().min(1).max(365),
+        limit: Joi.number().integer().min(1).max(100),
+    }),
+};
+
+const variantOptions = Joi.object().keys({
+    size: Joi.string().trim(),
+    flavor: Joi.string().trim(),
+    color: Joi.string().trim(),
+});
+
+const addProductVariant = {
+    body: Joi.object().keys({
+        sku: Joi.string().trim().required(),
+        options: variantOptions.min(1).required(),
+        price: Joi.number().positive().required(),
+        salePrice: Joi.number().positive(),
+        onSale: Joi.boolean(),
+        stock: Joi.number().integer().min(0).required(),
+        reorderThreshold: Joi.number().integer().min(0),
+    }),
+};
+
+const updateProductVariant = {
+    params: Joi.object().keys({
+        productId: Joi.custom(objectId),
+        variantId: Joi.custom(objectId),
+    }),
+    body: Joi.object().keys({
+        sku: Joi.string().trim(),
+        options: variantOptions.min(1),
+        price: Joi.number().positive(),
+        salePrice: Joi.number().positive(),
+        onSale: Joi.boolean(),
+        stock: Joi.number().integer().min(0),
+        reorderThreshold: Joi.number().integer().min(0),
+        existingImages: Joi.array().items(Joi.string()),
+    }),
+};
+
+// Một dòng của file nhập sản phẩm, danh mục được chỉ định bằng tên thay cho categoryId
+// Dòng có SKU đã tồn tại chỉ cập nhật các cột có giá trị nên không bắt buộc cột nào ngoài SKU
+const importProductRow = {
+    create: createProduct.body
+        .keys({
+            sku: Joi.string().trim().required(),
+            stock: Joi.number().integer().min(0).required(),
+            category: Joi.string().trim().required(),
+            images: Joi.array().items(Joi.string()),
+            reorderThreshold: Joi.number().integer().min(0),
+            size: Joi.string().trim(),
+            flavor: Joi.string().trim(),
+            color: Joi.string().trim(),
+        })
+        .fork(['categoryId', 'productType', 'bundleItems'], (schema) => schema.forbidden()),
+};
+importProductRow.update = importProductRow.create.fork(['name', 'price', 'stock', 'category'], (schema) => schema.optional());
+
+const importProducts = {
+    body: Joi.object().keys({
+        dryRun: Joi.boolean(),
+    }),
+};
+
+const exportProducts = {
+    query: Joi.object().keys({
+        format: Joi.string().valid('csv', 'xlsx'),
+    }),
+};
+
+const getProductPriceHistory = {
+    params: Joi.object().keys({
+        productId: Joi.custom(objectId),
+    }),
+    query: Joi.object().keys({
+        variantId: Joi.custom(objectId),
+        from: Joi.date().iso(),
+        to: Joi.date().iso().min(Joi.ref('from')),
+    }),
+};
+
+const getProductRecommendations = {
+    params: Joi.object().keys({
+        productId: Joi.custom(objectId),
+    }),
+    query: Joi.object().keys({
+        limit: Joi.number().integer().min(1).max(20),
+    }),
+};
+
+// Search validations
+const suggestSearch = {
+    query: Joi.object().keys({
+        q: Joi.string().trim().min(1).max(100).required(),
+        types: Joi.alternatives().try(
+            Joi.string().pattern(/^(product|service|category)(,(product|service|category))*$/),
+            Joi.array().items(Joi.string().valid('product', 'service', 'category'))
+        ),
+        limit: Joi.number().integer().min(1).max(20),
+    }),
+};
+
 // Category validations
 const createCategory = {
     body: Joi.object().keys({
@@ -242,6 +447,7 @@ const updateCategory = {
 const addToCart = {
     body: Joi.object().keys({
         productId: Joi.custom(objectId).required(),
+        variantId: Joi.custom(objectId),
         quantity: Joi.number().integer().min(1).required(),
     }),
 };
@@ -252,15 +458,63 @@ const updateCartItem = {
     }),
     body: Joi.object().keys({
         quantity: Joi.number().integer().min(1).required(),
+        variantId: Joi.custom(objectId),
+    }),
+};
+
+const removeCartItem = {
+    query: Joi.object().keys({
+        variantId: Joi.custom(objectId),
+    }),
+};
+
+// Wishlist validations
+const addWishlistItem = {
+    body: Joi.object().keys({
+        itemType: Joi.string().valid('product', 'service').required(),
+        itemId: Joi.custom(objectId).required(),
+    }),
+};
+
+const removeWishlistItem = {
+    params: Joi.object().keys({
+        itemType: Joi.string().valid('product', 'service').required(),
+        itemId: Joi.custom(objectId).required(),
+    }),
+};
+
+// Restock subscription validations
+const subscribeRestock = {
+    body: Joi.object().keys({
+        productId: Joi.custom(objectId).required(),
+        variantId: Joi.custom(objectId),
+        quantity: Joi.number().integer().min(1).max(100),
+    }),
+};
+
+const cancelRestockSubscription = {
+    params: Joi.object().keys({
+        subscriptionId: Joi.custom(objectId).required(),
     }),
 };
 
+// Đơn vị hành chính của địa chỉ: gửi mã (ưu tiên) hoặc tên, được đối chiếu với danh mục /locations
+const addressLocationKeys = {
+    cityCode: Joi.string().pattern(/^[0-9]{2}$/),
+    districtCode: Joi.string().pattern(/^[0-9]{3}$/),
+    wardCode: Joi.string().pattern(/^[0-9]{5}$/),
+    city: Joi.string(),
+    district: Joi.string(),
+    ward: Joi.string(),
+};
+
 // Order validations
 const createOrder = {
     body: Joi.object().keys({
         items: Joi.array().items(
             Joi.object().keys({
                 productId: Joi.custom(objectId).required(),
+                variantId: Joi.custom(objectId),
                 quantity: Joi.number().integer().min(1).required(),
             })
         ).min(1).required(),
@@ -268,13 +522,13 @@ const createOrder = {
             fullName: Joi.string().required(),
             phone: Joi.string().required().pattern(/^[0-9]{10}$/),
             streetAddress: Joi.string().required(),
-            ward: Joi.string().required(),
-            district: Joi.string().required(),
-            city: Joi.string().required(),
+            ...addressLocationKeys,
             note: Joi.string().allow(''),
-        }).required(),
+        }).and('cityCode', 'districtCode', 'wardCode').and('city', 'district', 'ward').or('wardCode', 'ward').required(),
         paymentMethod: Joi.string().valid('credit_card', 'cash'),
         notes: Joi.string().allow(''),
+        redeemPoints: Joi.number().integer().min(1),
+        couponCode: Joi.string().trim().max(20),
     }),
 };
 
@@ -346,6 +600,7 @@ const confirmOrderDelivery = {
 const createReview = {
     body: Joi.object().keys({
         sourceId: Joi.custom(objectId).required(),
+        variantId: Joi.custom(objectId),
         rating: Joi.number().required().min(1).max(5),
         content: Joi.string(),
     }),
@@ -488,6 +743,16 @@ const getService = {
     }),
 };
 
+const getServicePriceHistory = {
+    params: Joi.object().keys({
+        serviceId: Joi.custom(objectId),
+    }),
+    query: Joi.object().keys({
+        from: Joi.date().iso(),
+        to: Joi.date().iso().min(Joi.ref('from')),
+    }),
+};
+
 const updateService = {
     params: Joi.object().keys({
         serviceId: Joi.custom(objectId),
@@ -617,6 +882,7 @@ const createBooking = {
         timeSlot: Joi.string().required(),
         notes: Joi.string().allow(''),
         paymentMethod: Joi.string().valid('credit_card', 'cash'),
+        redeemPoints: Joi.number().integer().min(1),
     }),
 };
 
@@ -867,11 +1133,9 @@ const addAddress = {
         fullName: Joi.string().required(),
         phone: Joi.string().required().pattern(/^[0-9]{10}$/),
         streetAddress: Joi.string().required(),
-        ward: Joi.string().required(),
-        district: Joi.string().required(),
-        city: Joi.string().required(),
+        ...addressLocationKeys,
         isDefault: Joi.boolean()
-    }),
+    }).and('cityCode', 'districtCode', 'wardCode').and('city', 'district', 'ward').or('wardCode', 'ward'),
 };
 
 const getAddress = {
@@ -888,11 +1152,9 @@ const updateAddress = {
         fullName: Joi.string(),
         phone: Joi.string().pattern(/^[0-9]{10}$/),
         streetAddress: Joi.string(),
-        ward: Joi.string(),
-        district: Joi.string(),
-        city: Joi.string(),
+        ...addressLocationKeys,
         isDefault: Joi.boolean()
-    }).min(1),
+    }).and('cityCode', 'districtCode', 'wardCode').and('city', 'district', 'ward').min(1),
 };
 
 const deleteAddress = {
@@ -939,6 +1201,173 @@ const getPetAnalytics = {
     }),
 };
 
+// Setting validations
+const updateSettings = {
+    body: Joi.object().keys({
+        verification: Joi.object().keys({
+            requireVerifiedEmailForOrders: Joi.boolean(),
+            requireVerifiedEmailForBookings: Joi.boolean(),
+        }).min(1),
+        twoFactor: Joi.object().keys({
+            requiredRoles: Joi.array().items(Joi.string().valid('user', 'staff', 'admin')).unique(),
+        }).min(1),
+        loyalty: Joi.object().keys({
+            enabled: Joi.boolean(),
+            earnRate: Joi.number().min(0),
+            redeemRate: Joi.number().min(0),
+            maxRedeemPercent: Joi.number().min(0).max(100),
+            pointsExpiryDays: Joi.number().integer().min(1),
+        }).min(1),
+        referral: Joi.object().keys({
+            enabled: Joi.boolean(),
+            rewardType: Joi.string().valid('points', 'coupon'),
+            referrerPoints: Joi.number().integer().min(0),
+            refereePoints: Joi.number().integer().min(0),
+            couponDiscountType: Joi.string().valid('fixed', 'percent'),
+            referrerCouponValue: Joi.number().min(0),
+            refereeCouponValue: Joi.number().min(0),
+            couponMinOrderAmount: Joi.number().min(0),
+            couponExpiryDays: Joi.number().integer().min(1),
+        }).min(1),
+        inventory: Joi.object().keys({
+            lowStockAlertsEnabled: Joi.boolean(),
+            defaultReorderThreshold: Joi.number().integer().min(0),
+            salesVelocityDays: Joi.number().integer().min(1),
+            reorderLeadTimeDays: Joi.number().integer().min(0),
+            reorderCoverageDays: Joi.number().integer().min(1),
+            restockSubscriptionDays: Joi.number().integer().min(1),
+            restockBatchIntervalHours: Joi.number().integer().min(1),
+        }).min(1),
+    }).min(1),
+};
+
+// Role validations
+const updateRolePermissions = {
+    params: Joi.object().keys({
+        role: Joi.string().required().valid(...roles),
+    }),
+    body: Joi.object().keys({
+        permissions: Joi.array().items(Joi.string().valid(...permissions)).unique().required(),
+    }),
+};
+
+// Audit log validations
+const getAuditLogs = {
+    query: Joi.object().keys({
+        actorId: Joi.custom(objectId),
+        action: Joi.string(),
+        targetType: Joi.string(),
+        targetId: Joi.string(),
+        from: Joi.date().iso(),
+        to: Joi.date().iso().min(Joi.ref('from')),
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20),
+    }),
+};
+
+// Loyalty validations
+const getLoyaltyTransactions = {
+    query: Joi.object().keys({
+        page: Joi.number().integer().min(1),
+        limit: Joi.number().integer().min(1).max(100),
+    }),
+};
+
+// Referral validations
+const getReferralReport = {
+    query: Joi.object().keys({
+        status: Joi.string().valid('pending', 'rewarded', 'rejected', 'reversed'),
+        referrerId: Joi.custom(objectId),
+        from: Joi.date().iso(),
+        to: Joi.date().iso().min(Joi.ref('from')),
+        page: Joi.number().integer().min(1),
+        limit: Joi.number().integer().min(1).max(100),
+    }),
+};
+
+// Coupon validations
+const getMyCoupons = {
+    query: Joi.object().keys({
+        available: Joi.boolean(),
+    }),
+};
+
+// Price schedule validations
+const createPriceSchedule = {
+    body: Joi.object().keys({
+        name: Joi.string().trim().required(),
+        targetType: Joi.string().valid('product', 'category', 'service', 'petType').required(),
+        targetIds: Joi.when('targetType', {
+            is: 'petType',
+            then: Joi.forbidden(),
+            otherwise: Joi.array().items(Joi.custom(objectId)).min(1).required(),
+        }),
+        petTypes: Joi.when('targetType', {
+            is: 'petType',
+            then: Joi.array().items(Joi.string()).min(1).required(),
+            otherwise: Joi.forbidden(),
+        }),
+        discountType: Joi.string().valid('percent', 'fixed').required(),
+        value: Joi.number().min(0).required(),
+        startsAt: Joi.date().iso().required(),
+        endsAt: Joi.date().iso().greater(Joi.ref('startsAt')).required(),
+        priority: Joi.number().integer(),
+    }),
+};
+
+const getPriceSchedules = {
+    query: Joi.object().keys({
+        status: Joi.string().valid('scheduled', 'active', 'ended', 'cancelled'),
+        targetType: Joi.string().valid('product', 'category', 'service', 'petType'),
+        page: Joi.number().integer().min(1),
+        limit: Joi.number().integer().min(1).max(100),
+    }),
+};
+
+const getPriceSchedule = {
+    params: Joi.object().keys({
+        scheduleId: Joi.custom(objectId),
+    }),
+};
+
+const updatePriceSchedule = {
+    params: Joi.object().keys({
+        scheduleId: Joi.custom(objectId),
+    }),
+    body: Joi.object().keys({
+        name: Joi.string().trim(),
+        targetType: Joi.string().valid('product', 'category', 'service', 'petType'),
+        targetIds: Joi.array().items(Joi.custom(objectId)).min(1),
+        petTypes: Joi.array().items(Joi.string()).min(1),
+        discountType: Joi.string().valid('percent', 'fixed'),
+        value: Joi.number().min(0),
+        startsAt: Joi.date().iso(),
+        endsAt: Joi.date().iso(),
+        priority: Joi.number().integer(),
+    }).min(1),
+};
+
+const previewPrice = {
+    query: Joi.object().keys({
+        itemType: Joi.string().valid('product', 'service').required(),
+        itemId: Joi.custom(objectId).required(),
+        at: Joi.date().iso(),
+    }),
+};
+
+// Location validations
+const getDistricts = {
+    params: Joi.object().keys({
+        provinceCode: Joi.string().required().pattern(/^[0-9]{2}$/),
+    }),
+};
+
+const getWards = {
+    params: Joi.object().keys({
+        districtCode: Joi.string().required().pattern(/^[0-9]{3}$/),
+    }),
+};
+
 // Payment validation object
 const paymentValidation = {
     createPaymentIntent,
@@ -951,6 +1380,9 @@ module.exports = {
     register,
     login,
     refreshTokens,
+    loginWithTwoFactor,
+    twoFactorCode,
+    disableTwoFactor,
     forgotPassword,
     resetPassword,
     verifyEmail,
@@ -961,6 +1393,9 @@ module.exports = {
     changePassword,
     updateRole,
     banOrUnbanUser,
+    revokeSession,
+    exportUserData,
+    deleteAccount,
     // Address validations
     addAddress,
     getAddress,
@@ -970,12 +1405,29 @@ module.exports = {
     getProducts,
     getProduct,
     updateProduct,
+    updateProductStock,
+    getInventoryHistory,
+    getStockReconciliation,
+    getReorderSuggestions,
+    getProductPriceHistory,
+    getProductRecommendations,
+    addProductVariant,
+    updateProductVariant,
+    importProductRow,
+    importProducts,
+    exportProducts,
+    suggestSearch,
     createCategory,
     getCategories,
     getCategory,
     updateCategory,
     addToCart,
     updateCartItem,
+    removeCartItem,
+    addWishlistItem,
+    removeWishlistItem,
+    subscribeRestock,
+    cancelRestockSubscription,
     createOrder,
     getOrders,
     getUserOrders,
@@ -992,6 +1444,7 @@ module.exports = {
     getServices,
     searchServices,
     getService,
+    getServicePriceHistory,
     updateService,
     updateServiceAvailability,
     createBooking,
@@ -1019,4 +1472,17 @@ module.exports = {
     getBookingAnalytics,
     getUserAnalytics,
     getPetAnalytics,
+    updateSettings,
+    updateRolePermissions,
+    getAuditLogs,
+    getLoyaltyTransactions,
+    getReferralReport,
+    getMyCoupons,
+    createPriceSchedule,
+    getPriceSchedules,
+    getPriceSchedule,
+    updatePriceSchedule,
+    previewPrice,
+    getDistricts,
+    getWards,
 };